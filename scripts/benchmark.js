@@ -0,0 +1,103 @@
+/**
+ * Benchmark of the two evaluation backends
+ *
+ * Runs a few typical scripts with the 'ast' backend, which walks the syntax
+ * tree, and the 'vm' backend, which runs compiled bytecode, and prints the
+ * median time of each.
+ *
+ * Usage:
+ * npm run benchmark
+ */
+
+import { Interpreter } from '../src/interpreter/index.js';
+
+const RUNS = 5;
+
+const BENCHMARKS = [
+  {
+    name: 'Sum of a large array',
+    data: { numbers: Array.from({ length: 200000 }, (_, i) => i % 100) },
+    code: `
+      let total = 0;
+      for (let n in io_get("numbers")) {
+        total += n;
+      }
+      io_put("total", total);
+    `
+  },
+  {
+    name: 'Recursive function calls',
+    data: {},
+    code: `
+      def fib(n) {
+        if (n < 2) { return n; }
+        return fib(n - 1) + fib(n - 2);
+      }
+      fib(22);
+    `
+  },
+  {
+    name: 'Nested loops and arrays',
+    data: {},
+    code: `
+      let grid = [];
+      for (let y = 0; y < 150; y++) {
+        let row = [];
+        for (let x = 0; x < 150; x++) {
+          row[x] = (x * y) % 7;
+        }
+        grid[y] = row;
+      }
+      let count = 0;
+      for (let row in grid) {
+        for (let cell in row) {
+          if (cell == 0) { count++; }
+        }
+      }
+      count;
+    `
+  },
+  {
+    name: 'Objects and strings',
+    data: { records: Array.from({ length: 20000 }, (_, i) => ({ id: i, name: 'item' + i, price: i % 50 })) },
+    code: `
+      let expensive = [];
+      for (let record in io_get("records")) {
+        if (record.price > 40) {
+          expensive[expensive.length] = \`\${record.name}#\${record.id}\`;
+        }
+      }
+      io_put("count", expensive.length);
+    `
+  }
+];
+
+// Run a script once and return the elapsed milliseconds
+async function time(backend, benchmark) {
+  const interpreter = new Interpreter({ backend });
+  interpreter.parse(benchmark.code);
+  const start = performance.now();
+  const result = await interpreter.evaluate({ ...benchmark.data }, []);
+  const elapsed = performance.now() - start;
+  if (!result.success) {
+    throw new Error(`${benchmark.name} failed on the ${backend} backend: ${result.errors[0].message}`);
+  }
+  return elapsed;
+}
+
+// Median of several runs, which is less affected by garbage collection than the mean
+async function measure(backend, benchmark) {
+  const times = [];
+  for (let i = 0; i < RUNS; i++) {
+    times.push(await time(backend, benchmark));
+  }
+  times.sort((a, b) => a - b);
+  return times[Math.floor(times.length / 2)];
+}
+
+console.log(`Median of ${RUNS} runs per backend\n`);
+for (const benchmark of BENCHMARKS) {
+  const ast = await measure('ast', benchmark);
+  const vm = await measure('vm', benchmark);
+  console.log(`${benchmark.name.padEnd(28)} ast ${ast.toFixed(1).padStart(8)} ms   vm ${vm.toFixed(1).padStart(8)} ms   ${(ast / vm).toFixed(2)}x`);
+}
@@ -138,7 +138,7 @@ async function debugAST() {
 
   // Debug the context and functions
   console.log('\n3.5. Inspecting interpreter context:');
-  console.log('   Context has variables:', Object.keys(interpreter.context.variables));
+  console.log('   Context has variables:', [...interpreter.context.environment.values.keys()]);
   console.log('   Context has functions:', Object.keys(interpreter.context.functions));
   console.log('   Has console_put:', 'console_put' in interpreter.context.functions);
 }
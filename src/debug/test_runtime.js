@@ -23,7 +23,7 @@ function testEvaluationContext() {
   console.log('Initial state:');
   console.log('- jsonData:', context.jsonData);
   console.log('- consoleOutput:', context.consoleOutput);
-  console.log('- variables:', context.variables);
+  console.log('- variables:', Object.fromEntries(context.environment.values));
   
   // Test variable assignment and lookup
   console.log('\nTesting variable operations:');
@@ -3,7 +3,26 @@
  * Following Niklaus Wirth's approach of simple, clear node structures
  */
 
-import { ReturnValue, RuntimeError, LibraryFunction } from './runtime.js';
+import { ReturnValue, BreakSignal, ContinueSignal, RuntimeError, LimitExceededError, CancelledError } from './runtime.js';
+import { Decimal } from './decimal.js';
+import { defineDataProperty, isBlockedKey, ownDataProperty } from './properties.js';
+import {
+  applyArithmetic,
+  applyPrefixOperator,
+  applyBinaryOperator,
+  checkNumberOperands,
+  decimalOperands,
+  assignVariable,
+  checkRedeclaration,
+  readMember,
+  assignMember,
+  invokeFunction,
+  thrownError,
+  toErrorValue,
+  typeName,
+  checkpoint,
+  isTruthy
+} from './operations.js';
 
 // Base Node class
 export class Node {
@@ -35,11 +54,13 @@ export class Program extends Node {
   constructor() {
     super();
     this.statements = [];
+    this.strict = false;  // Whether the script starts with a "use strict"; directive
   }
   
   toJSON() {
     return {
       type: 'Program',
+      strict: this.strict,
       statements: this.statements.map(stmt => stmt.toJSON())
     };
   }
@@ -47,7 +68,12 @@ export class Program extends Node {
   async evaluate(context) {
     let result = null;
     
+    if (this.strict) {
+      context.strict = true;
+    }
+    
     for (const statement of this.statements) {
+      await checkpoint(context, statement.position);
       result = await statement.evaluate(context);
       
       // Early return if we hit a return statement
@@ -77,13 +103,21 @@ export class BlockStatement extends Node {
   }
   
   async evaluate(context) {
+    // Each block gets its own scope, so declarations inside it do not leak out
+    return await this.evaluateInScope(context.createChildContext());
+  }
+  
+  // Run the statements in a scope opened by the caller. Function bodies share the
+  // scope of the parameters, so strict mode sees `let a` next to a parameter `a`.
+  async evaluateInScope(blockContext) {
     let result = null;
     
     for (const statement of this.statements) {
-      result = await statement.evaluate(context);
+      await checkpoint(blockContext, statement.position);
+      result = await statement.evaluate(blockContext);
       
-      // Early return from blocks if we hit a return statement
-      if (result instanceof ReturnValue) {
+      // Early return from blocks if we hit a return, break or continue statement
+      if (isControlSignal(result)) {
         return result;
       }
     }
@@ -112,31 +146,158 @@ export class ExpressionStatement extends Node {
 }
 
 export class VariableDeclaration extends Node {
-  constructor(name, initializer) {
+  constructor(name, initializer, pattern = null, kind = 'let') {
     super();
     this.name = name;
     this.initializer = initializer;
+    this.pattern = pattern;  // ArrayPattern or ObjectPattern when destructuring instead of a name
+    this.kind = kind;        // 'let' or 'const'
   }
   
   toJSON() {
     return {
       type: 'VariableDeclaration',
       position: this.position,
+      kind: this.kind,
       name: this.name,
+      pattern: this.pattern ? this.pattern.toJSON() : null,
       initializer: this.initializer ? this.initializer.toJSON() : null
     };
   }
   
   async evaluate(context) {
-    const value = this.initializer ? await this.initializer.evaluate(context) : null;
-    return context.getEnvironment().define(this.name, value);
+    const environment = context.getEnvironment();
+    
+    // Without an initializer the variable reads as null, or is an error in strict mode
+    if (!this.initializer) {
+      checkRedeclaration(context, this.name, this.position);
+      environment.declare(this.name);
+      return null;
+    }
+    
+    const value = await this.initializer.evaluate(context);
+    const constant = this.kind === 'const';
+    
+    if (this.pattern) {
+      await this.pattern.bind(value, context, (name, item) => {
+        checkRedeclaration(context, name, this.position);
+        environment.define(name, item, constant);
+      });
+      return value;
+    }
+    
+    checkRedeclaration(context, this.name, this.position);
+    return environment.define(this.name, value, constant);
+  }
+}
+
+export class ArrayPattern extends Node {
+  constructor(elements = []) {
+    super();
+    this.elements = elements; // Array of { target, defaultValue, rest }, null for skipped elements
+  }
+  
+  toJSON() {
+    return {
+      type: 'ArrayPattern',
+      position: this.position,
+      elements: this.elements.map(element => element ? {
+        target: element.target.toJSON(),
+        defaultValue: element.defaultValue ? element.defaultValue.toJSON() : null,
+        rest: element.rest
+      } : null)
+    };
+  }
+  
+  // Names of all variables bound by the pattern
+  bindingNames() {
+    return this.elements.flatMap(element => element ? targetNames(element.target) : []);
+  }
+  
+  // Bind the items of an array to the targets of the pattern
+  async bind(value, context, define) {
+    if (!Array.isArray(value)) {
+      throw new RuntimeError(
+        `Cannot destructure ${typeName(value)} as an array`,
+        this.position.line,
+        this.position.column
+      );
+    }
+    
+    for (let i = 0; i < this.elements.length; i++) {
+      const element = this.elements[i];
+      if (!element) {
+        continue;
+      }
+      
+      let item;
+      if (element.rest) {
+        item = value.slice(i);
+        context.quota.arrayElements(item.length, this.position);
+      } else if (i < value.length) {
+        item = value[i];
+      } else {
+        item = element.defaultValue ? await element.defaultValue.evaluate(context) : null;
+      }
+      
+      await bindTarget(element.target, item, context, define);
+    }
+  }
+}
+
+export class ObjectPattern extends Node {
+  constructor(properties = []) {
+    super();
+    this.properties = properties; // Array of { key, target, defaultValue }
+  }
+  
+  toJSON() {
+    return {
+      type: 'ObjectPattern',
+      position: this.position,
+      properties: this.properties.map(property => ({
+        key: property.key,
+        target: property.target.toJSON(),
+        defaultValue: property.defaultValue ? property.defaultValue.toJSON() : null
+      }))
+    };
+  }
+  
+  // Names of all variables bound by the pattern
+  bindingNames() {
+    return this.properties.flatMap(property => targetNames(property.target));
+  }
+  
+  // Bind the properties of an object to the targets of the pattern
+  async bind(value, context, define) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      throw new RuntimeError(
+        `Cannot destructure ${typeName(value)} as an object`,
+        this.position.line,
+        this.position.column
+      );
+    }
+    
+    for (const { key, target, defaultValue } of this.properties) {
+      const property = ownDataProperty(value, key);
+      let item;
+      if (property.found) {
+        item = property.value;
+      } else {
+        item = defaultValue ? await defaultValue.evaluate(context) : null;
+      }
+      
+      await bindTarget(target, item, context, define);
+    }
   }
 }
 
 export class AssignmentStatement extends Node {
-  constructor(name, value) {
+  constructor(target, value, operator = '=') {
     super();
-    this.name = name;
+    this.target = target;   // Identifier or MemberExpression
+    this.name = target instanceof Identifier ? target.name : null;
+    this.operator = operator; // '=' or a compound operator such as '+='
     this.value = value;
   }
   
@@ -145,37 +306,38 @@ export class AssignmentStatement extends Node {
       type: 'AssignmentStatement',
       position: this.position,
       name: this.name,
+      target: this.target ? this.target.toJSON() : null,
+      operator: this.operator,
       value: this.value ? this.value.toJSON() : null
     };
   }
   
   async evaluate(context) {
-    const value = await this.value.evaluate(context);
+    const reference = await resolveReference(this.target, context);
     
-    // Try to assign directly to the context's variables
-    try {
-      return context.assignVariable(this.name, value);
-    } catch (error) {
-      // If that fails, try to assign to the environment
-      try {
-        return context.getEnvironment().assign(this.name, value, this.position);
-      } catch (envError) {
-        throw new RuntimeError(
-          `Cannot assign to undefined variable '${this.name}'`,
-          this.position.line,
-          this.position.column
-        );
-      }
+    if (this.operator === '=') {
+      return await reference.set(await this.value.evaluate(context));
+    }
+    
+    // Compound assignment: x += y is x = x + y with x evaluated once
+    const current = await reference.get();
+    const value = await this.value.evaluate(context);
+    const arithmeticOperator = this.operator.slice(0, -1);
+    const result = applyArithmetic(arithmeticOperator, current, value, this.position);
+    if (typeof result === 'string') {
+      context.quota.stringLength(result.length, this.position);
     }
+    return await reference.set(result);
   }
 }
 
 export class FunctionDeclaration extends Node {
-  constructor(name, parameters, body) {
+  constructor(name, parameters, body, constant = false) {
     super();
     this.name = name;
     this.parameters = parameters || [];
     this.body = body;
+    this.constant = constant;  // Whether the function name cannot be reassigned
   }
   
   toJSON() {
@@ -183,31 +345,54 @@ export class FunctionDeclaration extends Node {
       type: 'FunctionDeclaration',
       position: this.position,
       name: this.name,
-      parameters: this.parameters,
+      constant: this.constant,
+      parameters: this.parameters.map(param => param.toJSON()),
       body: this.body ? this.body.toJSON() : null
     };
   }
   
+  // Parameter names that named arguments can refer to, by position;
+  // rest and destructured parameters cannot be named
+  parameterNames() {
+    return this.parameters.map(param => (param.rest || param.pattern ? null : param.name));
+  }
+  
   async evaluate(context) {
     // Create a function that captures the current context for closure support
     const func = async (args) => {
-      // Create parameter object to initialize the child context
-      const paramVars = {};
+      // Create a new child context that inherits from the current context (closure)
+      const functionContext = context.createChildContext();
       
-      // Bind arguments to parameters
+      // Bind arguments to parameters from left to right,
+      // so default values can refer to earlier parameters
       for (let i = 0; i < this.parameters.length; i++) {
         const param = this.parameters[i];
-        const arg = i < args.length ? args[i] : null;
-        paramVars[param] = arg;
+        let value = null;
+        
+        if (param.rest) {
+          value = args.slice(i);
+          context.quota.arrayElements(value.length, param.position);
+        } else if (i < args.length && args[i] !== undefined) {
+          value = args[i];
+        } else if (param.defaultValue) {
+          value = await param.defaultValue.evaluate(functionContext);
+        }
+        
+        const scope = functionContext.getEnvironment();
+        if (param.pattern) {
+          await param.pattern.bind(value, functionContext, (name, item) => {
+            checkRedeclaration(functionContext, name, param.position);
+            scope.define(name, item);
+          });
+        } else {
+          checkRedeclaration(functionContext, param.name, param.position);
+          scope.define(param.name, value);
+        }
       }
       
-      // Create a new child context that inherits from the current context (closure)
-      // and initialize it with the parameter variables
-      const functionContext = context.createChildContext(paramVars);
-      
       let result;
       try {
-        result = await this.body.evaluate(functionContext);
+        result = await this.body.evaluateInScope(functionContext);
       } catch (error) {
         throw error;
       }
@@ -220,9 +405,15 @@ export class FunctionDeclaration extends Node {
       return result;
     };
     
+    // Used for arity checks and named arguments at call sites
+    func.functionName = this.name;
+    func.maxArguments = this.parameters.some(param => param.rest) ? Infinity : this.parameters.length;
+    func.parameterNames = this.parameterNames();
+    
     // If this is a named function, store it in the environment
     if (this.name) {
-      return context.getEnvironment().define(this.name, func);
+      checkRedeclaration(context, this.name, this.position);
+      return context.getEnvironment().define(this.name, func, this.constant);
     }
     
     // For anonymous functions, return the function directly
@@ -230,6 +421,94 @@ export class FunctionDeclaration extends Node {
   }
 }
 
+export class ImportDeclaration extends Node {
+  constructor(specifiers, source) {
+    super();
+    this.specifiers = specifiers || [];  // [{ imported, local }]
+    this.source = source;                // Module name passed to the resolver
+  }
+  
+  toJSON() {
+    return {
+      type: 'ImportDeclaration',
+      position: this.position,
+      specifiers: this.specifiers,
+      source: this.source
+    };
+  }
+  
+  async evaluate(context) {
+    if (!context.moduleLoader) {
+      throw new RuntimeError(
+        `Cannot import '${this.source}': modules are not available`,
+        this.position.line,
+        this.position.column
+      );
+    }
+    
+    const exports = await context.moduleLoader.load(this.source, this.position);
+    
+    for (const { imported, local } of this.specifiers) {
+      if (!Object.prototype.hasOwnProperty.call(exports, imported)) {
+        throw new RuntimeError(
+          `Module '${this.source}' has no export named '${imported}'`,
+          this.position.line,
+          this.position.column
+        );
+      }
+      checkRedeclaration(context, local, this.position);
+      // Imported bindings are constant, whatever kind of declaration exported them
+      context.getEnvironment().define(local, exports[imported], true);
+    }
+    
+    return null;
+  }
+}
+
+export class ExportDeclaration extends Node {
+  constructor(declaration) {
+    super();
+    this.declaration = declaration;  // Named FunctionDeclaration or VariableDeclaration
+  }
+  
+  get name() {
+    return this.declaration.name;
+  }
+  
+  toJSON() {
+    return {
+      type: 'ExportDeclaration',
+      position: this.position,
+      declaration: this.declaration ? this.declaration.toJSON() : null
+    };
+  }
+  
+  async evaluate(context) {
+    return await this.declaration.evaluate(context);
+  }
+}
+
+export class Parameter extends Node {
+  constructor(name, defaultValue = null, rest = false, pattern = null) {
+    super();
+    this.name = name;
+    this.defaultValue = defaultValue;  // Expression used when the argument is not passed
+    this.rest = rest;                  // Whether this is a rest parameter e.g. ...items
+    this.pattern = pattern;            // ArrayPattern or ObjectPattern when destructuring instead of a name
+  }
+  
+  toJSON() {
+    return {
+      type: 'Parameter',
+      position: this.position,
+      name: this.name,
+      pattern: this.pattern ? this.pattern.toJSON() : null,
+      defaultValue: this.defaultValue ? this.defaultValue.toJSON() : null,
+      rest: this.rest
+    };
+  }
+}
+
 export class ReturnStatement extends Node {
   constructor(value) {
     super();
@@ -250,62 +529,476 @@ export class ReturnStatement extends Node {
   }
 }
 
-export class IfStatement extends Node {
-  constructor(condition, consequence, alternative) {
+export class BreakStatement extends Node {
+  toJSON() {
+    return {
+      type: 'BreakStatement',
+      position: this.position
+    };
+  }
+  
+  async evaluate() {
+    return new BreakSignal();
+  }
+}
+
+export class ContinueStatement extends Node {
+  toJSON() {
+    return {
+      type: 'ContinueStatement',
+      position: this.position
+    };
+  }
+  
+  async evaluate() {
+    return new ContinueSignal();
+  }
+}
+
+export class ThrowStatement extends Node {
+  constructor(value) {
+    super();
+    this.value = value;
+  }
+  
+  toJSON() {
+    return {
+      type: 'ThrowStatement',
+      position: this.position,
+      value: this.value ? this.value.toJSON() : null
+    };
+  }
+  
+  async evaluate(context) {
+    const value = await this.value.evaluate(context);
+    throw thrownError(context, value, this.position);
+  }
+}
+
+export class TryStatement extends Node {
+  constructor(block, parameter, handler, finalizer) {
+    super();
+    this.block = block;
+    this.parameter = parameter || null;  // Name bound to the error in the catch block
+    this.handler = handler || null;      // Catch block
+    this.finalizer = finalizer || null;  // Finally block
+  }
+  
+  toJSON() {
+    return {
+      type: 'TryStatement',
+      position: this.position,
+      block: this.block ? this.block.toJSON() : null,
+      parameter: this.parameter,
+      handler: this.handler ? this.handler.toJSON() : null,
+      finalizer: this.finalizer ? this.finalizer.toJSON() : null
+    };
+  }
+  
+  async evaluate(context) {
+    let result = null;
+    let pendingError = null;
+    
+    try {
+      result = await this.block.evaluate(context);
+    } catch (error) {
+      // Cancelling the run or running out of a budget ends it; neither catch nor finally blocks run
+      if (error instanceof LimitExceededError || error instanceof CancelledError) {
+        throw error;
+      }
+      if (this.handler) {
+        // The catch block runs in its own scope holding the error value
+        const catchVars = this.parameter ? { [this.parameter]: toErrorValue(error) } : {};
+        try {
+          result = await this.handler.evaluate(context.createChildContext(catchVars));
+        } catch (handlerError) {
+          if (handlerError instanceof LimitExceededError || handlerError instanceof CancelledError) {
+            throw handlerError;
+          }
+          pendingError = handlerError;
+        }
+      } else {
+        pendingError = error;
+      }
+    }
+    
+    if (this.finalizer) {
+      // A return, break or continue in the finally block wins over everything else
+      const finalResult = await this.finalizer.evaluate(context);
+      if (isControlSignal(finalResult)) {
+        return finalResult;
+      }
+    }
+    
+    if (pendingError) {
+      throw pendingError;
+    }
+    
+    return result;
+  }
+}
+
+export class IfStatement extends Node {
+  constructor(condition, consequence, alternative) {
+    super();
+    this.condition = condition;
+    this.consequence = consequence;
+    this.alternative = alternative;
+  }
+  
+  toJSON() {
+    return {
+      type: 'IfStatement',
+      position: this.position,
+      condition: this.condition ? this.condition.toJSON() : null,
+      consequence: this.consequence ? this.consequence.toJSON() : null,
+      alternative: this.alternative ? this.alternative.toJSON() : null
+    };
+  }
+  
+  async evaluate(context) {
+    const condition = await this.condition.evaluate(context);
+    
+    if (isTruthy(condition)) {
+      return await this.consequence.evaluate(context);
+    } else if (this.alternative) {
+      return await this.alternative.evaluate(context);
+    }
+    
+    return null;
+  }
+}
+
+export class MatchStatement extends Node {
+  constructor(subject, arms) {
+    super();
+    this.subject = subject;
+    this.arms = arms || []; // Array of { patterns, isDefault, body }
+  }
+  
+  toJSON() {
+    return {
+      type: 'MatchStatement',
+      position: this.position,
+      subject: this.subject ? this.subject.toJSON() : null,
+      arms: this.arms.map(arm => ({
+        patterns: arm.patterns.map(pattern => pattern.toJSON()),
+        isDefault: arm.isDefault,
+        body: arm.body ? arm.body.toJSON() : null
+      }))
+    };
+  }
+  
+  async evaluate(context) {
+    const value = await this.subject.evaluate(context);
+    
+    // The first arm with a matching pattern wins; there is no fallthrough
+    for (const arm of this.arms) {
+      const bindings = arm.isDefault ? {} : this.matchArm(arm, value, context);
+      if (bindings) {
+        // Variables bound by the pattern are only visible in the arm
+        return await arm.body.evaluate(context.createChildContext(bindings));
+      }
+    }
+    
+    return null;
+  }
+  
+  // Return the variables bound by the first matching pattern of the arm, or null
+  matchArm(arm, value, context) {
+    for (const pattern of arm.patterns) {
+      const bindings = {};
+      if (pattern.match(value, bindings, context)) {
+        return bindings;
+      }
+    }
+    return null;
+  }
+}
+
+export class LiteralPattern extends Node {
+  constructor(value) {
+    super();
+    this.value = value; // Number, string, boolean or null
+  }
+  
+  toJSON() {
+    return {
+      type: 'LiteralPattern',
+      position: this.position,
+      value: this.value
+    };
+  }
+  
+  match(value) {
+    const decimals = decimalOperands(value, this.value);
+    if (decimals) {
+      return decimals[0].equals(decimals[1]);
+    }
+    return (value === undefined ? null : value) === this.value;
+  }
+}
+
+export class BindingPattern extends Node {
+  constructor(name) {
+    super();
+    this.name = name; // '_' matches without binding
+  }
+  
+  toJSON() {
+    return {
+      type: 'BindingPattern',
+      position: this.position,
+      name: this.name
+    };
+  }
+  
+  match(value, bindings) {
+    if (this.name !== '_') {
+      bindings[this.name] = value === undefined ? null : value;
+    }
+    return true;
+  }
+}
+
+export class ArrayMatchPattern extends Node {
+  constructor(elements = [], rest = null) {
+    super();
+    this.elements = elements; // Patterns for the leading items
+    this.rest = rest;         // Name bound to the remaining items, if the pattern ends with ...name
+  }
+  
+  toJSON() {
+    return {
+      type: 'ArrayMatchPattern',
+      position: this.position,
+      elements: this.elements.map(element => element.toJSON()),
+      rest: this.rest
+    };
+  }
+  
+  // Without a rest element the array must have exactly as many items as the pattern.
+  // The items bound to the rest element count towards the quotas of the run.
+  match(value, bindings, context) {
+    if (!Array.isArray(value)) {
+      return false;
+    }
+    
+    const lengthMatches = this.rest === null
+      ? value.length === this.elements.length
+      : value.length >= this.elements.length;
+    if (!lengthMatches) {
+      return false;
+    }
+    
+    if (!this.elements.every((element, i) => element.match(value[i], bindings, context))) {
+      return false;
+    }
+    
+    if (this.rest !== null && this.rest !== '_') {
+      const rest = value.slice(this.elements.length);
+      context.quota.arrayElements(rest.length, this.position);
+      bindings[this.rest] = rest;
+    }
+    
+    return true;
+  }
+}
+
+export class ObjectMatchPattern extends Node {
+  constructor(properties = []) {
+    super();
+    this.properties = properties; // Array of { key, value } where value is a pattern
+  }
+  
+  toJSON() {
+    return {
+      type: 'ObjectMatchPattern',
+      position: this.position,
+      properties: this.properties.map(property => ({
+        key: property.key,
+        value: property.value.toJSON()
+      }))
+    };
+  }
+  
+  // Every listed property must be present and match; other properties are ignored
+  match(value, bindings, context) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return false;
+    }
+    
+    return this.properties.every(({ key, value: pattern }) => {
+      const property = ownDataProperty(value, key);
+      return property.found && pattern.match(property.value, bindings, context);
+    });
+  }
+}
+
+export class WhileStatement extends Node {
+  constructor(condition, body) {
+    super();
+    this.condition = condition;
+    this.body = body;
+  }
+  
+  toJSON() {
+    return {
+      type: 'WhileStatement',
+      position: this.position,
+      condition: this.condition ? this.condition.toJSON() : null,
+      body: this.body ? this.body.toJSON() : null
+    };
+  }
+  
+  async evaluate(context) {
+    let result = null;
+    
+    while (isTruthy(await this.condition.evaluate(context))) {
+      await checkpoint(context, this.position);
+      const value = await this.body.evaluate(context);
+      
+      // Handle return statements inside the loop
+      if (value instanceof ReturnValue) {
+        return value;
+      }
+      
+      if (value instanceof BreakSignal) {
+        break;
+      }
+      
+      if (!(value instanceof ContinueSignal)) {
+        result = value;
+      }
+    }
+    
+    return result;
+  }
+}
+
+export class ForStatement extends Node {
+  constructor(initializer, condition, update, body) {
     super();
-    this.condition = condition;
-    this.consequence = consequence;
-    this.alternative = alternative;
+    this.initializer = initializer || null;
+    this.condition = condition || null;
+    this.update = update || null;
+    this.body = body;
   }
   
   toJSON() {
     return {
-      type: 'IfStatement',
+      type: 'ForStatement',
       position: this.position,
+      initializer: this.initializer ? this.initializer.toJSON() : null,
       condition: this.condition ? this.condition.toJSON() : null,
-      consequence: this.consequence ? this.consequence.toJSON() : null,
-      alternative: this.alternative ? this.alternative.toJSON() : null
+      update: this.update ? this.update.toJSON() : null,
+      body: this.body ? this.body.toJSON() : null
     };
   }
   
   async evaluate(context) {
-    const condition = await this.condition.evaluate(context);
+    // Variables declared in the initializer are scoped to the loop
+    let loopContext = context.createChildContext();
+    let result = null;
     
-    if (isTruthy(condition)) {
-      return await this.consequence.evaluate(context);
-    } else if (this.alternative) {
-      return await this.alternative.evaluate(context);
+    if (this.initializer) {
+      await this.initializer.evaluate(loopContext);
     }
     
-    return null;
+    // A missing condition loops until a return statement
+    while (!this.condition || isTruthy(await this.condition.evaluate(loopContext))) {
+      await checkpoint(context, this.position);
+      const value = await this.body.evaluate(loopContext);
+      
+      // Handle return statements inside the loop
+      if (value instanceof ReturnValue) {
+        return value;
+      }
+      
+      if (value instanceof BreakSignal) {
+        break;
+      }
+      
+      // A continue statement still runs the update clause
+      if (!(value instanceof ContinueSignal)) {
+        result = value;
+      }
+      
+      // Each iteration gets fresh copies of the loop variables, so closures capture their current values
+      if (this.initializer instanceof VariableDeclaration) {
+        loopContext = loopContext.createIterationContext();
+      }
+      
+      if (this.update) {
+        await this.update.evaluate(loopContext);
+      }
+    }
+    
+    return result;
   }
 }
 
-export class WhileStatement extends Node {
-  constructor(condition, body) {
+export class ForInStatement extends Node {
+  constructor(variable, iterable, body) {
     super();
-    this.condition = condition;
+    this.variable = variable;   // Name of the loop variable
+    this.iterable = iterable;   // Expression producing an array, object or string
     this.body = body;
+    this.constant = false;      // Whether the loop variable was declared const
   }
   
   toJSON() {
     return {
-      type: 'WhileStatement',
+      type: 'ForInStatement',
       position: this.position,
-      condition: this.condition ? this.condition.toJSON() : null,
+      variable: this.variable,
+      constant: this.constant,
+      iterable: this.iterable ? this.iterable.toJSON() : null,
       body: this.body ? this.body.toJSON() : null
     };
   }
   
   async evaluate(context) {
+    const collection = await this.iterable.evaluate(context);
+    let items;
+    
+    // Arrays and strings yield their elements, objects yield their keys.
+    // The items are copied so the body may modify the collection.
+    if (Array.isArray(collection)) {
+      items = [...collection];
+    } else if (typeof collection === 'string') {
+      items = Array.from(collection);
+    } else if (collection !== null && typeof collection === 'object') {
+      items = Object.keys(collection);
+    } else {
+      throw new RuntimeError(
+        `Cannot iterate over ${context.stringify(collection)}`,
+        this.position.line,
+        this.position.column
+      );
+    }
+    
     let result = null;
     
-    while (isTruthy(await this.condition.evaluate(context))) {
-      result = await this.body.evaluate(context);
+    for (const item of items) {
+      await checkpoint(context, this.position);
+      
+      // Each iteration gets a fresh binding, so closures capture the current item
+      const iterationContext = context.createChildContext();
+      iterationContext.getEnvironment().define(this.variable, item, this.constant);
+      const value = await this.body.evaluate(iterationContext);
       
       // Handle return statements inside the loop
-      if (result instanceof ReturnValue) {
-        return result;
+      if (value instanceof ReturnValue) {
+        return value;
+      }
+      
+      if (value instanceof BreakSignal) {
+        break;
+      }
+      
+      if (!(value instanceof ContinueSignal)) {
+        result = value;
       }
     }
     
@@ -330,20 +1023,18 @@ export class Identifier extends Node {
   }
   
   async evaluate(context) {
+    if (context.strict && !context.isInitialized(this.name)) {
+      throw new RuntimeError(
+        `Cannot read variable '${this.name}' before it is initialized`,
+        this.position.line,
+        this.position.column
+      );
+    }
+    
     try {
-      // First try to look up via the context's lookupVariable method
-      // which also checks for functions
+      // Look up the variable in the scope chain, which also checks for functions
       return context.lookupVariable(this.name);
     } catch (error) {
-      // If that fails, fall back to environment if it exists
-      try {
-        if (context.getEnvironment) {
-          return context.getEnvironment().get(this.name, this.position);
-        }
-      } catch (envError) {
-        // Ignore environment error, we'll throw our own below
-      }
-      
       throw new RuntimeError(
         `Undefined variable '${this.name}'`,
         this.position.line,
@@ -354,9 +1045,10 @@ export class Identifier extends Node {
 }
 
 export class NumberLiteral extends Node {
-  constructor(value) {
+  constructor(value, raw = String(value)) {
     super();
     this.value = value;
+    this.raw = raw;  // Source text, so decimal mode keeps every digit
   }
   
   toJSON() {
@@ -368,6 +1060,14 @@ export class NumberLiteral extends Node {
   }
   
   async evaluate(context) {
+    if (context.options.decimal) {
+      try {
+        this.decimal = this.decimal || Decimal.parse(this.raw);
+      } catch (error) {
+        throw new RuntimeError(error.message, this.position.line, this.position.column);
+      }
+      return this.decimal;
+    }
     return this.value;
   }
 }
@@ -391,6 +1091,37 @@ export class StringLiteral extends Node {
   }
 }
 
+export class TemplateLiteral extends Node {
+  constructor(quasis = [], expressions = []) {
+    super();
+    this.quasis = quasis;           // Text parts, one more than there are expressions
+    this.expressions = expressions; // Embedded ${...} expressions
+  }
+  
+  toJSON() {
+    return {
+      type: 'TemplateLiteral',
+      position: this.position,
+      quasis: this.quasis,
+      expressions: this.expressions.map(e => e ? e.toJSON() : null)
+    };
+  }
+  
+  async evaluate(context) {
+    let result = this.quasis[0];
+    
+    for (let i = 0; i < this.expressions.length; i++) {
+      const value = await this.expressions[i].evaluate(context);
+      result += context.stringify(value) + this.quasis[i + 1];
+    }
+    
+    if (this.expressions.length > 0) {
+      context.quota.stringLength(result.length, this.position);
+    }
+    return result;
+  }
+}
+
 export class BooleanLiteral extends Node {
   constructor(value) {
     super();
@@ -445,19 +1176,39 @@ export class PrefixExpression extends Node {
   
   async evaluate(context) {
     const right = await this.right.evaluate(context);
+    return applyPrefixOperator(this.operator, right, this.position);
+  }
+}
+
+export class UpdateExpression extends Node {
+  constructor(operator, target, prefix) {
+    super();
+    this.operator = operator; // '++' or '--'
+    this.target = target;     // Identifier or MemberExpression
+    this.prefix = prefix;     // true for ++x, false for x++
+  }
+  
+  toJSON() {
+    return {
+      type: 'UpdateExpression',
+      position: this.position,
+      operator: this.operator,
+      target: this.target ? this.target.toJSON() : null,
+      prefix: this.prefix
+    };
+  }
+  
+  async evaluate(context) {
+    const reference = await resolveReference(this.target, context);
+    const current = await reference.get();
+    checkNumberOperands(this.operator, [current], this.position);
+    const arithmeticOperator = this.operator === '++' ? '+' : '-';
+    const updated = applyArithmetic(arithmeticOperator, current, 1, this.position);
     
-    switch (this.operator) {
-      case '-':
-        return -right;
-      case '!':
-        return !isTruthy(right);
-      default:
-        throw new RuntimeError(
-          `Unknown prefix operator: ${this.operator}`,
-          this.position.line,
-          this.position.column
-        );
-    }
+    await reference.set(updated);
+    
+    // Prefix form yields the new value, postfix form the old one
+    return this.prefix ? updated : current;
   }
 }
 
@@ -491,67 +1242,40 @@ export class InfixExpression extends Node {
       return isTruthy(left) ? left : await this.right.evaluate(context);
     }
     
-    const right = await this.right.evaluate(context);
+    // Unlike ||, ?? only falls back for null, so 0, "" and false are kept
+    if (this.operator === '??') {
+      return left === null || left === undefined ? await this.right.evaluate(context) : left;
+    }
     
-    switch (this.operator) {
-      case '+':
-        // Handle string concatenation
-        if (typeof left === 'string' || typeof right === 'string') {
-          return String(left) + String(right);
-        }
-        return left + right;
-      
-      case '-':
-        return left - right;
-      
-      case '*':
-        return left * right;
-      
-      case '/':
-        if (right === 0) {
-          throw new RuntimeError(
-            'Division by zero',
-            this.position.line,
-            this.position.column
-          );
-        }
-        return left / right;
-      
-      case '%':
-        if (right === 0) {
-          throw new RuntimeError(
-            'Modulo by zero',
-            this.position.line,
-            this.position.column
-          );
-        }
-        return left % right;
-      
-      case '<':
-        return left < right;
-      
-      case '>':
-        return left > right;
-      
-      case '<=':
-        return left <= right;
-      
-      case '>=':
-        return left >= right;
-      
-      case '==':
-        return left === right;
-      
-      case '!=':
-        return left !== right;
-      
-      default:
-        throw new RuntimeError(
-          `Unknown infix operator: ${this.operator}`,
-          this.position.line,
-          this.position.column
-        );
+    const right = await this.right.evaluate(context);
+    return applyBinaryOperator(context, this.operator, left, right, this.position);
+  }
+}
+
+export class ConditionalExpression extends Node {
+  constructor(condition, consequence, alternative) {
+    super();
+    this.condition = condition;
+    this.consequence = consequence;
+    this.alternative = alternative;
+  }
+  
+  toJSON() {
+    return {
+      type: 'ConditionalExpression',
+      position: this.position,
+      condition: this.condition ? this.condition.toJSON() : null,
+      consequence: this.consequence ? this.consequence.toJSON() : null,
+      alternative: this.alternative ? this.alternative.toJSON() : null
+    };
+  }
+  
+  async evaluate(context) {
+    // Only the selected branch is evaluated
+    if (isTruthy(await this.condition.evaluate(context))) {
+      return await this.consequence.evaluate(context);
     }
+    return await this.alternative.evaluate(context);
   }
 }
 
@@ -571,64 +1295,94 @@ export class CallExpression extends Node {
   }
   
   async evaluate(context) {
-    // First, evaluate the arguments
-    const args = [];
-    for (const arg of this.arguments) {
-      try {
-        const value = await arg.evaluate(context);
-        args.push(value);
-      } catch (error) {
-        throw error;
-      }
-    }
-    
-    // Then evaluate the callee
-    let callee;
-    try {
-      callee = await this.callee.evaluate(context);
-    } catch (error) {
-      throw error;
+    const result = await this.evaluateChain(context);
+    return result === SHORT_CIRCUIT ? null : result;
+  }
+  
+  // Evaluate the call as a link of a (possibly optional) chain such as a?.b()
+  async evaluateChain(context) {
+    // First, evaluate the callee, so a short-circuited chain skips the call
+    const callee = await evaluateChainObject(this.callee, context);
+    if (callee === SHORT_CIRCUIT) {
+      return SHORT_CIRCUIT;
     }
     
-    // Check if it's a library function
-    if (callee instanceof LibraryFunction) {
-      // Handle async library functions
-      if (callee.isAsync) {
-        return await callee.implementation(...args);
+    // Then evaluate the arguments, expanding spread arguments in place.
+    // Named arguments come last and are passed as [name, value] pairs.
+    const args = [];
+    const named = [];
+    for (const arg of this.arguments) {
+      if (arg instanceof SpreadElement) {
+        args.push(...await arg.evaluate(context));
+      } else if (arg instanceof NamedArgument) {
+        named.push([arg.name, await arg.evaluate(context)]);
       } else {
-        // Keep backward compatibility with sync library functions
-        return callee.implementation(...args);
+        args.push(await arg.evaluate(context));
       }
     }
     
-    // Check if it's a user-defined function
-    if (typeof callee === 'function') {
-      // Check if this is an async function
-      const funcName = this.callee.name; // Assuming callee is an Identifier
-      if (funcName && context.isAsyncFunction && context.isAsyncFunction(funcName)) {
-        // User defined async functions expect args as a single array
-        return await callee(args);
-      } else {
-        // User defined functions in this interpreter expect args as a single array
-        // and we want to make sure arrays inside args aren't nested unnecessarily
-        return callee(args);
-      }
+    return await invokeFunction(context, callee, args, this.position, named);
+  }
+}
+
+export class NamedArgument extends Node {
+  constructor(name, value) {
+    super();
+    this.name = name;   // The parameter the argument is passed to, as in f(name: value)
+    this.value = value;
+  }
+  
+  toJSON() {
+    return {
+      type: 'NamedArgument',
+      position: this.position,
+      name: this.name,
+      value: this.value ? this.value.toJSON() : null
+    };
+  }
+  
+  async evaluate(context) {
+    return await this.value.evaluate(context);
+  }
+}
+
+export class SpreadElement extends Node {
+  constructor(argument) {
+    super();
+    this.argument = argument;
+  }
+  
+  toJSON() {
+    return {
+      type: 'SpreadElement',
+      position: this.position,
+      argument: this.argument ? this.argument.toJSON() : null
+    };
+  }
+  
+  // Evaluates to the array of values to spread
+  async evaluate(context) {
+    const value = await this.argument.evaluate(context);
+    
+    if (!Array.isArray(value)) {
+      throw new RuntimeError(
+        `Cannot spread non-array value: ${context.stringify(value)}`,
+        this.position.line,
+        this.position.column
+      );
     }
     
-    throw new RuntimeError(
-      `Cannot call non-function: ${context.stringify(callee)}`,
-      this.position.line,
-      this.position.column
-    );
+    return value;
   }
 }
 
 export class MemberExpression extends Node {
-  constructor(object, property, computed = false) {
+  constructor(object, property, computed = false, optional = false) {
     super();
     this.object = object;       // The object being accessed
     this.property = property;   // The property being accessed
     this.computed = computed;   // Whether this is computed access e.g. obj[expr] (true) or obj.prop (false)
+    this.optional = optional;   // Whether this is optional access e.g. obj?.prop, which yields null for a null object
   }
   
   toJSON() {
@@ -637,27 +1391,61 @@ export class MemberExpression extends Node {
       position: this.position,
       object: this.object ? this.object.toJSON() : null,
       property: this.property ? this.property.toJSON() : null,
-      computed: this.computed
+      computed: this.computed,
+      optional: this.optional
     };
   }
   
-  async evaluate(context) {
-    const object = await this.object.evaluate(context);
+  // Evaluate the object and the property key without reading the property,
+  // so the same reference can be used for reads and assignments.
+  // The object is SHORT_CIRCUIT when an optional link of the chain met null.
+  async evaluateReference(context) {
+    const object = await evaluateChainObject(this.object, context);
+    
+    if (object === SHORT_CIRCUIT || (this.optional && (object === null || object === undefined))) {
+      return { object: SHORT_CIRCUIT, property: null };
+    }
+    
     let property;
     
     if (this.computed) {
       // Computed member access: obj[expr]
       property = await this.property.evaluate(context);
+      
+      // Decimal indexes address the same element as the equal number
+      if (property instanceof Decimal) {
+        property = property.toNumber();
+      }
     } else {
       // Static member access: obj.prop
       property = this.property.name;
     }
     
+    return { object, property };
+  }
+  
+  async evaluate(context) {
+    const result = await this.evaluateChain(context);
+    return result === SHORT_CIRCUIT ? null : result;
+  }
+  
+  // Evaluate the member access as a link of a (possibly optional) chain
+  async evaluateChain(context) {
+    const { object, property } = await this.evaluateReference(context);
+    
+    if (object === SHORT_CIRCUIT) {
+      return SHORT_CIRCUIT;
+    }
+    
     if (object === null || object === undefined) {
-      throw new Error('Cannot access property of null or undefined');
+      throw new RuntimeError(
+        'Cannot access property of null or undefined',
+        this.position.line,
+        this.position.column
+      );
     }
     
-    return object[property];
+    return readMember(context, object, property, this.position);
   }
 }
 
@@ -676,6 +1464,7 @@ export class ArrayLiteral extends Node {
   }
   
   async evaluate(context) {
+    context.quota.arrayElements(this.elements.length, this.position);
     const result = [];
     for (const element of this.elements) {
       result.push(await element.evaluate(context));
@@ -684,11 +1473,89 @@ export class ArrayLiteral extends Node {
   }
 }
 
-// Helper function to determine if a value is truthy
-function isTruthy(value) {
-  if (value === null) return false;
-  if (typeof value === 'boolean') return value;
-  if (typeof value === 'number') return value !== 0;
-  if (typeof value === 'string') return value.length > 0;
-  return true;
-} 
\ No newline at end of file
+export class ObjectLiteral extends Node {
+  constructor(properties = []) {
+    super();
+    this.properties = properties; // Array of { key, value, computed }
+  }
+  
+  toJSON() {
+    return {
+      type: 'ObjectLiteral',
+      position: this.position,
+      properties: this.properties.map(p => ({
+        key: p.key ? p.key.toJSON() : null,
+        value: p.value ? p.value.toJSON() : null,
+        computed: p.computed
+      }))
+    };
+  }
+  
+  async evaluate(context) {
+    const result = {};
+    for (const property of this.properties) {
+      const key = context.stringify(await property.key.evaluate(context));
+      if (isBlockedKey(key)) {
+        throw new RuntimeError(
+          `Property name '${key}' is not allowed`,
+          property.key.position.line,
+          property.key.position.column
+        );
+      }
+      defineDataProperty(result, key, await property.value.evaluate(context));
+    }
+    context.quota.objectKeys(Object.keys(result).length, this.position);
+    return result;
+  }
+}
+
+// Marker passed along an optional chain once a ?. link met null,
+// so the remaining links of the chain (a?.b.c, a?.b()) are skipped
+const SHORT_CIRCUIT = Symbol('short-circuit');
+
+// Helper function to evaluate the object of a chain link, letting
+// member and call expressions report a short-circuited chain
+async function evaluateChainObject(node, context) {
+  if (node instanceof MemberExpression || node instanceof CallExpression) {
+    return await node.evaluateChain(context);
+  }
+  return await node.evaluate(context);
+}
+
+// Helper function to resolve an assignment target (Identifier or MemberExpression)
+// into a reference that can be read and written without evaluating the target twice
+async function resolveReference(target, context) {
+  if (target instanceof MemberExpression) {
+    const { object, property } = await target.evaluateReference(context);
+    return {
+      get: async () => readMember(context, object, property, target.position),
+      set: async (value) => assignMember(context, object, property, value, target.position)
+    };
+  }
+  
+  return {
+    get: async () => await target.evaluate(context),
+    set: async (value) => assignVariable(context, target.name, value, target.position)
+  };
+}
+
+// Helper function to bind a value to a variable name or a nested destructuring pattern
+async function bindTarget(target, value, context, define) {
+  if (target instanceof Identifier) {
+    define(target.name, value);
+  } else {
+    await target.bind(value, context, define);
+  }
+}
+
+// Helper function to list the variable names bound by a binding target
+function targetNames(target) {
+  return target instanceof Identifier ? [target.name] : target.bindingNames();
+}
+
+// Helper function to detect results that end a block early
+function isControlSignal(value) {
+  return value instanceof ReturnValue ||
+    value instanceof BreakSignal ||
+    value instanceof ContinueSignal;
+}
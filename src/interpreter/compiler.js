@@ -0,0 +1,926 @@
+/**
+ * Compiler from the AST to bytecode for the stack VM in vm.js
+ *
+ * A program and every function in it compile to a Chunk: a flat list of
+ * instructions, each an opcode and one integer operand, plus a pool of
+ * constants the operands refer to and the source position of every
+ * instruction for error messages. Expressions leave their value on the
+ * operand stack; statements leave theirs in the completion register, so
+ * the result of a program and of a function without a return statement is
+ * the same as with the tree-walking evaluator.
+ */
+
+import {
+  BlockStatement,
+  ExpressionStatement,
+  VariableDeclaration,
+  ArrayPattern,
+  AssignmentStatement,
+  FunctionDeclaration,
+  ImportDeclaration,
+  ExportDeclaration,
+  ReturnStatement,
+  BreakStatement,
+  ContinueStatement,
+  ThrowStatement,
+  TryStatement,
+  IfStatement,
+  MatchStatement,
+  WhileStatement,
+  ForStatement,
+  ForInStatement,
+  Identifier,
+  NumberLiteral,
+  StringLiteral,
+  TemplateLiteral,
+  BooleanLiteral,
+  NullLiteral,
+  PrefixExpression,
+  UpdateExpression,
+  InfixExpression,
+  ConditionalExpression,
+  CallExpression,
+  SpreadElement,
+  NamedArgument,
+  MemberExpression,
+  ArrayLiteral,
+  ObjectLiteral
+} from './ast.js';
+import { Decimal } from './decimal.js';
+
+// Opcodes of the VM. The comments show the stack before and after the instruction.
+export const Op = Object.freeze({
+  CONST: 0,           // -> constants[operand]
+  NULL: 1,            // -> null
+  POP: 2,             // value ->
+  POP_N: 3,           // operand values ->
+  DUP: 4,             // value -> value value
+  DUP2: 5,            // a b -> a b a b
+  BURY: 6,            // ...operand values, top -> top ...operand values
+  STORE_C: 7,         // value -> (completion = value)
+  LOAD_C: 8,          // -> completion
+  STEP: 9,            // counts a step of the run
+  STRICT: 10,         // enables strict mode for the run
+  LOAD_VAR: 11,       // -> variable named constants[operand]
+  ASSIGN_VAR: 12,     // value -> value, assigned to the variable
+  DEFINE: 13,         // value -> value, defined as described by constants[operand]
+  DECLARE: 14,        // -> null, declaring the variable without a value
+  PUSH_SCOPE: 15,     // enters a nested scope
+  POP_SCOPE: 16,      // leaves operand nested scopes
+  COPY_SCOPE: 17,     // replaces the innermost scope by a copy of its variables
+  JUMP: 18,
+  JUMP_IF_FALSE: 19,  // value ->
+  AND: 20,            // value -> value and jump if falsy, otherwise value ->
+  OR: 21,             // value -> value and jump if truthy, otherwise value ->
+  COALESCE: 22,       // value -> value and jump unless null, otherwise value ->
+  OPTIONAL: 23,       // value -> null and jump if null, otherwise value -> value
+  JUMP_IF_PRESENT: 24, // item -> item and jump unless missing, otherwise item ->
+  JUMP_IF_NULL: 25,   // value -> and jump if null, otherwise value -> value
+  ADD: 26,            // left right -> result
+  SUBTRACT: 27,
+  MULTIPLY: 28,
+  LESS: 29,
+  LESS_EQUAL: 30,
+  GREATER: 31,
+  GREATER_EQUAL: 32,
+  EQUAL: 33,
+  NOT_EQUAL: 34,
+  BINARY: 35,         // left right -> result of the operator constants[operand]
+  PREFIX: 36,         // value -> result of the operator constants[operand]
+  UPDATE: 37,         // value -> value plus or minus 1, for the operator constants[operand]
+  TEMPLATE: 38,       // ...values -> text, joined with the quasis constants[operand]
+  ARRAY_QUOTA: 39,    // accounts for an array literal of operand elements
+  MAKE_ARRAY: 40,     // ...operand items -> array
+  NEW_OBJECT: 41,     // -> object
+  OBJECT_KEY: 42,     // key -> property name
+  OBJECT_SET: 43,     // object name value -> object
+  OBJECT_QUOTA: 44,   // object -> object, accounting for its keys
+  SPREAD: 45,         // value -> value, which must be an array
+  GET_MEMBER: 46,     // object property -> value
+  GET_PROPERTY: 47,   // object -> value of the property constants[operand]
+  READ_MEMBER: 48,    // object property -> value, for compound assignments
+  SET_MEMBER: 49,     // object property value -> value
+  CALL: 50,           // callee ...args -> result, with operand arguments
+  ARGS: 51,           // -> empty argument list
+  ARG: 52,            // list value -> list
+  SPREAD_ARG: 53,     // list array -> list
+  CALL_ARGS: 54,      // callee list -> result
+  CALL_NAMED: 55,     // callee list ...values -> result, naming the values constants[operand]
+  FUNCTION: 56,       // -> closure of the function constants[operand]
+  LOAD_ARG: 57,       // -> argument operand, or missing
+  LOAD_REST: 58,      // -> the arguments from operand on
+  PATTERN_ARRAY: 59,  // value -> value, which must be an array
+  PATTERN_OBJECT: 60, // value -> value, which must be an object
+  PATTERN_ITEM: 61,   // array -> item operand, or missing
+  PATTERN_REST: 62,   // array -> the items from operand on
+  PATTERN_PROPERTY: 63, // object -> property constants[operand], or missing
+  ITERATE: 64,        // collection -> iterator
+  NEXT: 65,           // iterator -> iterator item, or iterator and jump when done
+  SET_RESULT: 66,     // stores the completion in the loop result operand items below the top
+  MATCH: 67,          // subject -> subject bindings, or subject null, for the arm constants[operand]
+  ENTER_ARM: 68,      // subject bindings -> , entering a scope holding the bindings
+  TRY: 69,            // installs a handler at operand, which does not catch exceeded limits
+  END_TRY: 70,        // removes the innermost handler
+  CATCH_SCOPE: 71,    // enters a scope binding the caught error to constants[operand]
+  LOAD_ERROR: 72,     // -> the caught error
+  THROW: 73,          // value ->, throwing it
+  RETHROW: 74,        // error ->, throwing it again
+  STORE_RETURN: 75,   // value -> (return value = value)
+  LOAD_RETURN: 76,    // -> return value
+  RETURN: 77,         // value ->, returning it from the chunk
+  IMPORT: 78,         // -> null, running the import declaration constants[operand]
+  RAISE: 79           // raises a runtime error with the message constants[operand]
+});
+
+// Position of instructions that cannot fail
+const NO_POSITION = { line: 0, column: 0 };
+
+/**
+ * Compiled code of a program or function
+ */
+export class Chunk {
+  /**
+   * @param {string} name - Function name, for debugging
+   */
+  constructor(name) {
+    this.name = name;
+    // Opcode and operand of each instruction, one after the other
+    this.code = [];
+    // Values referred to by operands: literals, names and descriptions of declarations
+    this.constants = [];
+    // Source position of each instruction
+    this.positions = [];
+  }
+
+  /**
+   * Number of instructions
+   */
+  get length() {
+    return this.positions.length;
+  }
+}
+
+/**
+ * Compile a parsed program to bytecode
+ * @param {Program} program - The root node of the AST
+ * @param {Object} [options] - Interpreter options; number literals are decimals with options.decimal
+ * @returns {Chunk} The code of the program
+ */
+export function compile(program, options = {}) {
+  return new Compiler('<program>', options).compileProgram(program);
+}
+
+class Compiler {
+  constructor(name, options) {
+    this.chunk = new Chunk(name);
+    this.options = options;
+    // Indexes of string constants, so a name used many times is stored once
+    this.strings = new Map();
+    // Scopes entered by the code compiled so far
+    this.scopeDepth = 0;
+    // Values kept on the stack across statements: loop results, iterators and caught errors
+    this.stackItems = 0;
+    // Enclosing loops and try statements, innermost last
+    this.control = [];
+  }
+
+  // Emitting instructions
+
+  emit(op, operand = 0, position = NO_POSITION) {
+    this.chunk.code.push(op, operand);
+    this.chunk.positions.push(position);
+    return this.chunk.length - 1;
+  }
+
+  // Point the jump emitted as instruction `instruction` at the next instruction
+  patch(instruction) {
+    this.chunk.code[instruction * 2 + 1] = this.chunk.length;
+  }
+
+  constant(value) {
+    if (typeof value === 'string') {
+      if (!this.strings.has(value)) {
+        this.strings.set(value, this.chunk.constants.push(value) - 1);
+      }
+      return this.strings.get(value);
+    }
+    return this.chunk.constants.push(value) - 1;
+  }
+
+  compileProgram(program) {
+    if (program.strict) {
+      this.emit(Op.STRICT);
+    }
+    for (const statement of program.statements) {
+      this.emit(Op.STEP, 0, statement.position);
+      this.statement(statement);
+    }
+    this.emit(Op.LOAD_C);
+    this.emit(Op.RETURN);
+    return this.chunk;
+  }
+
+  compileFunction(node) {
+    // Bind arguments to parameters from left to right, so default values can refer to earlier parameters
+    node.parameters.forEach((param, i) => {
+      if (param.rest) {
+        this.emit(Op.LOAD_REST, i, param.position);
+      } else {
+        this.emit(Op.LOAD_ARG, i);
+        this.defaultValue(param.defaultValue);
+      }
+      if (param.pattern) {
+        this.pattern(param.pattern, { constant: false, position: param.position });
+      } else {
+        this.define(param.name, false, param.position);
+        this.emit(Op.POP);
+      }
+    });
+    // The body shares the scope of the parameters, so strict mode sees `let a` next to a parameter `a`
+    this.statements(node.body);
+    this.emit(Op.LOAD_C);
+    this.emit(Op.RETURN);
+    return this.chunk;
+  }
+
+  // Statements
+
+  statement(node) {
+    switch (node.constructor) {
+      case BlockStatement:
+        return this.block(node);
+      case ExpressionStatement:
+        this.expression(node.expression);
+        return this.emit(Op.STORE_C);
+      case IfStatement:
+        return this.ifStatement(node);
+      case WhileStatement:
+        return this.whileStatement(node);
+      case ForStatement:
+        return this.forStatement(node);
+      case ForInStatement:
+        return this.forInStatement(node);
+      case ReturnStatement:
+        return this.returnStatement(node);
+      case BreakStatement:
+        return this.jumpOut(node, 'breaks');
+      case ContinueStatement:
+        return this.jumpOut(node, 'continues');
+      case ThrowStatement:
+        this.expression(node.value);
+        return this.emit(Op.THROW, 0, node.position);
+      case TryStatement:
+        return this.tryStatement(node);
+      case MatchStatement:
+        return this.matchStatement(node);
+      default:
+        // Declarations and the clauses of for loops are compiled like expressions
+        this.expression(node);
+        return this.emit(Op.STORE_C);
+    }
+  }
+
+  block(node) {
+    // Each block gets its own scope, so declarations inside it do not leak out
+    this.enterScope();
+    this.statements(node);
+    this.leaveScope();
+  }
+
+  // Compile the statements of a block in the current scope
+  statements(node) {
+    if (node.statements.length === 0) {
+      this.emit(Op.NULL);
+      this.emit(Op.STORE_C);
+    }
+    for (const statement of node.statements) {
+      this.emit(Op.STEP, 0, statement.position);
+      this.statement(statement);
+    }
+  }
+
+  enterScope() {
+    this.emit(Op.PUSH_SCOPE);
+    this.scopeDepth++;
+  }
+
+  leaveScope() {
+    this.emit(Op.POP_SCOPE, 1);
+    this.scopeDepth--;
+  }
+
+  ifStatement(node) {
+    this.expression(node.condition);
+    const skipConsequence = this.emit(Op.JUMP_IF_FALSE);
+    this.statement(node.consequence);
+    const skipAlternative = this.emit(Op.JUMP);
+    this.patch(skipConsequence);
+    if (node.alternative) {
+      this.statement(node.alternative);
+    } else {
+      this.emit(Op.NULL);
+      this.emit(Op.STORE_C);
+    }
+    this.patch(skipAlternative);
+  }
+
+  // The result of a loop is the value of the last iteration not ended by continue.
+  // It is kept on the stack while the loop runs.
+  whileStatement(node) {
+    this.emit(Op.NULL);
+    this.stackItems++;
+    const start = this.chunk.length;
+    this.expression(node.condition);
+    const exit = this.emit(Op.JUMP_IF_FALSE);
+    this.emit(Op.STEP, 0, node.position);
+    const loop = this.loopBody(node.body);
+    this.emit(Op.SET_RESULT, 0);
+    loop.continues.forEach(jump => this.patchTo(jump, start));
+    this.emit(Op.JUMP, start);
+    this.patch(exit);
+    loop.breaks.forEach(jump => this.patch(jump));
+    this.emit(Op.STORE_C);
+    this.stackItems--;
+  }
+
+  forStatement(node) {
+    // Variables declared in the initializer are scoped to the loop
+    this.enterScope();
+    if (node.initializer) {
+      this.statement(node.initializer);
+    }
+    this.emit(Op.NULL);
+    this.stackItems++;
+    const start = this.chunk.length;
+    // A missing condition loops until a break or return statement
+    let exit = null;
+    if (node.condition) {
+      this.expression(node.condition);
+      exit = this.emit(Op.JUMP_IF_FALSE);
+    }
+    this.emit(Op.STEP, 0, node.position);
+    const loop = this.loopBody(node.body);
+    this.emit(Op.SET_RESULT, 0);
+    // A continue statement still runs the update clause
+    loop.continues.forEach(jump => this.patch(jump));
+    // Each iteration gets fresh copies of the loop variables, so closures capture their current values
+    if (node.initializer instanceof VariableDeclaration) {
+      this.emit(Op.COPY_SCOPE);
+    }
+    if (node.update) {
+      this.statement(node.update);
+    }
+    this.emit(Op.JUMP, start);
+    if (exit !== null) {
+      this.patch(exit);
+    }
+    loop.breaks.forEach(jump => this.patch(jump));
+    this.emit(Op.STORE_C);
+    this.stackItems--;
+    this.leaveScope();
+  }
+
+  forInStatement(node) {
+    this.emit(Op.NULL);
+    this.stackItems++;
+    this.expression(node.iterable);
+    this.emit(Op.ITERATE, 0, node.position);
+    this.stackItems++;
+    const start = this.chunk.length;
+    const exit = this.emit(Op.NEXT);
+    this.emit(Op.STEP, 0, node.position);
+    const loop = this.loop();
+    // Each iteration gets a fresh binding, so closures capture the current item
+    this.enterScope();
+    this.emit(Op.DEFINE, this.constant({ name: node.variable, constant: node.constant, check: false }));
+    this.emit(Op.POP);
+    this.statement(node.body);
+    this.leaveScope();
+    this.control.pop();
+    this.emit(Op.SET_RESULT, 1);
+    loop.continues.forEach(jump => this.patchTo(jump, start));
+    this.emit(Op.JUMP, start);
+    this.patch(exit);
+    loop.breaks.forEach(jump => this.patch(jump));
+    this.emit(Op.POP);
+    this.emit(Op.STORE_C);
+    this.stackItems -= 2;
+  }
+
+  loop() {
+    const loop = {
+      kind: 'loop',
+      scopeDepth: this.scopeDepth,
+      stackItems: this.stackItems,
+      breaks: [],
+      continues: []
+    };
+    this.control.push(loop);
+    return loop;
+  }
+
+  loopBody(body) {
+    const loop = this.loop();
+    this.statement(body);
+    this.control.pop();
+    return loop;
+  }
+
+  patchTo(instruction, target) {
+    this.chunk.code[instruction * 2 + 1] = target;
+  }
+
+  // Break and continue leave the scopes and try statements inside the loop,
+  // running their finally blocks on the way
+  jumpOut(node, kind) {
+    let index = this.control.length - 1;
+    while (this.control[index].kind !== 'loop') {
+      index--;
+    }
+    const loop = this.control[index];
+    const levels = this.leaveTryStatements(index + 1);
+    this.unwind(levels, loop);
+    loop[kind].push(this.emit(Op.JUMP, 0, node.position));
+  }
+
+  returnStatement(node) {
+    if (node.value) {
+      this.expression(node.value);
+    } else {
+      this.emit(Op.NULL);
+    }
+    // Finally blocks run before the function returns; the value waits in a register meanwhile
+    if (this.control.some(entry => entry.finalizer)) {
+      this.emit(Op.STORE_RETURN);
+      this.leaveTryStatements(0);
+      this.emit(Op.LOAD_RETURN);
+    }
+    this.emit(Op.RETURN, 0, node.position);
+  }
+
+  // Emit the code leaving the try statements of this.control from `index` on, innermost first.
+  // Returns the scope depth and stack items left at runtime.
+  leaveTryStatements(index) {
+    let levels = { scopeDepth: this.scopeDepth, stackItems: this.stackItems };
+    for (let i = this.control.length - 1; i >= index; i--) {
+      const entry = this.control[i];
+      if (entry.kind !== 'try') {
+        continue;
+      }
+      if (entry.handlerActive) {
+        this.emit(Op.END_TRY);
+      }
+      if (entry.finalizer) {
+        // The finally block runs in the scope of the try statement, outside of the entries it is part of
+        this.unwind(levels, entry);
+        levels = { scopeDepth: entry.scopeDepth, stackItems: entry.stackItems };
+        const state = { scopeDepth: this.scopeDepth, stackItems: this.stackItems, control: this.control };
+        Object.assign(this, levels, { control: this.control.slice(0, i) });
+        this.block(entry.finalizer);
+        Object.assign(this, state);
+      }
+    }
+    return levels;
+  }
+
+  // Emit the code popping scopes and stack items from `levels` down to those of `target`
+  unwind(levels, target) {
+    if (levels.scopeDepth > target.scopeDepth) {
+      this.emit(Op.POP_SCOPE, levels.scopeDepth - target.scopeDepth);
+    }
+    if (levels.stackItems > target.stackItems) {
+      this.emit(Op.POP_N, levels.stackItems - target.stackItems);
+    }
+  }
+
+  tryStatement(node) {
+    const { finalizer } = node;
+    const levels = { scopeDepth: this.scopeDepth, stackItems: this.stackItems };
+    const exits = [];
+
+    // The try block: errors go to the catch block, or to the finally block without one
+    const handler = this.emit(Op.TRY);
+    this.control.push({ kind: 'try', finalizer, handlerActive: true, ...levels });
+    this.block(node.block);
+    this.control.pop();
+    this.emit(Op.END_TRY);
+    this.normalFinally(finalizer);
+    exits.push(this.emit(Op.JUMP));
+    this.patch(handler);
+
+    let finallyHandler = null;
+    if (node.handler) {
+      // The catch block runs in its own scope holding the error value. An error raised by it
+      // still runs the finally block, unless it ends the run.
+      if (finalizer) {
+        finallyHandler = this.emit(Op.TRY);
+      }
+      this.emit(Op.CATCH_SCOPE, this.constant(node.parameter));
+      this.scopeDepth++;
+      this.control.push({ kind: 'try', finalizer, handlerActive: Boolean(finalizer), ...levels });
+      this.block(node.handler);
+      this.control.pop();
+      this.leaveScope();
+      if (finalizer) {
+        this.emit(Op.END_TRY);
+        this.normalFinally(finalizer);
+        exits.push(this.emit(Op.JUMP));
+      }
+    }
+
+    if (finalizer) {
+      // An error not handled by a catch block is raised again after the finally block
+      if (finallyHandler !== null) {
+        this.patch(finallyHandler);
+      }
+      this.emit(Op.LOAD_ERROR);
+      this.stackItems++;
+      this.block(finalizer);
+      this.stackItems--;
+      this.emit(Op.RETHROW);
+    }
+
+    exits.forEach(jump => this.patch(jump));
+  }
+
+  // The finally block after the try or catch block completed; the result of the
+  // try statement stays that of the block unless the finally block jumps out
+  normalFinally(finalizer) {
+    if (!finalizer) {
+      return;
+    }
+    this.emit(Op.LOAD_C);
+    this.stackItems++;
+    this.block(finalizer);
+    this.stackItems--;
+    this.emit(Op.STORE_C);
+  }
+
+  matchStatement(node) {
+    this.expression(node.subject);
+    const exits = [];
+
+    // The first arm with a matching pattern wins; there is no fallthrough
+    for (const arm of node.arms) {
+      let next = null;
+      if (arm.isDefault) {
+        this.emit(Op.POP);
+        this.emit(Op.PUSH_SCOPE);
+      } else {
+        this.emit(Op.MATCH, this.constant({ statement: node, arm }));
+        next = this.emit(Op.JUMP_IF_NULL);
+        this.emit(Op.ENTER_ARM);
+      }
+      // Variables bound by the pattern are only visible in the arm
+      this.scopeDepth++;
+      this.statement(arm.body);
+      this.leaveScope();
+      if (next === null) {
+        exits.forEach(jump => this.patch(jump));
+        return;
+      }
+      exits.push(this.emit(Op.JUMP));
+      this.patch(next);
+    }
+
+    this.emit(Op.POP);
+    this.emit(Op.NULL);
+    this.emit(Op.STORE_C);
+    exits.forEach(jump => this.patch(jump));
+  }
+
+  // Expressions
+
+  expression(node) {
+    switch (node.constructor) {
+      case Identifier:
+        return this.emit(Op.LOAD_VAR, this.constant(node.name), node.position);
+      case NumberLiteral:
+        return this.numberLiteral(node);
+      case StringLiteral:
+      case BooleanLiteral:
+        return this.emit(Op.CONST, this.constant(node.value));
+      case NullLiteral:
+        return this.emit(Op.NULL);
+      case TemplateLiteral:
+        return this.templateLiteral(node);
+      case PrefixExpression:
+        return this.prefixExpression(node);
+      case InfixExpression:
+        return this.infixExpression(node);
+      case ConditionalExpression:
+        return this.conditionalExpression(node);
+      case UpdateExpression:
+        return this.updateExpression(node);
+      case MemberExpression:
+      case CallExpression: {
+        // A ?. link that meets null skips the rest of the chain, which then gives null
+        const shortCircuits = [];
+        this.chainLink(node, shortCircuits);
+        shortCircuits.forEach(jump => this.patch(jump));
+        return;
+      }
+      case SpreadElement:
+        this.expression(node.argument);
+        return this.emit(Op.SPREAD, 0, node.position);
+      case ArrayLiteral:
+        this.emit(Op.ARRAY_QUOTA, node.elements.length, node.position);
+        node.elements.forEach(element => this.expression(element));
+        return this.emit(Op.MAKE_ARRAY, node.elements.length);
+      case ObjectLiteral:
+        this.emit(Op.NEW_OBJECT);
+        for (const property of node.properties) {
+          this.expression(property.key);
+          this.emit(Op.OBJECT_KEY, 0, property.key.position);
+          this.expression(property.value);
+          this.emit(Op.OBJECT_SET);
+        }
+        return this.emit(Op.OBJECT_QUOTA, 0, node.position);
+      case FunctionDeclaration:
+        return this.functionDeclaration(node);
+      case VariableDeclaration:
+        return this.variableDeclaration(node);
+      case AssignmentStatement:
+        return this.assignment(node);
+      case ImportDeclaration:
+        return this.emit(Op.IMPORT, this.constant(node), node.position);
+      case ExportDeclaration:
+        return this.expression(node.declaration);
+      case ExpressionStatement:
+        return this.expression(node.expression);
+      default:
+        throw new Error(`Cannot compile ${node.constructor.name}`);
+    }
+  }
+
+  // In decimal mode a literal is parsed once here; one with too many digits
+  // fails when it is reached, as it does on the AST backend
+  numberLiteral(node) {
+    if (!this.options.decimal) {
+      return this.emit(Op.CONST, this.constant(node.value));
+    }
+    try {
+      return this.emit(Op.CONST, this.constant(Decimal.parse(node.raw)));
+    } catch (error) {
+      return this.emit(Op.RAISE, this.constant(error.message), node.position);
+    }
+  }
+
+  templateLiteral(node) {
+    if (node.expressions.length === 0) {
+      return this.emit(Op.CONST, this.constant(node.quasis[0]));
+    }
+    node.expressions.forEach(expression => this.expression(expression));
+    return this.emit(Op.TEMPLATE, this.constant(node.quasis), node.position);
+  }
+
+  prefixExpression(node) {
+    this.expression(node.right);
+    this.emit(Op.PREFIX, this.constant(node.operator), node.position);
+  }
+
+  infixExpression(node) {
+    this.expression(node.left);
+
+    // Logical operators only evaluate the right operand if the left one does not decide the result
+    const shortCircuit = { '&&': Op.AND, '||': Op.OR, '??': Op.COALESCE }[node.operator];
+    if (shortCircuit !== undefined) {
+      const skip = this.emit(shortCircuit);
+      this.expression(node.right);
+      this.patch(skip);
+      return;
+    }
+
+    this.expression(node.right);
+    this.operator(node.operator, node.position);
+  }
+
+  // Emit the instruction applying a binary operator to the two values on top of the stack
+  operator(operator, position) {
+    const op = {
+      '+': Op.ADD,
+      '-': Op.SUBTRACT,
+      '*': Op.MULTIPLY,
+      '<': Op.LESS,
+      '<=': Op.LESS_EQUAL,
+      '>': Op.GREATER,
+      '>=': Op.GREATER_EQUAL,
+      '==': Op.EQUAL,
+      '!=': Op.NOT_EQUAL
+    }[operator];
+    if (op !== undefined) {
+      this.emit(op, 0, position);
+    } else {
+      this.emit(Op.BINARY, this.constant(operator), position);
+    }
+  }
+
+  conditionalExpression(node) {
+    // Only the selected branch is evaluated
+    this.expression(node.condition);
+    const skipConsequence = this.emit(Op.JUMP_IF_FALSE);
+    this.expression(node.consequence);
+    const skipAlternative = this.emit(Op.JUMP);
+    this.patch(skipConsequence);
+    this.expression(node.alternative);
+    this.patch(skipAlternative);
+  }
+
+  // Compile a link of a member and call chain, adding the jumps of its ?. links to shortCircuits
+  chainLink(node, shortCircuits) {
+    const object = node instanceof MemberExpression ? node.object : node.callee;
+    if (object instanceof MemberExpression || object instanceof CallExpression) {
+      this.chainLink(object, shortCircuits);
+    } else {
+      this.expression(object);
+    }
+
+    if (node instanceof MemberExpression) {
+      if (node.optional) {
+        shortCircuits.push(this.emit(Op.OPTIONAL));
+      }
+      if (node.computed) {
+        this.expression(node.property);
+        this.emit(Op.GET_MEMBER, 0, node.position);
+      } else {
+        this.emit(Op.GET_PROPERTY, this.constant(node.property.name), node.position);
+      }
+      return;
+    }
+
+    // Spread arguments are expanded into an argument list built at runtime,
+    // which named arguments are added to by the call
+    const named = node.arguments.filter(arg => arg instanceof NamedArgument);
+    if (named.length > 0 || node.arguments.some(arg => arg instanceof SpreadElement)) {
+      this.emit(Op.ARGS);
+      for (const arg of node.arguments) {
+        if (arg instanceof SpreadElement) {
+          this.expression(arg.argument);
+          this.emit(Op.SPREAD_ARG, 0, arg.position);
+        } else if (!(arg instanceof NamedArgument)) {
+          this.expression(arg);
+          this.emit(Op.ARG);
+        }
+      }
+      if (named.length === 0) {
+        this.emit(Op.CALL_ARGS, 0, node.position);
+        return;
+      }
+      named.forEach(arg => this.expression(arg.value));
+      this.emit(Op.CALL_NAMED, this.constant(named.map(arg => arg.name)), node.position);
+      return;
+    }
+    node.arguments.forEach(arg => this.expression(arg));
+    this.emit(Op.CALL, node.arguments.length, node.position);
+  }
+
+  // Compile the object and property of an assignment target, which is never an optional chain
+  memberReference(target) {
+    this.expression(target.object);
+    if (target.computed) {
+      this.expression(target.property);
+    } else {
+      this.emit(Op.CONST, this.constant(target.property.name));
+    }
+  }
+
+  assignment(node) {
+    const { target } = node;
+
+    if (target instanceof MemberExpression) {
+      this.memberReference(target);
+      if (node.operator !== '=') {
+        this.emit(Op.DUP2);
+        this.emit(Op.READ_MEMBER, 0, target.position);
+      }
+    } else if (node.operator !== '=') {
+      this.expression(target);
+    }
+
+    this.expression(node.value);
+
+    // Compound assignment: x += y is x = x + y with x evaluated once
+    if (node.operator !== '=') {
+      this.operator(node.operator.slice(0, -1), node.position);
+    }
+
+    if (target instanceof MemberExpression) {
+      this.emit(Op.SET_MEMBER, 0, target.position);
+    } else {
+      this.emit(Op.ASSIGN_VAR, this.constant(target.name), target.position);
+    }
+  }
+
+  updateExpression(node) {
+    const { target } = node;
+    const update = () => this.emit(Op.UPDATE, this.constant(node.operator), node.position);
+
+    if (target instanceof MemberExpression) {
+      this.memberReference(target);
+      this.emit(Op.DUP2);
+      this.emit(Op.READ_MEMBER, 0, target.position);
+      if (node.prefix) {
+        update();
+        this.emit(Op.SET_MEMBER, 0, target.position);
+        return;
+      }
+      // The postfix form yields the old value, kept below the reference
+      this.emit(Op.DUP);
+      this.emit(Op.BURY, 3);
+      update();
+      this.emit(Op.SET_MEMBER, 0, target.position);
+      this.emit(Op.POP);
+      return;
+    }
+
+    this.expression(target);
+    if (!node.prefix) {
+      this.emit(Op.DUP);
+    }
+    update();
+    this.emit(Op.ASSIGN_VAR, this.constant(target.name), target.position);
+    if (!node.prefix) {
+      this.emit(Op.POP);
+    }
+  }
+
+  functionDeclaration(node) {
+    const chunk = new Compiler(node.name || '<anonymous>', this.options).compileFunction(node);
+    const maxArguments = node.parameters.some(param => param.rest) ? Infinity : node.parameters.length;
+    this.emit(Op.FUNCTION, this.constant({ chunk, name: node.name, maxArguments, parameterNames: node.parameterNames() }));
+    if (node.name) {
+      this.define(node.name, node.constant, node.position);
+    }
+  }
+
+  variableDeclaration(node) {
+    // Without an initializer the variable reads as null, or is an error in strict mode
+    if (!node.initializer) {
+      this.emit(Op.DECLARE, this.constant(node.name), node.position);
+      return;
+    }
+
+    this.expression(node.initializer);
+    const constant = node.kind === 'const';
+    if (node.pattern) {
+      this.emit(Op.DUP);
+      this.pattern(node.pattern, { constant, position: node.position });
+    } else {
+      this.define(node.name, constant, node.position);
+    }
+  }
+
+  define(name, constant, position) {
+    this.emit(Op.DEFINE, this.constant({ name, constant, check: true }), position);
+  }
+
+  // Bind the value on top of the stack to a destructuring pattern, popping it
+  pattern(node, binding) {
+    if (node instanceof ArrayPattern) {
+      this.emit(Op.PATTERN_ARRAY, 0, node.position);
+      node.elements.forEach((element, i) => {
+        if (!element) {
+          return;
+        }
+        this.emit(Op.DUP);
+        if (element.rest) {
+          this.emit(Op.PATTERN_REST, i, node.position);
+        } else {
+          this.emit(Op.PATTERN_ITEM, i);
+          this.defaultValue(element.defaultValue);
+        }
+        this.bindTarget(element.target, binding);
+      });
+    } else {
+      this.emit(Op.PATTERN_OBJECT, 0, node.position);
+      for (const { key, target, defaultValue } of node.properties) {
+        this.emit(Op.DUP);
+        this.emit(Op.PATTERN_PROPERTY, this.constant(key));
+        this.defaultValue(defaultValue);
+        this.bindTarget(target, binding);
+      }
+    }
+    this.emit(Op.POP);
+  }
+
+  bindTarget(target, binding) {
+    if (target instanceof Identifier) {
+      this.define(target.name, binding.constant, binding.position);
+      this.emit(Op.POP);
+    } else {
+      this.pattern(target, binding);
+    }
+  }
+
+  // Replace a missing argument or item on top of the stack with its default value, or null
+  defaultValue(node) {
+    const present = this.emit(Op.JUMP_IF_PRESENT);
+    this.emit(Op.POP);
+    if (node) {
+      this.expression(node);
+    } else {
+      this.emit(Op.NULL);
+    }
+    this.patch(present);
+  }
+}
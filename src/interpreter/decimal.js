@@ -0,0 +1,374 @@
+/**
+ * Arbitrary-precision decimal numbers for the exact decimal mode of the interpreter
+ *
+ * A Decimal is an integer coefficient (a BigInt) scaled by a power of ten,
+ * so 12.50 is stored as 1250 with scale 2. Addition, subtraction and
+ * multiplication are exact; division is rounded to DIVISION_PLACES places.
+ */
+
+// Decimal places kept by divisions that do not terminate, such as 1 / 3
+export const DIVISION_PLACES = 20;
+
+// Digits a decimal may have, so a large exponent cannot keep the run busy or run out of memory
+export const MAX_DIGITS = 100000;
+
+// Rounding modes accepted by round()
+export const ROUNDING_MODES = ['half-up', 'half-down', 'half-even', 'up', 'down', 'ceiling', 'floor'];
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+function powerOfTen(exponent) {
+  return 10n ** BigInt(exponent);
+}
+
+function absolute(value) {
+  return value < 0n ? -value : value;
+}
+
+// Number of decimal digits of a BigInt, as a fraction so that 9 counts more than 2
+function digitCount(value) {
+  if (value === 0n) {
+    return 0;
+  }
+  const logarithm = Math.log10(Number(absolute(value)));
+  return Number.isFinite(logarithm) ? logarithm : absolute(value).toString().length;
+}
+
+// Throw if a value with a coefficient of the given number of digits and the given
+// scale would have more than MAX_DIGITS digits before and after the decimal point
+function checkDigits(coefficientDigits, scale, result) {
+  const digits = Math.max(coefficientDigits - scale, 0) + Math.max(scale, 0);
+  if (digits > MAX_DIGITS) {
+    throw new Error(`${result} would have more than ${MAX_DIGITS} digits`);
+  }
+}
+
+export class Decimal {
+  /**
+   * @param {bigint} coefficient - The digits of the number without a decimal point
+   * @param {number} scale - The number of digits after the decimal point (>= 0)
+   */
+  constructor(coefficient, scale = 0) {
+    this.coefficient = coefficient;
+    this.scale = scale;
+  }
+
+  /**
+   * Parse decimal notation (e.g. "-12.50", "1e6") or a 0x, 0b or 0o integer,
+   * ignoring '_' digit separators
+   * @throws {Error} If the text is not a number or has more than MAX_DIGITS digits
+   */
+  static parse(text) {
+    const source = String(text).trim().replace(/_/g, '');
+
+    if (/^0[xbo]/i.test(source)) {
+      return new Decimal(BigInt(source), 0);
+    }
+
+    const match = DECIMAL_PATTERN.exec(source);
+    if (!match || (!match[2] && !match[3])) {
+      throw new Error(`Invalid decimal number: ${text}`);
+    }
+
+    const [, sign, integerPart, fractionPart = '', exponent = '0'] = match;
+    let coefficient = BigInt((integerPart || '0') + fractionPart);
+    let scale = fractionPart.length - Number(exponent);
+
+    // The exponent is checked before it is applied, since 1e100000000 would take long to expand
+    if (coefficient === 0n) {
+      scale = Math.min(Math.max(scale, 0), fractionPart.length);
+    }
+    checkDigits(digitCount(coefficient), scale, 'Decimal number');
+
+    if (scale < 0) {
+      coefficient *= powerOfTen(-scale);
+      scale = 0;
+    }
+
+    return new Decimal(sign === '-' ? -coefficient : coefficient, scale);
+  }
+
+  /**
+   * Convert a number, numeric string or Decimal to a Decimal.
+   * Numbers are converted through their shortest decimal representation, so 0.1 becomes exactly 0.1
+   * @throws {Error} If the value is not a finite number
+   */
+  static from(value) {
+    if (value instanceof Decimal) {
+      return value;
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new Error(`Cannot represent ${value} as a decimal`);
+    }
+    return Decimal.parse(value);
+  }
+
+  // Both coefficients brought to the larger of the two scales
+  align(other) {
+    const scale = Math.max(this.scale, other.scale);
+    const integerDigits = Math.max(digitCount(this.coefficient) - this.scale, digitCount(other.coefficient) - other.scale);
+    checkDigits(integerDigits + scale, scale, 'Result of the calculation');
+    return [
+      this.coefficient * powerOfTen(scale - this.scale),
+      other.coefficient * powerOfTen(scale - other.scale),
+      scale
+    ];
+  }
+
+  add(other) {
+    const [left, right, scale] = this.align(other);
+    return new Decimal(left + right, scale);
+  }
+
+  subtract(other) {
+    const [left, right, scale] = this.align(other);
+    return new Decimal(left - right, scale);
+  }
+
+  multiply(other) {
+    checkDigits(digitCount(this.coefficient) + digitCount(other.coefficient), this.scale + other.scale, 'Result of the multiplication');
+    return new Decimal(this.coefficient * other.coefficient, this.scale + other.scale);
+  }
+
+  /**
+   * Divide, keeping at least DIVISION_PLACES places and dropping trailing zeros
+   * @throws {Error} On division by zero
+   */
+  divide(other) {
+    if (other.isZero()) {
+      throw new Error('Division by zero');
+    }
+
+    const places = Math.max(DIVISION_PLACES, this.scale, other.scale);
+    const numerator = this.coefficient * powerOfTen(places + other.scale - this.scale);
+    const quotient = numerator / other.coefficient;
+    const remainder = numerator % other.coefficient;
+
+    if (remainder === 0n) {
+      return new Decimal(quotient, places).normalize();
+    }
+
+    // Append a digit standing for the non-zero rest, so rounding can tell
+    // a quotient ending in exactly 5 from one that is slightly above
+    const doubledRest = absolute(remainder * 2n);
+    const divisor = absolute(other.coefficient);
+    const rest = doubledRest === divisor ? 5n : (doubledRest < divisor ? 1n : 9n);
+    const sign = (numerator < 0n) !== (other.coefficient < 0n) ? -1n : 1n;
+    const extended = new Decimal(quotient * 10n + sign * rest, places + 1);
+    return extended.round(places, 'half-even').normalize();
+  }
+
+  // Remainder with the sign of the dividend, like the % operator on numbers
+  remainder(other) {
+    if (other.isZero()) {
+      throw new Error('Modulo by zero');
+    }
+    const [left, right, scale] = this.align(other);
+    return new Decimal(left % right, scale);
+  }
+
+  // Quotient rounded down to an integer, like the ~/ operator on numbers
+  integerDivide(other) {
+    if (other.isZero()) {
+      throw new Error('Division by zero');
+    }
+    const [left, right] = this.align(other);
+    let quotient = left / right;
+    if (left % right !== 0n && (left < 0n) !== (right < 0n)) {
+      quotient -= 1n;
+    }
+    return new Decimal(quotient, 0);
+  }
+
+  /**
+   * Raise to an integer power; negative exponents divide
+   * @throws {Error} If the exponent is not an integer or the result would have
+   *   more than MAX_DIGITS digits
+   */
+  power(exponent) {
+    if (!exponent.isInteger()) {
+      throw new Error('Decimal exponent must be an integer');
+    }
+
+    const normalized = exponent.normalize();
+    const count = absolute(normalized.coefficient * powerOfTen(normalized.scale));
+    checkDigits(Math.max(digitCount(this.coefficient), this.scale) * Number(count), 0, 'Result of the power');
+    const result = new Decimal(this.coefficient ** count, this.scale * Number(count));
+
+    return normalized.coefficient < 0n ? new Decimal(1n, 0).divide(result) : result;
+  }
+
+  negate() {
+    return new Decimal(-this.coefficient, this.scale);
+  }
+
+  // -1, 0 or 1 depending on whether this is less than, equal to or greater than other
+  compare(other) {
+    const [left, right] = this.align(other);
+    if (left === right) return 0;
+    return left < right ? -1 : 1;
+  }
+
+  equals(other) {
+    return this.compare(other) === 0;
+  }
+
+  isZero() {
+    return this.coefficient === 0n;
+  }
+
+  isInteger() {
+    return this.coefficient % powerOfTen(this.scale) === 0n;
+  }
+
+  /**
+   * Round to a number of decimal places; negative places round to tens, hundreds, ...
+   * @param {number} places - Decimal places to keep
+   * @param {string} mode - One of ROUNDING_MODES
+   */
+  round(places, mode = 'half-up') {
+    if (places >= this.scale) {
+      return this;
+    }
+
+    const divisor = powerOfTen(this.scale - places);
+    let quotient = this.coefficient / divisor;
+    const remainder = absolute(this.coefficient % divisor);
+    const negative = this.coefficient < 0n;
+
+    if (remainder !== 0n && this.roundsAway(mode, remainder * 2n, divisor, quotient, negative)) {
+      quotient += negative ? -1n : 1n;
+    }
+
+    return places >= 0
+      ? new Decimal(quotient, places)
+      : new Decimal(quotient * powerOfTen(-places), 0);
+  }
+
+  // Whether a truncated quotient must be moved away from zero for the given rounding mode
+  roundsAway(mode, doubledRemainder, divisor, quotient, negative) {
+    switch (mode) {
+      case 'up': return true;
+      case 'down': return false;
+      case 'ceiling': return !negative;
+      case 'floor': return negative;
+      case 'half-up': return doubledRemainder >= divisor;
+      case 'half-down': return doubledRemainder > divisor;
+      case 'half-even':
+        return doubledRemainder > divisor || (doubledRemainder === divisor && quotient % 2n !== 0n);
+      default:
+        throw new Error(`Unknown rounding mode '${mode}', expected one of: ${ROUNDING_MODES.join(', ')}`);
+    }
+  }
+
+  // The same value without trailing zeros after the decimal point
+  normalize() {
+    let { coefficient, scale } = this;
+    while (scale > 0 && coefficient % 10n === 0n) {
+      coefficient /= 10n;
+      scale -= 1;
+    }
+    return new Decimal(coefficient, scale);
+  }
+
+  toString() {
+    const digits = absolute(this.coefficient).toString().padStart(this.scale + 1, '0');
+    const sign = this.coefficient < 0n ? '-' : '';
+    if (this.scale === 0) {
+      return sign + digits;
+    }
+    const point = digits.length - this.scale;
+    return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+  }
+
+  toNumber() {
+    return Number(this.toString());
+  }
+
+  // Decimals nested in values given to JSON.stringify become numbers
+  toJSON() {
+    return this.toNumber();
+  }
+
+  // Lets bitwise operators and host code treat decimals as numbers
+  valueOf() {
+    return this.toNumber();
+  }
+}
+
+/**
+ * Round a number or decimal, returning the same kind of value.
+ * Numbers are rounded in decimal, so round(2.675, 2) is 2.68 rather than 2.67
+ * @param {number|Decimal} value - The value to round
+ * @param {number|Decimal} [places=0] - Decimal places to keep
+ * @param {string} [mode='half-up'] - One of ROUNDING_MODES
+ * @throws {Error} For non-numeric values, non-integer places or an unknown mode
+ */
+export function round(value, places = 0, mode = 'half-up') {
+  if (typeof value !== 'number' && !(value instanceof Decimal)) {
+    throw new Error(`round expects a number, got ${value === null ? 'null' : typeof value}`);
+  }
+  const digits = Number(places);
+  if (!Number.isInteger(digits)) {
+    throw new Error('round expects an integer number of places');
+  }
+  if (!ROUNDING_MODES.includes(mode)) {
+    throw new Error(`Unknown rounding mode '${mode}', expected one of: ${ROUNDING_MODES.join(', ')}`);
+  }
+
+  const rounded = Decimal.from(value).round(digits, mode);
+  return value instanceof Decimal ? rounded : rounded.toNumber();
+}
+
+/**
+ * Copy a value received from the host, turning every number into a Decimal
+ * @param {*} value - A host value such as a result of io_get
+ * @returns {*} The value with numbers replaced by decimals
+ */
+export function toDecimalValue(value, seen = new Map()) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Decimal.from(value) : value;
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Decimal) {
+    return value;
+  }
+  return copyStructure(value, seen, item => toDecimalValue(item, seen));
+}
+
+/**
+ * Copy a value given to the host, turning every Decimal into a number or a string
+ * @param {*} value - A script value such as an argument of io_put
+ * @param {string} [output='number'] - 'number' or 'string'
+ * @returns {*} The value without decimals
+ * @throws {Error} If a decimal is too large to be a number
+ */
+export function fromDecimalValue(value, output = 'number', seen = new Map()) {
+  if (value instanceof Decimal) {
+    if (output === 'string') {
+      return value.toString();
+    }
+    const number = value.toNumber();
+    if (!Number.isFinite(number)) {
+      throw new Error("Decimal is too large to be converted to a number, use decimalOutput 'string' to receive it");
+    }
+    return number;
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  return copyStructure(value, seen, item => fromDecimalValue(item, output, seen));
+}
+
+// Copy an array or plain object, converting its items; shared and cyclic references are preserved.
+// Keys are defined rather than assigned, so an own __proto__ key stays a key of the copy.
+function copyStructure(value, seen, convert) {
+  if (seen.has(value)) {
+    return seen.get(value);
+  }
+  const copy = Array.isArray(value) ? [] : {};
+  seen.set(value, copy);
+  for (const key of Object.keys(value)) {
+    Object.defineProperty(copy, key, { value: convert(value[key]), writable: true, enumerable: true, configurable: true });
+  }
+  return copy;
+}
@@ -1,6 +1,17 @@
 import { Lexer } from './lexer.js';
 import { Parser } from './parser.js';
-import { EvaluationContext, RuntimeError, ReturnValue } from './runtime.js';
+import {
+  EvaluationContext,
+  RuntimeError,
+  LimitExceededError,
+  CancelledError,
+  ExecutionBudget,
+  AllocationQuota,
+  ReturnValue
+} from './runtime.js';
+import { ModuleLoader } from './modules.js';
+import { runProgram } from './vm.js';
+import { round, fromDecimalValue } from './decimal.js';
 
 /**
  * Main Interpreter class that orchestrates lexing, parsing, and evaluation of code.
@@ -24,8 +35,35 @@ export class Interpreter {
    *   console.log(evalResult);
    * }
    * ```
+   * 
+   * @param {Object} [options] - Interpreter options
+   * @param {Function} [options.resolveModule] - Returns the source code (or a promise of it)
+   *   for a module name used in an import, or null if there is no such module
+   * @param {boolean} [options.strictArity] - Report an error when a function is called
+   *   with more arguments than it declares parameters
+   * @param {boolean} [options.constFunctions] - Make functions declared with 'def'
+   *   at the top level of a script constant
+   * @param {boolean} [options.strict] - Run scripts in strict mode, as if they started
+   *   with a "use strict"; directive
+   * @param {boolean} [options.decimal] - Use exact decimal numbers for number literals,
+   *   numbers from io_get and other host functions, and arithmetic
+   * @param {string} [options.decimalOutput='number'] - How decimals are passed to host
+   *   functions such as io_put and returned as the result: 'number' or 'string'
+   * @param {number} [options.maxSteps] - Steps a run may take, counting statements,
+   *   loop iterations and calls (unlimited by default)
+   * @param {number} [options.timeout] - Milliseconds a run may take (unlimited by default)
+   * @param {number} [options.maxCallDepth=10000] - How deeply function calls may nest
+   * @param {number} [options.maxArrayElements] - Total array elements a run may create
+   *   (unlimited by default)
+   * @param {number} [options.maxStringLength] - Total characters of the strings a run
+   *   may build by concatenation and template literals (unlimited by default)
+   * @param {number} [options.maxObjectKeys] - Total object keys a run may create
+   *   (unlimited by default)
+   * @param {string} [options.backend='ast'] - How scripts are run: 'ast' walks the syntax
+   *   tree, 'vm' compiles it to bytecode for a stack VM, which is faster and behaves the same
    */
-  constructor() {
+  constructor(options = {}) {
+    this.options = options;
     this.ast = null;
     this.errors = [];
     // Create evaluation context during initialization
@@ -51,6 +89,13 @@ export class Interpreter {
     this.registerFunction('io_put', (key, value) => {
       return this.context.io_put(key, value);
     });
+    
+    // round(x, places, mode) works on decimals directly, so it is called
+    // like a script function rather than through the host function wrapper
+    const roundFunction = (args) => round(...args);
+    roundFunction.functionName = 'round';
+    roundFunction.maxArguments = 3;
+    this.context.functions.round = roundFunction;
   }
   
   /**
@@ -60,7 +105,7 @@ export class Interpreter {
     try {
       // Create lexer and parser
       const lexer = new Lexer(sourceCode);
-      const parser = new Parser(lexer);
+      const parser = new Parser(lexer, this.options);
       
       // Parse the program to generate AST
       this.ast = parser.parseProgram();
@@ -90,8 +135,14 @@ export class Interpreter {
   
   /**
    * Evaluate the AST and return the result
+   * @param {Object} [jsonData] - Data read by io_get and written by io_put
+   * @param {Array} [consoleOutput] - Receives the lines written by console_put
+   * @param {Object} [options] - Options for this run
+   * @param {AbortSignal} [options.signal] - Cancels the run when aborted. It is checked
+   *   between statements and loop iterations, and passed to async host functions
+   *   after their arguments. A cancelled run returns a result with cancelled: true
    */
-  async evaluate(jsonData = {}, consoleOutput = []) {
+  async evaluate(jsonData = {}, consoleOutput = [], options = {}) {
     this.errors = [];
     
     try {
@@ -113,6 +164,15 @@ export class Interpreter {
         this.registerBuiltInFunctions();
       }
       
+      this.context.options = this.options;
+      this.context.strict = Boolean(this.options.strict);
+      this.context.budget = new ExecutionBudget(this.options);
+      this.context.quota = new AllocationQuota(this.options);
+      this.context.signal = options.signal || null;
+      
+      // Modules are loaded at most once per run
+      this.context.moduleLoader = new ModuleLoader(this.options.resolveModule || null, this.context);
+      
       // Check if we have a valid AST
       if (!this.ast) {
         this.errors.push({
@@ -131,7 +191,13 @@ export class Interpreter {
       }
       
       // Evaluate the program - the consoleOutput and jsonData will be modified directly
-      const result = await evaluate(this.ast, this.context);
+      let result = this.options.backend === 'vm'
+        ? await runProgram(this.ast, this.context)
+        : await evaluate(this.ast, this.context);
+      
+      if (this.options.decimal) {
+        result = this.decimalResult(result);
+      }
       
       return {
         success: true,
@@ -141,8 +207,28 @@ export class Interpreter {
         errors: []
       };
     } catch (error) {
+      // A cancelled run is not a failure of the script
+      if (error instanceof CancelledError) {
+        return {
+          success: false,
+          cancelled: true,
+          result: null,
+          jsonData,
+          consoleOutput,
+          errors: []
+        };
+      }
+      
       // Handle runtime errors
-      if (error instanceof RuntimeError) {
+      if (error instanceof LimitExceededError) {
+        // Tell hosts which budget ran out: 'steps', 'timeout' or 'callDepth'
+        this.errors.push({
+          message: error.message,
+          line: error.line,
+          column: error.column,
+          limit: error.limit
+        });
+      } else if (error instanceof RuntimeError) {
         this.errors.push({
           message: error.message,
           line: error.line,
@@ -167,6 +253,21 @@ export class Interpreter {
     }
   }
   
+  /**
+   * Convert the result of a run in decimal mode for the host
+   * @param {*} result - The value of the last statement
+   * @returns {*} The result with decimals turned into numbers or strings
+   * @throws {RuntimeError} If a decimal is too large to be a number, at the last statement
+   */
+  decimalResult(result) {
+    try {
+      return fromDecimalValue(result, this.options.decimalOutput);
+    } catch (error) {
+      const position = this.ast.statements.at(-1)?.position ?? { line: 0, column: 0 };
+      throw new RuntimeError(error.message, position.line, position.column);
+    }
+  }
+  
   /**
    * Register a custom library function
    * @param {string} name - The name of the function
@@ -300,7 +401,7 @@ export async function evaluate(ast, context) {
     case 'VariableDeclaration': {
       const initializer = ast.initializer || ast.init;
       const varValue = initializer ? await evaluate(initializer, context) : undefined;
-      return context.assignVariable(ast.name || (ast.id && ast.id.name), varValue);
+      return context.getEnvironment().define(ast.name || (ast.id && ast.id.name), varValue);
     }
 
     case 'AssignmentExpression':
@@ -436,16 +537,7 @@ export async function evaluate(ast, context) {
             
             // Bind arguments to parameters
             for (let i = 0; i < func.params.length; i++) {
-              callContext.assignVariable(func.params[i], args[i] || null);
-            }
-            
-            // Copy registered functions to new context
-            for (const key in context.functions) {
-              callContext.registerFunction(
-                key, 
-                context.functions[key], 
-                context.asyncFunctions && context.asyncFunctions.has(key)
-              );
+              callContext.getEnvironment().define(func.params[i], args[i] || null);
             }
             
             // Evaluate the function body with the new context
@@ -482,7 +574,8 @@ export async function evaluate(ast, context) {
       return elements;
     }
 
-    case 'ObjectExpression': {
+    case 'ObjectExpression':
+    case 'ObjectLiteral': {
       const obj = {};
       for (const property of (ast.properties || [])) {
         const key = property.key.type === 'Identifier' 
@@ -5,13 +5,20 @@ import { TokenType, Keywords, Token } from './tokens.js';
  * Following the KISS principle: Simple, straightforward lexical analysis
  */
 export class Lexer {
-  constructor(input) {
+  /**
+   * @param {string} input - The source code to tokenize
+   * @param {number} [line=1] - Line number of the first character
+   * @param {number} [column=0] - Column number before the first character
+   *   (used to lex source embedded in a template literal at its original position)
+   */
+  constructor(input, line = 1, column = 0) {
     this.input = input;
     this.position = 0;      // Current position in input (points to current character)
     this.readPosition = 0;  // Next position in input (after current character)
     this.ch = '';           // Current character under examination
-    this.line = 1;          // Current line number
-    this.column = 0;        // Current column number
+    this.line = line;       // Current line number
+    this.column = column;   // Current column number
+    this.errors = [];       // Lexical errors (e.g. unterminated strings)
     
     this.readChar(); // Initialize first character
   }
@@ -53,23 +60,53 @@ export class Lexer {
     
     switch (this.ch) {
       case '=':
-        if (this.peekChar() === '=') {
+        if (this.peekChar() === '=' && this.input[this.readPosition + 1] === '=') {
+          const column = this.column;
+          this.readChar();
+          this.readChar();
+          token = new Token(TokenType.IDENTICAL, '===', this.line, column);
+        } else if (this.peekChar() === '=' || this.peekChar() === '>') {
           const ch = this.ch;
           this.readChar();
           const literal = ch + this.ch;
-          token = new Token(TokenType.EQ, literal, this.line, this.column - 1);
+          const type = literal === '==' ? TokenType.EQ : TokenType.ARROW;
+          token = new Token(type, literal, this.line, this.column - 1);
         } else {
           token = new Token(TokenType.ASSIGN, this.ch, this.line, this.column);
         }
         break;
       case '+':
-        token = new Token(TokenType.PLUS, this.ch, this.line, this.column);
+        if (this.peekChar() === '+' || this.peekChar() === '=') {
+          const ch = this.ch;
+          this.readChar();
+          const literal = ch + this.ch;
+          const type = literal === '++' ? TokenType.INCREMENT : TokenType.PLUS_ASSIGN;
+          token = new Token(type, literal, this.line, this.column - 1);
+        } else {
+          token = new Token(TokenType.PLUS, this.ch, this.line, this.column);
+        }
         break;
       case '-':
-        token = new Token(TokenType.MINUS, this.ch, this.line, this.column);
+        if (this.peekChar() === '-' || this.peekChar() === '=') {
+          const ch = this.ch;
+          this.readChar();
+          const literal = ch + this.ch;
+          const type = literal === '--' ? TokenType.DECREMENT : TokenType.MINUS_ASSIGN;
+          token = new Token(type, literal, this.line, this.column - 1);
+        } else {
+          token = new Token(TokenType.MINUS, this.ch, this.line, this.column);
+        }
         break;
       case '*':
-        token = new Token(TokenType.ASTERISK, this.ch, this.line, this.column);
+        if (this.peekChar() === '=' || this.peekChar() === '*') {
+          const ch = this.ch;
+          this.readChar();
+          const literal = ch + this.ch;
+          const type = literal === '**' ? TokenType.POWER : TokenType.ASTERISK_ASSIGN;
+          token = new Token(type, literal, this.line, this.column - 1);
+        } else {
+          token = new Token(TokenType.ASTERISK, this.ch, this.line, this.column);
+        }
         break;
       case '#':
         this.skipComments();
@@ -78,15 +115,32 @@ export class Lexer {
         if (this.peekChar() === '/' || this.peekChar() === '*') {
           this.skipComments();
           return this.nextToken();
+        } else if (this.peekChar() === '=') {
+          const ch = this.ch;
+          this.readChar();
+          const literal = ch + this.ch;
+          token = new Token(TokenType.SLASH_ASSIGN, literal, this.line, this.column - 1);
         } else {
           token = new Token(TokenType.SLASH, this.ch, this.line, this.column);
         }
         break;
       case '%':
-        token = new Token(TokenType.PERCENT, this.ch, this.line, this.column);
+        if (this.peekChar() === '=') {
+          const ch = this.ch;
+          this.readChar();
+          const literal = ch + this.ch;
+          token = new Token(TokenType.PERCENT_ASSIGN, literal, this.line, this.column - 1);
+        } else {
+          token = new Token(TokenType.PERCENT, this.ch, this.line, this.column);
+        }
         break;
       case '!':
-        if (this.peekChar() === '=') {
+        if (this.peekChar() === '=' && this.input[this.readPosition + 1] === '=') {
+          const column = this.column;
+          this.readChar();
+          this.readChar();
+          token = new Token(TokenType.NOT_IDENTICAL, '!==', this.line, column);
+        } else if (this.peekChar() === '=') {
           const ch = this.ch;
           this.readChar();
           const literal = ch + this.ch;
@@ -96,21 +150,23 @@ export class Lexer {
         }
         break;
       case '<':
-        if (this.peekChar() === '=') {
+        if (this.peekChar() === '=' || this.peekChar() === '<') {
           const ch = this.ch;
           this.readChar();
           const literal = ch + this.ch;
-          token = new Token(TokenType.LT_EQ, literal, this.line, this.column - 1);
+          const type = literal === '<=' ? TokenType.LT_EQ : TokenType.SHIFT_LEFT;
+          token = new Token(type, literal, this.line, this.column - 1);
         } else {
           token = new Token(TokenType.LT, this.ch, this.line, this.column);
         }
         break;
       case '>':
-        if (this.peekChar() === '=') {
+        if (this.peekChar() === '=' || this.peekChar() === '>') {
           const ch = this.ch;
           this.readChar();
           const literal = ch + this.ch;
-          token = new Token(TokenType.GT_EQ, literal, this.line, this.column - 1);
+          const type = literal === '>=' ? TokenType.GT_EQ : TokenType.SHIFT_RIGHT;
+          token = new Token(type, literal, this.line, this.column - 1);
         } else {
           token = new Token(TokenType.GT, this.ch, this.line, this.column);
         }
@@ -122,7 +178,7 @@ export class Lexer {
           const literal = ch + this.ch;
           token = new Token(TokenType.AND, literal, this.line, this.column - 1);
         } else {
-          token = new Token(TokenType.ILLEGAL, this.ch, this.line, this.column);
+          token = new Token(TokenType.BIT_AND, this.ch, this.line, this.column);
         }
         break;
       case '|':
@@ -132,7 +188,31 @@ export class Lexer {
           const literal = ch + this.ch;
           token = new Token(TokenType.OR, literal, this.line, this.column - 1);
         } else {
-          token = new Token(TokenType.ILLEGAL, this.ch, this.line, this.column);
+          token = new Token(TokenType.BIT_OR, this.ch, this.line, this.column);
+        }
+        break;
+      case '^':
+        token = new Token(TokenType.BIT_XOR, this.ch, this.line, this.column);
+        break;
+      case '~':
+        if (this.peekChar() === '/') {
+          const ch = this.ch;
+          this.readChar();
+          const literal = ch + this.ch;
+          token = new Token(TokenType.INT_DIVIDE, literal, this.line, this.column - 1);
+        } else {
+          token = new Token(TokenType.BIT_NOT, this.ch, this.line, this.column);
+        }
+        break;
+      case '?':
+        if (this.peekChar() === '?' || this.peekChar() === '.') {
+          const ch = this.ch;
+          this.readChar();
+          const literal = ch + this.ch;
+          const type = literal === '??' ? TokenType.NULLISH : TokenType.OPTIONAL_DOT;
+          token = new Token(type, literal, this.line, this.column - 1);
+        } else {
+          token = new Token(TokenType.QUESTION, this.ch, this.line, this.column);
         }
         break;
       case ',':
@@ -141,8 +221,18 @@ export class Lexer {
       case ';':
         token = new Token(TokenType.SEMICOLON, this.ch, this.line, this.column);
         break;
+      case ':':
+        token = new Token(TokenType.COLON, this.ch, this.line, this.column);
+        break;
       case '.':
-        token = new Token(TokenType.DOT, this.ch, this.line, this.column);
+        if (this.peekChar() === '.' && this.input[this.readPosition + 1] === '.') {
+          const column = this.column;
+          this.readChar();
+          this.readChar();
+          token = new Token(TokenType.ELLIPSIS, '...', this.line, column);
+        } else {
+          token = new Token(TokenType.DOT, this.ch, this.line, this.column);
+        }
         break;
       case '(':
         token = new Token(TokenType.LPAREN, this.ch, this.line, this.column);
@@ -162,6 +252,15 @@ export class Lexer {
         const stringLiteral = this.readString(this.ch);
         token = new Token(TokenType.STRING, stringLiteral, this.line, startColumn);
         break;
+      case '`': {
+        const startLine = this.line;
+        const startColumn = this.column;
+        const start = this.readPosition;
+        const template = this.readTemplate();
+        const raw = this.input.slice(start, this.position);
+        token = new Token(TokenType.TEMPLATE, raw, startLine, startColumn, template);
+        break;
+      }
       case '':
         token = new Token(TokenType.EOF, '', this.line, this.column);
         break;
@@ -175,13 +274,25 @@ export class Lexer {
         if (this.isLetter(this.ch)) {
           const startColumn = this.column;
           const identifier = this.readIdentifier();
-          const type = Keywords[identifier] || TokenType.IDENTIFIER;
+          // Own properties only, so names like 'toString' are not mistaken for keywords
+          const type = Object.prototype.hasOwnProperty.call(Keywords, identifier)
+            ? Keywords[identifier]
+            : TokenType.IDENTIFIER;
           token = new Token(type, identifier, this.line, startColumn);
           return token;
         } else if (this.isDigit(this.ch)) {
           const startColumn = this.column;
           const number = this.readNumber();
-          token = new Token(TokenType.NUMBER, number, this.line, startColumn);
+          if (this.isLetter(this.ch) || this.isDigit(this.ch)) {
+            this.errors.push({
+              message: `Invalid character '${this.ch}' in number literal`,
+              line: this.line,
+              column: this.column
+            });
+          }
+          // Number() understands the 0x, 0b and 0o prefixes and exponents once separators are removed
+          const value = Number(number.replace(/_/g, ''));
+          token = new Token(TokenType.NUMBER, number, this.line, startColumn, value);
           return token;
         } else {
           token = new Token(TokenType.ILLEGAL, this.ch, this.line, this.column);
@@ -204,55 +315,285 @@ export class Lexer {
   }
   
   /**
-   * Reads a number from the input (integers and floats)
+   * Reads a number from the input: integers and floats with an optional exponent (1.5e-3),
+   * hexadecimal (0xFF), binary (0b1010) and octal (0o17) integers,
+   * all with optional '_' separators between digits (1_000_000)
    */
   readNumber() {
     const position = this.position;
+    const radixPrefixes = { x: 'isHexDigit', b: 'isBinaryDigit', o: 'isOctalDigit' };
+    const prefix = this.peekChar().toLowerCase();
     
-    // Read integer part
-    while (this.isDigit(this.ch)) {
-      this.readChar();
+    if (this.ch === '0' && radixPrefixes[prefix]) {
+      const line = this.line;
+      const column = this.column;
+      this.readChar(); // consume the 0
+      this.readChar(); // consume the radix letter
+      
+      if (!this.readDigits(ch => this[radixPrefixes[prefix]](ch))) {
+        this.errors.push({
+          message: `Expected digits after '0${prefix}' in number literal`,
+          line,
+          column
+        });
+      }
+      
+      return this.input.slice(position, this.position);
     }
     
+    // Read integer part
+    this.readDigits(ch => this.isDigit(ch));
+    
     // Check for decimal point
     if (this.ch === '.' && this.isDigit(this.peekChar())) {
       this.readChar(); // consume the decimal point
-      
-      // Read decimal part
-      while (this.isDigit(this.ch)) {
+      this.readDigits(ch => this.isDigit(ch));
+    }
+    
+    // Check for an exponent, which needs at least one digit after the optional sign
+    const afterSign = '+-'.includes(this.peekChar()) ? this.input[this.readPosition + 1] : this.peekChar();
+    if ((this.ch === 'e' || this.ch === 'E') && this.isDigit(afterSign)) {
+      this.readChar(); // consume the e
+      if (this.ch === '+' || this.ch === '-') {
         this.readChar();
       }
+      this.readDigits(ch => this.isDigit(ch));
     }
     
     return this.input.slice(position, this.position);
   }
   
   /**
-   * Reads a string literal from the input
+   * Reads a run of digits accepted by isValidDigit, allowing single '_' separators between them
+   * @returns {string} The digits read, without separators
+   */
+  readDigits(isValidDigit) {
+    let digits = '';
+    
+    while (isValidDigit(this.ch) || this.ch === '_') {
+      if (this.ch === '_') {
+        const previous = this.input[this.position - 1];
+        if (!isValidDigit(previous) || !isValidDigit(this.peekChar())) {
+          this.errors.push({
+            message: "Numeric separator '_' is only allowed between digits",
+            line: this.line,
+            column: this.column
+          });
+        }
+      } else {
+        digits += this.ch;
+      }
+      this.readChar();
+    }
+    
+    return digits;
+  }
+  
+  /**
+   * Reads a string literal from the input, decoding escape sequences
    */
   readString(quote) {
+    const line = this.line;
+    const column = this.column;
     this.readChar(); // Skip the opening quote
-    const position = this.position;
+    let str = '';
     
-    while (this.ch !== quote && this.ch !== '') {
-      // Handle escape sequences
-      if (this.ch === '\\' && (this.peekChar() === quote || this.peekChar() === '\\')) {
-        this.readChar(); // Skip the backslash
+    while (this.ch !== quote) {
+      if (this.ch === '') {
+        this.errors.push({
+          message: 'Unterminated string literal',
+          line,
+          column
+        });
+        return str;
       }
       
-      // Handle newline in string
-      if (this.ch === '\n') {
-        this.line++;
-        this.column = 0;
+      if (this.ch === '\\') {
+        str += this.readEscapeSequence();
+      } else {
+        // Handle newline in string
+        if (this.ch === '\n') {
+          this.line++;
+          this.column = 0;
+        }
+        str += this.ch;
       }
       
       this.readChar();
     }
     
-    const str = this.input.slice(position, this.position);
     return str;
   }
   
+  /**
+   * Reads an escape sequence starting at the current backslash
+   * and leaves the lexer on its last character
+   */
+  readEscapeSequence() {
+    const line = this.line;
+    const column = this.column;
+    this.readChar(); // Skip the backslash
+    
+    switch (this.ch) {
+      case 'n':
+        return '\n';
+      case 't':
+        return '\t';
+      case 'r':
+        return '\r';
+      case '\\':
+      case "'":
+      case '"':
+      case '`':
+      case '$':
+        return this.ch;
+      case 'u':
+        return this.readUnicodeEscape(line, column);
+      case '':
+        return ''; // Reported as an unterminated string by the caller
+      default:
+        this.errors.push({
+          message: `Unknown escape sequence '\\${this.ch}'`,
+          line,
+          column
+        });
+        return this.ch;
+    }
+  }
+  
+  /**
+   * Reads the code point of a \uXXXX or \u{X...} escape sequence
+   * The current character is the 'u'
+   */
+  readUnicodeEscape(line, column) {
+    let hex = '';
+    let valid;
+    
+    if (this.peekChar() === '{') {
+      this.readChar(); // Move to the '{'
+      while (this.isHexDigit(this.peekChar())) {
+        this.readChar();
+        hex += this.ch;
+      }
+      valid = hex.length > 0 && this.peekChar() === '}' && parseInt(hex, 16) <= 0x10FFFF;
+      if (this.peekChar() === '}') {
+        this.readChar(); // Move to the '}'
+      }
+    } else {
+      while (hex.length < 4 && this.isHexDigit(this.peekChar())) {
+        this.readChar();
+        hex += this.ch;
+      }
+      valid = hex.length === 4;
+    }
+    
+    if (!valid) {
+      this.errors.push({
+        message: 'Invalid unicode escape sequence',
+        line,
+        column
+      });
+      return '';
+    }
+    
+    return String.fromCodePoint(parseInt(hex, 16));
+  }
+  
+  /**
+   * Reads a template literal (`text ${expression} text`) from the input
+   * Returns the decoded text parts and the source of each embedded expression
+   * with its position; the expressions are parsed by the parser.
+   */
+  readTemplate() {
+    const line = this.line;
+    const column = this.column;
+    this.readChar(); // Skip the opening backtick
+    
+    const quasis = [];
+    const expressions = [];
+    let str = '';
+    
+    while (this.ch !== '`') {
+      if (this.ch === '') {
+        this.errors.push({
+          message: 'Unterminated template literal',
+          line,
+          column
+        });
+        break;
+      }
+      
+      if (this.ch === '\\') {
+        str += this.readEscapeSequence();
+      } else if (this.ch === '$' && this.peekChar() === '{') {
+        quasis.push(str);
+        str = '';
+        
+        this.readChar(); // Move to the '{'
+        this.readChar(); // Skip the '{'
+        
+        const expression = { source: '', line: this.line, column: this.column };
+        const start = this.position;
+        this.skipTemplateExpression();
+        expression.source = this.input.slice(start, this.position);
+        expressions.push(expression);
+        
+        // The closing '}' is skipped below; at EOF the loop reports the error
+        if (this.ch === '') {
+          continue;
+        }
+      } else {
+        // Handle newline in template
+        if (this.ch === '\n') {
+          this.line++;
+          this.column = 0;
+        }
+        str += this.ch;
+      }
+      
+      this.readChar();
+    }
+    
+    quasis.push(str);
+    return { quasis, expressions };
+  }
+  
+  /**
+   * Advances over the source of a template expression up to its closing '}'
+   * Nested braces, strings and templates are skipped as a whole.
+   */
+  skipTemplateExpression() {
+    let depth = 0;
+    
+    while (this.ch !== '') {
+      if (this.ch === '}' && depth === 0) {
+        return;
+      }
+      
+      if (this.ch === '{') {
+        depth++;
+      } else if (this.ch === '}') {
+        depth--;
+      } else if (this.ch === '"' || this.ch === "'" || this.ch === '`') {
+        // Errors inside are reported when the expression itself is lexed
+        const errorCount = this.errors.length;
+        if (this.ch === '`') {
+          this.readTemplate();
+        } else {
+          this.readString(this.ch);
+        }
+        this.errors.length = errorCount;
+      } else if (this.ch === '\n') {
+        this.line++;
+        this.column = 0;
+      }
+      
+      if (this.ch !== '') {
+        this.readChar();
+      }
+    }
+  }
+  
   /**
    * Skips whitespace characters
    */
@@ -314,6 +655,27 @@ export class Lexer {
     return '0' <= ch && ch <= '9';
   }
   
+  /**
+   * Checks if a character is a hexadecimal digit (0-9, a-f, A-F)
+   */
+  isHexDigit(ch) {
+    return this.isDigit(ch) || ('a' <= ch && ch <= 'f') || ('A' <= ch && ch <= 'F');
+  }
+  
+  /**
+   * Checks if a character is a binary digit (0-1)
+   */
+  isBinaryDigit(ch) {
+    return ch === '0' || ch === '1';
+  }
+  
+  /**
+   * Checks if a character is an octal digit (0-7)
+   */
+  isOctalDigit(ch) {
+    return '0' <= ch && ch <= '7';
+  }
+  
   /**
    * Tokenizes the entire input and returns an array of tokens
    */
@@ -0,0 +1,166 @@
+import { Lexer } from './lexer.js';
+import { Parser } from './parser.js';
+import { ExportDeclaration } from './ast.js';
+import { EvaluationContext, RuntimeError, LimitExceededError, CancelledError } from './runtime.js';
+import { runProgram } from './vm.js';
+
+/**
+ * Loads modules imported by a script during a single evaluation run
+ *
+ * Module source is obtained from a host-provided resolver. Each module is
+ * parsed and evaluated at most once per run; later imports reuse its exports,
+ * or the error of a module that failed. Errors are reported at the position
+ * of the import that triggered them.
+ */
+export class ModuleLoader {
+  /**
+   * @param {Function|null} resolver - Returns the source (or a promise of it) for a module name,
+   *   or null if the module does not exist
+   * @param {EvaluationContext} rootContext - The context of the main script
+   */
+  constructor(resolver, rootContext) {
+    this.resolver = resolver;
+    this.rootContext = rootContext;
+    // Exports of modules that finished evaluating, by module name
+    this.cache = new Map();
+    // Error messages of modules that failed to load, by module name
+    this.failures = new Map();
+    // Names of modules currently being evaluated, in import order
+    this.loading = [];
+  }
+
+  /**
+   * Load a module and return its exports
+   * @param {string} name - The module name
+   * @param {Object} position - Position of the importing statement
+   * @returns {Promise<Object>} The exported values by name
+   */
+  async load(name, position) {
+    if (this.cache.has(name)) {
+      return this.cache.get(name);
+    }
+
+    if (this.failures.has(name)) {
+      throw new RuntimeError(this.failures.get(name), position.line, position.column);
+    }
+
+    try {
+      const exports = await this.evaluateModule(name, position);
+      this.cache.set(name, exports);
+      return exports;
+    } catch (error) {
+      // A module that failed is not run again, so its side effects happen at most once
+      if (!(error instanceof LimitExceededError || error instanceof CancelledError) && !this.loading.includes(name)) {
+        this.failures.set(name, error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve, parse and evaluate a module
+   * @returns {Promise<Object>} The exported values by name
+   */
+  async evaluateModule(name, position) {
+
+    if (this.loading.includes(name)) {
+      const cycle = [...this.loading.slice(this.loading.indexOf(name)), name].join(' -> ');
+      throw new RuntimeError(`Circular import: ${cycle}`, position.line, position.column);
+    }
+
+    const source = await this.resolve(name, position);
+
+    const parser = new Parser(new Lexer(source), this.rootContext.options);
+    const program = parser.parseProgram();
+    if (parser.errors.length > 0) {
+      const [error] = parser.errors;
+      throw new RuntimeError(
+        `Error in module '${name}' at ${error.line}:${error.column}: ${error.message}`,
+        position.line,
+        position.column
+      );
+    }
+
+    const moduleContext = this.createModuleContext();
+
+    this.loading.push(name);
+    try {
+      // Modules run on the same backend as the main script
+      if (moduleContext.options.backend === 'vm') {
+        await runProgram(program, moduleContext);
+      } else {
+        await program.evaluate(moduleContext);
+      }
+    } catch (error) {
+      // Cancelling the run or running out of a budget ends the whole run, not just the import
+      if (error instanceof LimitExceededError || error instanceof CancelledError) {
+        throw error;
+      }
+      const location = error instanceof RuntimeError ? ` at ${error.line}:${error.column}` : '';
+      throw new RuntimeError(
+        `Error in module '${name}'${location}: ${error.message}`,
+        position.line,
+        position.column
+      );
+    } finally {
+      this.loading.pop();
+    }
+
+    const exports = {};
+    for (const statement of program.statements) {
+      if (statement instanceof ExportDeclaration) {
+        exports[statement.name] = moduleContext.getEnvironment().get(statement.name);
+      }
+    }
+
+    return exports;
+  }
+
+  /**
+   * Ask the resolver for the source of a module
+   */
+  async resolve(name, position) {
+    if (!this.resolver) {
+      throw new RuntimeError(
+        `Cannot import '${name}': no module resolver configured`,
+        position.line,
+        position.column
+      );
+    }
+
+    let source;
+    try {
+      source = await this.resolver(name);
+    } catch (error) {
+      throw new RuntimeError(
+        `Cannot resolve module '${name}': ${error.message}`,
+        position.line,
+        position.column
+      );
+    }
+
+    if (typeof source !== 'string') {
+      throw new RuntimeError(`Cannot find module '${name}'`, position.line, position.column);
+    }
+
+    return source;
+  }
+
+  /**
+   * Create a top-level context for a module, sharing I/O and library functions with the main script
+   */
+  createModuleContext() {
+    const root = this.rootContext;
+    const moduleContext = new EvaluationContext(root.jsonData, root.consoleOutput);
+    moduleContext.functions = { ...root.functions };
+    moduleContext.asyncFunctions = new Set(root.asyncFunctions);
+    moduleContext.moduleLoader = this;
+    moduleContext.options = root.options;
+    moduleContext.budget = root.budget;
+    moduleContext.quota = root.quota;
+    moduleContext.signal = root.signal;
+    // Modules are strict with the strict option or their own "use strict"; directive
+    moduleContext.strict = Boolean(root.options.strict);
+    return moduleContext;
+  }
+}
@@ -0,0 +1,641 @@
+/**
+ * Operations on script values shared by both evaluation backends
+ *
+ * The tree-walking evaluator in ast.js and the bytecode VM in vm.js give
+ * scripts the same semantics by calling these helpers for arithmetic,
+ * comparisons, property access, variable assignment and function calls.
+ */
+
+import { RuntimeError, ThrowError, CancelledError, LibraryFunction, displayString } from './runtime.js';
+import { Decimal, toDecimalValue, fromDecimalValue } from './decimal.js';
+import { defineDataProperty, isBlockedKey, ownDataProperty, scriptMethod } from './properties.js';
+
+// Helper function for the arithmetic operators shared by infix expressions,
+// compound assignments and increment/decrement
+export function applyArithmetic(operator, left, right, position) {
+  // + joins a string with a value of any type but a function, converted the way console_put shows it
+  if (operator === '+' && (typeof left === 'string' || typeof right === 'string')) {
+    if (typeName(left) === 'function' || typeName(right) === 'function') {
+      throw new RuntimeError(
+        `Operator '+' cannot be applied to ${typeName(left)} and ${typeName(right)}`,
+        position.line,
+        position.column
+      );
+    }
+    return displayString(left) + displayString(right);
+  }
+  
+  checkNumberOperands(operator, [left, right], position);
+  
+  if (left instanceof Decimal || right instanceof Decimal) {
+    return applyDecimalArithmetic(operator, left, right, position);
+  }
+  
+  switch (operator) {
+    case '+':
+      return left + right;
+    
+    case '-':
+      return left - right;
+    
+    case '*':
+      return left * right;
+    
+    case '/':
+      if (right === 0) {
+        throw new RuntimeError(
+          'Division by zero',
+          position.line,
+          position.column
+        );
+      }
+      return left / right;
+    
+    // Integer division rounds down, so 7 ~/ 2 is 3 and -7 ~/ 2 is -4
+    case '~/':
+      if (right === 0) {
+        throw new RuntimeError(
+          'Division by zero',
+          position.line,
+          position.column
+        );
+      }
+      return Math.floor(left / right);
+    
+    case '%':
+      if (right === 0) {
+        throw new RuntimeError(
+          'Modulo by zero',
+          position.line,
+          position.column
+        );
+      }
+      return left % right;
+    
+    case '**':
+      return left ** right;
+    
+    default:
+      throw new RuntimeError(
+        `Unknown arithmetic operator: ${operator}`,
+        position.line,
+        position.column
+      );
+  }
+}
+
+// Helper function to apply a prefix operator
+export function applyPrefixOperator(operator, right, position) {
+  switch (operator) {
+    case '-':
+      checkNumberOperands(operator, [right], position);
+      return right instanceof Decimal ? right.negate() : -right;
+    case '!':
+      return !isTruthy(right);
+    case '~':
+      checkNumberOperands(operator, [right], position);
+      return ~right;
+    default:
+      throw new RuntimeError(
+        `Unknown prefix operator: ${operator}`,
+        position.line,
+        position.column
+      );
+  }
+}
+
+// Helper function to apply a binary operator other than the short-circuiting && || ??
+export function applyBinaryOperator(context, operator, left, right, position) {
+  switch (operator) {
+    case '+':
+    case '-':
+    case '*':
+    case '/':
+    case '~/':
+    case '%':
+    case '**': {
+      const result = applyArithmetic(operator, left, right, position);
+      if (typeof result === 'string') {
+        context.quota.stringLength(result.length, position);
+      }
+      return result;
+    }
+    
+    // Bitwise operators work on 32-bit signed integers
+    case '&':
+    case '|':
+    case '^':
+    case '<<':
+    case '>>':
+      checkNumberOperands(operator, [left, right], position);
+      return applyBitwise(operator, left, right);
+    
+    case '<':
+    case '>':
+    case '<=':
+    case '>=':
+      return applyOrdering(operator, compareValues(left, right, position));
+    
+    // Equality compares arrays and objects by their contents
+    case '==':
+      return valuesEqual(left, right);
+    
+    case '!=':
+      return !valuesEqual(left, right);
+    
+    // Identity tells apart arrays and objects that are equal but distinct
+    case '===':
+      return valuesIdentical(left, right);
+    
+    case '!==':
+      return !valuesIdentical(left, right);
+    
+    default:
+      throw new RuntimeError(
+        `Unknown infix operator: ${operator}`,
+        position.line,
+        position.column
+      );
+  }
+}
+
+// Helper function to apply a bitwise operator to numbers or decimals
+export function applyBitwise(operator, left, right) {
+  switch (operator) {
+    case '&': return left & right;
+    case '|': return left | right;
+    case '^': return left ^ right;
+    case '<<': return left << right;
+    default: return left >> right;
+  }
+}
+
+// Helper function to reject operands that are not numbers, instead of converting them like JavaScript
+export function checkNumberOperands(operator, operands, position) {
+  if (operands.every(operand => typeName(operand) === 'number')) {
+    return;
+  }
+  
+  const types = operands.map(typeName).join(' and ');
+  throw new RuntimeError(
+    `Operator '${operator}' cannot be applied to ${types}`,
+    position.line,
+    position.column
+  );
+}
+
+// Helper function to calculate with decimals, converting numbers mixed in (e.g. array lengths)
+export function applyDecimalArithmetic(operator, left, right, position) {
+  const operands = decimalOperands(left, right);
+  if (!operands) {
+    const other = left instanceof Decimal ? right : left;
+    throw new RuntimeError(
+      `Cannot use ${other} in decimal arithmetic`,
+      position.line,
+      position.column
+    );
+  }
+  
+  const [a, b] = operands;
+  try {
+    switch (operator) {
+      case '+': return a.add(b);
+      case '-': return a.subtract(b);
+      case '*': return a.multiply(b);
+      case '/': return a.divide(b);
+      case '~/': return a.integerDivide(b);
+      case '%': return a.remainder(b);
+      case '**': return a.power(b);
+      default:
+        throw new Error(`Unknown arithmetic operator: ${operator}`);
+    }
+  } catch (error) {
+    throw new RuntimeError(error.message, position.line, position.column);
+  }
+}
+
+// Both operands as decimals if one is a decimal and the other a decimal or finite number, otherwise null
+export function decimalOperands(left, right) {
+  const isNumeric = value => value instanceof Decimal || (typeof value === 'number' && Number.isFinite(value));
+  if ((left instanceof Decimal || right instanceof Decimal) && isNumeric(left) && isNumeric(right)) {
+    return [Decimal.from(left), Decimal.from(right)];
+  }
+  return null;
+}
+
+// Helper function to apply a comparison operator to the result of compareValues;
+// an order of NaN (a NaN operand) makes every comparison false
+export function applyOrdering(operator, order) {
+  switch (operator) {
+    case '<': return order < 0;
+    case '>': return order > 0;
+    case '<=': return order <= 0;
+    default: return order >= 0;
+  }
+}
+
+// Values of different types are ordered by the rank of their type
+const TYPE_ORDER = ['null', 'boolean', 'number', 'string', 'array', 'object', 'function'];
+
+// Helper function to order two values for < > <= >=, returning a negative number, zero,
+// a positive number or NaN. Numbers compare numerically, strings by UTF-16 code units,
+// false before true, and arrays element by element with a shorter prefix first.
+// Objects and functions can only be ordered against other types.
+export function compareValues(left, right, position, seen = new Map()) {
+  const leftType = typeName(left);
+  const rightType = typeName(right);
+  
+  if (leftType !== rightType) {
+    return TYPE_ORDER.indexOf(leftType) - TYPE_ORDER.indexOf(rightType);
+  }
+  
+  switch (leftType) {
+    case 'null':
+      return 0;
+    
+    case 'boolean':
+      return Number(left) - Number(right);
+    
+    case 'number': {
+      const decimals = decimalOperands(left, right);
+      if (decimals) {
+        return decimals[0].compare(decimals[1]);
+      }
+      return left === right ? 0 : left - right;
+    }
+    
+    case 'string':
+      if (left === right) return 0;
+      return left < right ? -1 : 1;
+    
+    case 'array': {
+      // Arrays that contain themselves are treated as equal where the cycle repeats
+      if (seen.get(left)?.has(right)) {
+        return 0;
+      }
+      seen.set(left, (seen.get(left) || new Set()).add(right));
+      
+      const length = Math.min(left.length, right.length);
+      for (let i = 0; i < length; i++) {
+        const order = compareValues(left[i], right[i], position, seen);
+        if (order !== 0) {
+          return order;
+        }
+      }
+      return left.length - right.length;
+    }
+    
+    default:
+      throw new RuntimeError(
+        `Cannot order two ${leftType} values`,
+        position.line,
+        position.column
+      );
+  }
+}
+
+// Helper function for ==, comparing arrays and plain objects by their contents.
+// Values of different types are never equal; a pair of values met again while
+// comparing (a cycle) counts as equal, so cyclic structures compare without recursing forever.
+export function valuesEqual(left, right, seen = new Map()) {
+  if (valuesIdentical(left, right)) {
+    return true;
+  }
+  
+  if (!isStructure(left) || !isStructure(right) || Array.isArray(left) !== Array.isArray(right)) {
+    return false;
+  }
+  
+  if (seen.get(left)?.has(right)) {
+    return true;
+  }
+  seen.set(left, (seen.get(left) || new Set()).add(right));
+  
+  if (Array.isArray(left)) {
+    return left.length === right.length &&
+      left.every((item, i) => valuesEqual(item, right[i], seen));
+  }
+  
+  const leftKeys = Object.keys(left);
+  return leftKeys.length === Object.keys(right).length &&
+    leftKeys.every(key => Object.prototype.hasOwnProperty.call(right, key) &&
+      valuesEqual(left[key], right[key], seen));
+}
+
+// Helper function for ===, which is == for numbers, strings, booleans and null
+// and the same instance for arrays, objects and functions
+export function valuesIdentical(left, right) {
+  const decimals = decimalOperands(left, right);
+  if (decimals) {
+    return decimals[0].equals(decimals[1]);
+  }
+  return (left === undefined ? null : left) === (right === undefined ? null : right);
+}
+
+// Arrays and plain objects are compared by value; other objects (e.g. host class instances) by identity
+export function isStructure(value) {
+  if (value === null || typeof value !== 'object' || value instanceof Decimal) {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return Array.isArray(value) || prototype === Object.prototype || prototype === null;
+}
+
+// Helper function to assign a value to an existing variable
+export function assignVariable(context, name, value, position) {
+  // Constants are only bound by their declaration
+  if (context.isConstant(name)) {
+    throw new RuntimeError(`Cannot assign to constant '${name}'`, position.line, position.column);
+  }
+  
+  // Strict mode does not create implicit globals
+  if (context.strict && !context.isDeclared(name)) {
+    throw new RuntimeError(`Cannot assign to undeclared variable '${name}'`, position.line, position.column);
+  }
+  
+  return context.assignVariable(name, value);
+}
+
+// Helper function to reject declaring a name twice in the same scope in strict mode
+export function checkRedeclaration(context, name, position) {
+  if (context.strict && context.getEnvironment().has(name)) {
+    throw new RuntimeError(
+      `Variable '${name}' has already been declared in this scope`,
+      position.line,
+      position.column
+    );
+  }
+}
+
+// Helper function to read an array element or object property. Arrays and strings
+// have a length, integer indexes and the methods whitelisted in properties.js, and
+// objects their own data properties; anything missing reads as null, so undefined
+// never reaches a script.
+export function readMember(context, object, property, position) {
+  const type = typeName(object);
+  
+  if (type === 'array' || type === 'string') {
+    if (property === 'length') {
+      return object.length;
+    }
+    const index = arrayIndex(property);
+    if (Number.isInteger(index)) {
+      const inRange = index >= 0 && index < object.length;
+      return inRange && object[index] !== undefined ? object[index] : null;
+    }
+    // Strings and arrays made by a method count towards the quotas of the run
+    return scriptMethod(object, String(property), (result) => {
+      if (typeof result === 'string') {
+        context.quota.stringLength(result.length, position);
+      } else {
+        context.quota.arrayElements(result.length, position);
+      }
+    });
+  }
+  
+  if (type === 'object') {
+    const { value } = ownDataProperty(object, property);
+    return value === undefined ? null : value;
+  }
+  
+  throw new RuntimeError(
+    `Cannot read property '${property}' of ${type}`,
+    position.line,
+    position.column
+  );
+}
+
+// Helper function to treat the string form of an index such as "0" as an array or string index, like a number.
+// Only canonical forms count, so "01" is a property name and not index 1.
+function arrayIndex(property) {
+  return typeof property === 'string' && property !== '' && String(Number(property)) === property
+    ? Number(property)
+    : property;
+}
+
+// Helper function to store a value in an array element or object property
+export function assignMember(context, object, property, value, position) {
+  if (object === null || object === undefined) {
+    throw new RuntimeError(
+      `Cannot set property '${property}' of null`,
+      position.line,
+      position.column
+    );
+  }
+  
+  // Writing __proto__ would replace a prototype instead of storing a property
+  if (isBlockedKey(property)) {
+    throw new RuntimeError(`Property name '${property}' is not allowed`, position.line, position.column);
+  }
+  
+  if (Array.isArray(object)) {
+    // Arrays can be updated in place or extended by one element
+    const index = arrayIndex(property);
+    if (!Number.isInteger(index) || index < 0 || index > object.length) {
+      throw new RuntimeError(
+        `Invalid array index ${property} for array of length ${object.length}`,
+        position.line,
+        position.column
+      );
+    }
+    if (index === object.length) {
+      context.quota.arrayElements(1, position);
+    }
+    object[index] = value;
+    return value;
+  }
+  
+  if (typeName(object) !== 'object') {
+    throw new RuntimeError(
+      `Cannot set property '${property}' of non-container value ${object}`,
+      position.line,
+      position.column
+    );
+  }
+  
+  // Only own data properties are written, so setters of host objects never run
+  const descriptor = Object.getOwnPropertyDescriptor(object, property);
+  if (descriptor ? !descriptor.writable : !Object.isExtensible(object)) {
+    throw new RuntimeError(`Cannot set property '${property}'`, position.line, position.column);
+  }
+  if (!descriptor) {
+    context.quota.objectKeys(1, position);
+  }
+  defineDataProperty(object, property, value);
+  return value;
+}
+
+// Helper function to call a function value with the arguments of a call expression,
+// where named holds the [name, value] pairs of arguments such as f(b: 3).
+// The call counts towards the call depth budget, and errors raised by host functions
+// get the position of the failing call.
+export async function invokeFunction(context, callee, args, position, named = []) {
+  if (named.length > 0) {
+    args = bindNamedArguments(callee, args, named, position);
+  }
+  context.budget.enterCall(position);
+  try {
+    // Host functions that return nothing give null
+    const result = await callFunction(context, callee, args, position);
+    return result === undefined ? null : result;
+  } catch (error) {
+    if (error instanceof RuntimeError) {
+      throw error;
+    }
+    // A host function that gave up because the run was cancelled cancels the run
+    if (context.signal?.aborted) {
+      throw new CancelledError(position.line, position.column);
+    }
+    throw new RuntimeError(error.message, position.line, position.column);
+  } finally {
+    context.budget.exitCall();
+  }
+}
+
+// Helper function to place named arguments at the positions of the parameters they
+// name. Parameters skipped in between are left empty, so their defaults apply.
+function bindNamedArguments(callee, args, named, position) {
+  const fail = message => new RuntimeError(message, position.line, position.column);
+  if (callee instanceof LibraryFunction) {
+    throw fail(`Function '${callee.name}' does not accept named arguments`);
+  }
+  if (typeof callee !== 'function') {
+    // Calling a non-function fails as usual
+    return args;
+  }
+  
+  const description = callee.functionName ? `Function '${callee.functionName}'` : 'Function';
+  if (!callee.parameterNames) {
+    // Only script functions have parameter names
+    throw fail(`${description} does not accept named arguments`);
+  }
+  
+  const bound = [...args];
+  for (const [name, value] of named) {
+    const index = callee.parameterNames.indexOf(name);
+    if (index < 0) {
+      throw fail(`${description} has no parameter named '${name}'`);
+    }
+    if (bound[index] !== undefined) {
+      throw fail(`Argument '${name}' is passed both by position and by name`);
+    }
+    bound[index] = value;
+  }
+  return bound;
+}
+
+// Helper function to call a library, host or script function
+async function callFunction(context, callee, args, position) {
+  // Check if it's a library function
+  if (callee instanceof LibraryFunction) {
+    // Handle async library functions
+    if (callee.isAsync) {
+      return await callee.implementation(...args, context.signal ?? undefined);
+    } else {
+      // Keep backward compatibility with sync library functions
+      return callee.implementation(...args);
+    }
+  }
+  
+  // Check if it's a user-defined function
+  if (typeof callee === 'function') {
+    if (context.options.strictArity && args.length > callee.maxArguments) {
+      const name = callee.functionName ? `Function '${callee.functionName}'` : 'Function';
+      throw new RuntimeError(
+        `${name} expects at most ${callee.maxArguments} argument${callee.maxArguments === 1 ? '' : 's'} but got ${args.length}`,
+        position.line,
+        position.column
+      );
+    }
+    
+    // Async host functions also receive the AbortSignal of the run, if it has one
+    const call = callee.callWithSignal
+      ? (callArgs) => callee.callWithSignal(callArgs, context.signal ?? undefined)
+      : callee;
+    
+    // In decimal mode, host functions exchange plain numbers (or strings) with the script
+    if (callee.isHostFunction && context.options.decimal) {
+      const hostArgs = args.map(arg => fromDecimalValue(arg, context.options.decimalOutput));
+      return toDecimalValue(await call(hostArgs));
+    }
+    
+    // Functions in this interpreter expect args as a single array. Async host
+    // functions get the signal however they are reached, so an alias or an
+    // object member holding one is called the same way as its registered name.
+    return await call(args);
+  }
+  
+  throw new RuntimeError(
+    `Cannot call non-function: ${context.stringify(callee)}`,
+    position.line,
+    position.column
+  );
+}
+
+// Helper function to create the error raised by a throw statement. Strings and
+// objects with a message describe themselves, anything else is stringified.
+export function thrownError(context, value, position) {
+  let message;
+  if (typeof value === 'string') {
+    message = value;
+  } else if (value !== null && typeof value === 'object' && typeof value.message === 'string') {
+    message = value.message;
+  } else {
+    message = context.stringify(value);
+  }
+  
+  return new ThrowError(value, message, position.line, position.column);
+}
+
+// Helper function to convert a caught error into the script value bound by catch
+export function toErrorValue(error) {
+  return {
+    message: error.message,
+    line: error instanceof RuntimeError ? error.line : 0,
+    column: error instanceof RuntimeError ? error.column : 0,
+    value: error instanceof ThrowError ? error.value : null
+  };
+}
+
+// Helper function to describe the type of a value in error messages
+export function typeName(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Decimal) return 'number';
+  if (value instanceof LibraryFunction) return 'function';
+  return typeof value;
+}
+
+// Milliseconds a cancellable run may keep the event loop busy before giving other tasks a turn
+const YIELD_INTERVAL = 10;
+
+// Helper function to count a step of the run, stopping it if it was cancelled or ran out of a budget
+export async function checkpoint(context, position) {
+  context.budget.step(position);
+  
+  if (context.signal) {
+    await checkCancelled(context, position);
+  }
+}
+
+// Helper function to stop a cancelled run, letting timers and I/O run now and then
+// so a busy loop can still be cancelled
+export async function checkCancelled(context, position) {
+  if (Date.now() - context.budget.lastYield >= YIELD_INTERVAL) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    context.budget.lastYield = Date.now();
+  }
+  if (context.signal.aborted) {
+    throw new CancelledError(position.line, position.column);
+  }
+}
+
+// Helper function to determine if a value is truthy
+export function isTruthy(value) {
+  if (value === null) return false;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (value instanceof Decimal) return !value.isZero();
+  if (typeof value === 'string') return value.length > 0;
+  return true;
+} 
@@ -1,53 +1,94 @@
 import { TokenType } from './tokens.js';
+import { Lexer } from './lexer.js';
 import * as AST from './ast.js';
 
 /**
  * Precedence levels for operators
  */
+// Operators with a higher precedence bind tighter. Binary operators are left-associative,
+// except for ** which is right-associative (2 ** 3 ** 2 is 2 ** 9). As in Python, bitwise
+// operators bind tighter than comparisons (x & 1 == 0 is (x & 1) == 0) and ** binds tighter
+// than a unary operator on its left (-2 ** 2 is -(2 ** 2)).
 const PRECEDENCE = {
   LOWEST: 1,
-  OR: 2,      // ||
-  AND: 3,     // &&
-  EQUALS: 4,  // == !=
-  COMPARE: 5, // > >= < <=
-  SUM: 6,     // + -
-  PRODUCT: 7, // * / %
-  PREFIX: 8,  // -x !x
-  CALL: 9,    // myFunction(x)
-  MEMBER: 10, // obj.property
+  CONDITIONAL: 2, // a ? b : c
+  NULLISH: 3,     // ??
+  OR: 4,          // ||
+  AND: 5,         // &&
+  EQUALS: 6,      // == != === !==
+  COMPARE: 7,     // > >= < <=
+  BIT_OR: 8,      // |
+  BIT_XOR: 9,     // ^
+  BIT_AND: 10,    // &
+  SHIFT: 11,      // << >>
+  SUM: 12,        // + -
+  PRODUCT: 13,    // * / ~/ %
+  PREFIX: 14,     // -x !x ~x ++x --x
+  EXPONENT: 15,   // **
+  POSTFIX: 16,    // x++ x--
+  CALL: 17,       // myFunction(x)
+  MEMBER: 18,     // obj.property obj?.property
 };
 
 // Mapping of token types to their respective precedence
 const PRECEDENCES = {
+  [TokenType.QUESTION]: PRECEDENCE.CONDITIONAL,
+  [TokenType.NULLISH]: PRECEDENCE.NULLISH,
   [TokenType.OR]: PRECEDENCE.OR,
   [TokenType.AND]: PRECEDENCE.AND,
   [TokenType.EQ]: PRECEDENCE.EQUALS,
   [TokenType.NOT_EQ]: PRECEDENCE.EQUALS,
+  [TokenType.IDENTICAL]: PRECEDENCE.EQUALS,
+  [TokenType.NOT_IDENTICAL]: PRECEDENCE.EQUALS,
   [TokenType.LT]: PRECEDENCE.COMPARE,
   [TokenType.GT]: PRECEDENCE.COMPARE,
   [TokenType.LT_EQ]: PRECEDENCE.COMPARE,
   [TokenType.GT_EQ]: PRECEDENCE.COMPARE,
+  [TokenType.BIT_OR]: PRECEDENCE.BIT_OR,
+  [TokenType.BIT_XOR]: PRECEDENCE.BIT_XOR,
+  [TokenType.BIT_AND]: PRECEDENCE.BIT_AND,
+  [TokenType.SHIFT_LEFT]: PRECEDENCE.SHIFT,
+  [TokenType.SHIFT_RIGHT]: PRECEDENCE.SHIFT,
   [TokenType.PLUS]: PRECEDENCE.SUM,
   [TokenType.MINUS]: PRECEDENCE.SUM,
   [TokenType.ASTERISK]: PRECEDENCE.PRODUCT,
   [TokenType.SLASH]: PRECEDENCE.PRODUCT,
+  [TokenType.INT_DIVIDE]: PRECEDENCE.PRODUCT,
   [TokenType.PERCENT]: PRECEDENCE.PRODUCT,
+  [TokenType.POWER]: PRECEDENCE.EXPONENT,
+  [TokenType.INCREMENT]: PRECEDENCE.POSTFIX,
+  [TokenType.DECREMENT]: PRECEDENCE.POSTFIX,
   [TokenType.LPAREN]: PRECEDENCE.CALL,
   [TokenType.DOT]: PRECEDENCE.MEMBER,
+  [TokenType.OPTIONAL_DOT]: PRECEDENCE.MEMBER,
   [TokenType.LBRACKET]: PRECEDENCE.MEMBER,
 };
 
+// Token types that start the value part of an assignment
+const ASSIGNMENT_OPERATORS = new Set([
+  TokenType.ASSIGN,
+  TokenType.PLUS_ASSIGN,
+  TokenType.MINUS_ASSIGN,
+  TokenType.ASTERISK_ASSIGN,
+  TokenType.SLASH_ASSIGN,
+  TokenType.PERCENT_ASSIGN,
+]);
+
 /**
  * Parser class for converting tokens into an AST
  * Implementation of a predictive recursive descent parser (LL(1))
  * as described in Wirth's "Compilerbau" (Compiler Construction)
  */
 export class Parser {
-  constructor(lexer) {
+  constructor(lexer, options = {}) {
     this.lexer = lexer;
+    this.options = options; // Interpreter options that affect parsing
     this.tokens = [];
     this.currentPosition = 0;
     this.errors = [];
+    this.loopDepth = 0; // Number of enclosing loops, for break/continue checks
+    this.blockDepth = 0; // Number of enclosing blocks, for top-level-only statements
+    this.constantScopes = [new Set()]; // Names declared const in each enclosing block
     
     // Initialize with next two tokens
     this.nextToken();
@@ -61,13 +102,18 @@ export class Parser {
     this.registerPrefix(TokenType.IDENTIFIER, this.parseIdentifier.bind(this));
     this.registerPrefix(TokenType.NUMBER, this.parseNumberLiteral.bind(this));
     this.registerPrefix(TokenType.STRING, this.parseStringLiteral.bind(this));
+    this.registerPrefix(TokenType.TEMPLATE, this.parseTemplateLiteral.bind(this));
     this.registerPrefix(TokenType.TRUE, this.parseBooleanLiteral.bind(this));
     this.registerPrefix(TokenType.FALSE, this.parseBooleanLiteral.bind(this));
     this.registerPrefix(TokenType.NULL, this.parseNullLiteral.bind(this));
     this.registerPrefix(TokenType.LPAREN, this.parseGroupedExpression.bind(this));
     this.registerPrefix(TokenType.MINUS, this.parsePrefixExpression.bind(this));
     this.registerPrefix(TokenType.NOT, this.parsePrefixExpression.bind(this));
+    this.registerPrefix(TokenType.BIT_NOT, this.parsePrefixExpression.bind(this));
+    this.registerPrefix(TokenType.INCREMENT, this.parsePrefixUpdateExpression.bind(this));
+    this.registerPrefix(TokenType.DECREMENT, this.parsePrefixUpdateExpression.bind(this));
     this.registerPrefix(TokenType.LBRACKET, this.parseArrayLiteral.bind(this));
+    this.registerPrefix(TokenType.LBRACE, this.parseObjectLiteral.bind(this));
     this.registerPrefix(TokenType.DEF, this.parseAnonymousFunction.bind(this));
     
     // Register infix parsers
@@ -76,16 +122,30 @@ export class Parser {
     this.registerInfix(TokenType.ASTERISK, this.parseInfixExpression.bind(this));
     this.registerInfix(TokenType.SLASH, this.parseInfixExpression.bind(this));
     this.registerInfix(TokenType.PERCENT, this.parseInfixExpression.bind(this));
+    this.registerInfix(TokenType.INT_DIVIDE, this.parseInfixExpression.bind(this));
+    this.registerInfix(TokenType.POWER, this.parseInfixExpression.bind(this));
+    this.registerInfix(TokenType.BIT_AND, this.parseInfixExpression.bind(this));
+    this.registerInfix(TokenType.BIT_OR, this.parseInfixExpression.bind(this));
+    this.registerInfix(TokenType.BIT_XOR, this.parseInfixExpression.bind(this));
+    this.registerInfix(TokenType.SHIFT_LEFT, this.parseInfixExpression.bind(this));
+    this.registerInfix(TokenType.SHIFT_RIGHT, this.parseInfixExpression.bind(this));
     this.registerInfix(TokenType.EQ, this.parseInfixExpression.bind(this));
     this.registerInfix(TokenType.NOT_EQ, this.parseInfixExpression.bind(this));
+    this.registerInfix(TokenType.IDENTICAL, this.parseInfixExpression.bind(this));
+    this.registerInfix(TokenType.NOT_IDENTICAL, this.parseInfixExpression.bind(this));
     this.registerInfix(TokenType.LT, this.parseInfixExpression.bind(this));
     this.registerInfix(TokenType.GT, this.parseInfixExpression.bind(this));
     this.registerInfix(TokenType.LT_EQ, this.parseInfixExpression.bind(this));
     this.registerInfix(TokenType.GT_EQ, this.parseInfixExpression.bind(this));
     this.registerInfix(TokenType.AND, this.parseInfixExpression.bind(this));
     this.registerInfix(TokenType.OR, this.parseInfixExpression.bind(this));
+    this.registerInfix(TokenType.NULLISH, this.parseInfixExpression.bind(this));
+    this.registerInfix(TokenType.QUESTION, this.parseConditionalExpression.bind(this));
+    this.registerInfix(TokenType.INCREMENT, this.parsePostfixUpdateExpression.bind(this));
+    this.registerInfix(TokenType.DECREMENT, this.parsePostfixUpdateExpression.bind(this));
     this.registerInfix(TokenType.LPAREN, this.parseCallExpression.bind(this));
     this.registerInfix(TokenType.DOT, this.parseMemberExpression.bind(this));
+    this.registerInfix(TokenType.OPTIONAL_DOT, this.parseOptionalMemberExpression.bind(this));
     this.registerInfix(TokenType.LBRACKET, this.parseIndexExpression.bind(this));
   }
   
@@ -103,6 +163,15 @@ export class Parser {
       this.nextToken();
     }
     
+    // Report lexical errors (e.g. invalid escape sequences) before syntax errors
+    this.errors.unshift(...(this.lexer.errors || []));
+    
+    // A leading "use strict"; directive enables strict mode for the script
+    const [first] = program.statements;
+    program.strict = first instanceof AST.ExpressionStatement &&
+      first.expression instanceof AST.StringLiteral &&
+      first.expression.value === 'use strict';
+    
     return program;
   }
   
@@ -137,6 +206,20 @@ export class Parser {
     }
   }
   
+  /**
+   * Look at the token the given distance ahead of the current token without advancing
+   * (a distance of 1 is the peek token)
+   */
+  lookAhead(distance) {
+    const index = this.currentPosition + distance - 2;
+    
+    while (this.tokens.length <= index) {
+      this.tokens.push(this.lexer.nextToken());
+    }
+    
+    return this.tokens[index];
+  }
+  
   /**
    * Check if the current token is of the given type
    */
@@ -151,6 +234,13 @@ export class Parser {
     return this.peekToken && this.peekToken.type === tokenType;
   }
   
+  /**
+   * Check if the next token is an assignment operator (= += -= *= /= %=)
+   */
+  peekTokenIsAssignment() {
+    return this.peekToken && ASSIGNMENT_OPERATORS.has(this.peekToken.type);
+  }
+  
   /**
    * Expect the next token to be of the given type, and advance if it is
    */
@@ -198,20 +288,34 @@ export class Parser {
       case TokenType.DEF:
         return this.parseFunctionDeclaration();
       case TokenType.LET:
+      case TokenType.CONST:
         return this.parseVariableDeclaration();
       case TokenType.IF:
         return this.parseIfStatement();
       case TokenType.WHILE:
         return this.parseWhileStatement();
+      case TokenType.FOR:
+        return this.parseForStatement();
       case TokenType.RETURN:
         return this.parseReturnStatement();
+      case TokenType.BREAK:
+      case TokenType.CONTINUE:
+        return this.parseLoopControlStatement();
+      case TokenType.TRY:
+        return this.parseTryStatement();
+      case TokenType.THROW:
+        return this.parseThrowStatement();
+      case TokenType.MATCH:
+        return this.parseMatchStatement();
+      case TokenType.IMPORT:
+        return this.parseImportDeclaration();
+      case TokenType.EXPORT:
+        return this.parseExportDeclaration();
       case TokenType.LBRACE:
         return this.parseBlockStatement();
       default:
-        // Check for assignment statements (identifier = expression)
-        if (this.currentTokenIs(TokenType.IDENTIFIER) && this.peekTokenIs(TokenType.ASSIGN)) {
-          return this.parseAssignmentStatement();
-        }
+        // Assignment statements (target = expression) are recognized
+        // once their target has been parsed as an expression
         return this.parseExpressionStatement();
     }
   }
@@ -224,6 +328,8 @@ export class Parser {
     block.position = { line: this.currentToken.line, column: this.currentToken.column };
     
     this.nextToken(); // Skip the opening brace
+    this.blockDepth++;
+    this.constantScopes.push(new Set());
     
     while (!this.currentTokenIs(TokenType.RBRACE) && !this.currentTokenIs(TokenType.EOF)) {
       const stmt = this.parseStatement();
@@ -233,6 +339,9 @@ export class Parser {
       this.nextToken();
     }
     
+    this.blockDepth--;
+    this.constantScopes.pop();
+    
     if (!this.currentTokenIs(TokenType.RBRACE)) {
       this.errors.push({
         message: "Expected '}' at the end of block statement",
@@ -244,6 +353,28 @@ export class Parser {
     return block;
   }
   
+  /**
+   * Parse the block of a loop body, tracking the loop nesting depth
+   */
+  parseLoopBody() {
+    this.loopDepth++;
+    const body = this.parseBlockStatement();
+    this.loopDepth--;
+    return body;
+  }
+  
+  /**
+   * Parse the block of a function body
+   * Loops enclosing the function do not apply to its body
+   */
+  parseFunctionBody() {
+    const outerLoopDepth = this.loopDepth;
+    this.loopDepth = 0;
+    const body = this.parseBlockStatement();
+    this.loopDepth = outerLoopDepth;
+    return body;
+  }
+  
   /**
    * Parse a function declaration
    */
@@ -271,6 +402,10 @@ export class Parser {
       
       functionDecl.name = this.currentToken.literal;
       
+      // Top-level functions can be made constant by an interpreter option
+      functionDecl.constant = Boolean(this.options.constFunctions) && this.blockDepth === 0;
+      this.declareName(functionDecl.name, functionDecl.constant);
+      
       // Parse parameters
       if (!this.expectPeek(TokenType.LPAREN)) {
         return null;
@@ -284,7 +419,7 @@ export class Parser {
       return null;
     }
     
-    functionDecl.body = this.parseBlockStatement();
+    functionDecl.body = this.parseFunctionBody();
     
     return functionDecl;
   }
@@ -317,7 +452,7 @@ export class Parser {
       return null;
     }
     
-    functionExpr.body = this.parseBlockStatement();
+    functionExpr.body = this.parseFunctionBody();
     
     return functionExpr;
   }
@@ -337,52 +472,124 @@ export class Parser {
     this.nextToken();
     
     // First parameter
-    parameters.push(this.currentToken.literal);
+    parameters.push(this.parseParameter());
     
     // Subsequent parameters
     while (this.peekTokenIs(TokenType.COMMA)) {
       this.nextToken(); // Skip comma
-      this.nextToken(); // Move to parameter name
-      
-      if (this.currentTokenIs(TokenType.IDENTIFIER)) {
-        parameters.push(this.currentToken.literal);
-      } else {
-        this.errors.push({
-          message: "Expected parameter name",
-          line: this.currentToken?.line,
-          column: this.currentToken?.column
-        });
-      }
+      this.nextToken(); // Move to parameter
+      parameters.push(this.parseParameter());
     }
     
-    if (!this.expectPeek(TokenType.RPAREN)) {
+    if (!this.expectPeek(TokenType.RPAREN) || parameters.includes(null)) {
       return null;
     }
     
+    const restIndex = parameters.findIndex(param => param.rest);
+    if (restIndex !== -1 && restIndex < parameters.length - 1) {
+      this.errors.push({
+        message: "Rest parameter must be the last parameter",
+        line: parameters[restIndex].position.line,
+        column: parameters[restIndex].position.column
+      });
+    }
+    
     return parameters;
   }
   
+  /**
+   * Parse a single parameter: name, name = default or ...name
+   */
+  parseParameter() {
+    const parameter = new AST.Parameter();
+    parameter.position = { line: this.currentToken.line, column: this.currentToken.column };
+    
+    if (this.currentTokenIs(TokenType.ELLIPSIS)) {
+      parameter.rest = true;
+      this.nextToken();
+    } else if (this.currentTokenIs(TokenType.LBRACKET) || this.currentTokenIs(TokenType.LBRACE)) {
+      parameter.pattern = this.parseBindingTarget();
+      if (!parameter.pattern) {
+        return null;
+      }
+      parameter.defaultValue = this.parseBindingDefault();
+      return parameter;
+    }
+    
+    if (!this.currentTokenIs(TokenType.IDENTIFIER)) {
+      this.errors.push({
+        message: "Expected parameter name",
+        line: this.currentToken?.line,
+        column: this.currentToken?.column
+      });
+      return null;
+    }
+    
+    parameter.name = this.currentToken.literal;
+    
+    if (this.peekTokenIs(TokenType.ASSIGN)) {
+      if (parameter.rest) {
+        this.errors.push({
+          message: "Rest parameter cannot have a default value",
+          line: this.peekToken.line,
+          column: this.peekToken.column
+        });
+      }
+      
+      this.nextToken(); // Move to '='
+      this.nextToken(); // Move to the default value
+      parameter.defaultValue = this.parseExpression(PRECEDENCE.LOWEST);
+    }
+    
+    return parameter;
+  }
+  
   /**
    * Parse a variable declaration
    */
   parseVariableDeclaration() {
     const declaration = new AST.VariableDeclaration();
     declaration.position = { line: this.currentToken.line, column: this.currentToken.column };
+    declaration.kind = this.currentToken.literal; // 'let' or 'const'
     
-    // Parse variable name
-    if (!this.expectPeek(TokenType.IDENTIFIER)) {
+    // Parse a destructuring pattern, which must be initialized
+    if (this.peekTokenIs(TokenType.LBRACKET) || this.peekTokenIs(TokenType.LBRACE)) {
+      this.nextToken();
+      declaration.pattern = this.parseBindingTarget();
+      if (!declaration.pattern) {
+        return null;
+      }
+      
+      if (!this.peekTokenIs(TokenType.ASSIGN)) {
+        this.errors.push({
+          message: "Destructuring declaration requires an initializer",
+          line: this.peekToken?.line,
+          column: this.peekToken?.column
+        });
+      }
+    } else if (!this.expectPeek(TokenType.IDENTIFIER)) {
+      // Parse variable name
       return null;
+    } else {
+      declaration.name = this.currentToken.literal;
     }
     
-    declaration.name = this.currentToken.literal;
-    
     // Parse initializer (if any)
     if (this.peekTokenIs(TokenType.ASSIGN)) {
       this.nextToken();
       this.nextToken();
       declaration.initializer = this.parseExpression(PRECEDENCE.LOWEST);
+    } else if (declaration.kind === 'const' && !declaration.pattern) {
+      this.errors.push({
+        message: `Missing initializer in const declaration of '${declaration.name}'`,
+        line: this.peekToken?.line,
+        column: this.peekToken?.column
+      });
     }
     
+    const names = declaration.pattern ? declaration.pattern.bindingNames() : [declaration.name];
+    names.forEach(name => this.declareName(name, declaration.kind === 'const'));
+    
     // Expect semicolon
     if (this.peekTokenIs(TokenType.SEMICOLON)) {
       this.nextToken();
@@ -398,18 +605,179 @@ export class Parser {
   }
   
   /**
-   * Parse an assignment statement
+   * Record a declaration in the current block, tracking which names are constant
+   */
+  declareName(name, constant) {
+    const constants = this.constantScopes[this.constantScopes.length - 1];
+    if (constant) {
+      constants.add(name);
+    } else {
+      constants.delete(name);
+    }
+  }
+  
+  /**
+   * Report assignments to a constant declared in the current block
+   * Constants of enclosing blocks may be shadowed, so those are checked at runtime
+   */
+  checkConstantAssignment(target, position) {
+    const constants = this.constantScopes[this.constantScopes.length - 1];
+    if (target instanceof AST.Identifier && constants.has(target.name)) {
+      this.errors.push({
+        message: `Cannot assign to constant '${target.name}'`,
+        line: position.line,
+        column: position.column
+      });
+    }
+  }
+  
+  /**
+   * Parse the target of a binding: a variable name or a destructuring pattern
    */
-  parseAssignmentStatement() {
-    const assignment = new AST.AssignmentStatement();
-    assignment.position = { line: this.currentToken.line, column: this.currentToken.column };
+  parseBindingTarget() {
+    if (this.currentTokenIs(TokenType.IDENTIFIER)) {
+      return this.parseIdentifier();
+    }
+    
+    if (this.currentTokenIs(TokenType.LBRACKET)) {
+      return this.parseArrayPattern();
+    }
+    
+    if (this.currentTokenIs(TokenType.LBRACE)) {
+      return this.parseObjectPattern();
+    }
     
-    assignment.name = this.currentToken.literal;
+    this.errors.push({
+      message: "Expected variable name or destructuring pattern",
+      line: this.currentToken?.line,
+      column: this.currentToken?.column
+    });
+    return null;
+  }
+  
+  /**
+   * Parse the optional default value of a binding: = expression
+   */
+  parseBindingDefault() {
+    if (!this.peekTokenIs(TokenType.ASSIGN)) {
+      return null;
+    }
     
-    this.nextToken(); // Skip the identifier
-    this.nextToken(); // Skip the '='
+    this.nextToken(); // Move to '='
+    this.nextToken(); // Move to the default value
+    return this.parseExpression(PRECEDENCE.LOWEST);
+  }
+  
+  /**
+   * Parse an array destructuring pattern: [a, , b = 1, ...rest]
+   */
+  parseArrayPattern() {
+    const pattern = new AST.ArrayPattern();
+    pattern.position = { line: this.currentToken.line, column: this.currentToken.column };
     
-    assignment.value = this.parseExpression(PRECEDENCE.LOWEST);
+    while (!this.peekTokenIs(TokenType.RBRACKET)) {
+      // A comma without a target skips an element
+      if (this.peekTokenIs(TokenType.COMMA)) {
+        this.nextToken();
+        pattern.elements.push(null);
+        continue;
+      }
+      
+      this.nextToken();
+      
+      const rest = this.currentTokenIs(TokenType.ELLIPSIS);
+      if (rest) {
+        this.nextToken();
+      }
+      
+      const target = this.parseBindingTarget();
+      if (!target) {
+        return null;
+      }
+      
+      const defaultValue = rest ? null : this.parseBindingDefault();
+      pattern.elements.push({ target, defaultValue, rest });
+      
+      if (rest && !this.peekTokenIs(TokenType.RBRACKET)) {
+        this.errors.push({
+          message: "Rest element must be last in an array pattern",
+          line: this.peekToken?.line,
+          column: this.peekToken?.column
+        });
+      }
+      
+      if (!this.peekTokenIs(TokenType.RBRACKET) && !this.expectPeek(TokenType.COMMA)) {
+        return null;
+      }
+    }
+    
+    this.nextToken(); // Move to the closing bracket
+    
+    return pattern;
+  }
+  
+  /**
+   * Parse an object destructuring pattern: { id, name: n, tags = [] }
+   */
+  parseObjectPattern() {
+    const pattern = new AST.ObjectPattern();
+    pattern.position = { line: this.currentToken.line, column: this.currentToken.column };
+    
+    while (!this.peekTokenIs(TokenType.RBRACE)) {
+      this.nextToken();
+      
+      if (!this.currentTokenIs(TokenType.IDENTIFIER) && !this.currentTokenIs(TokenType.STRING)) {
+        this.errors.push({
+          message: "Expected property name in object pattern",
+          line: this.currentToken?.line,
+          column: this.currentToken?.column
+        });
+        return null;
+      }
+      
+      const key = this.currentToken.literal;
+      let target;
+      
+      if (this.peekTokenIs(TokenType.COLON)) {
+        this.nextToken(); // Move to ':'
+        this.nextToken(); // Move to the target
+        target = this.parseBindingTarget();
+        if (!target) {
+          return null;
+        }
+      } else if (this.currentTokenIs(TokenType.IDENTIFIER)) {
+        // Shorthand: { id } binds the property to a variable of the same name
+        target = this.parseIdentifier();
+      } else {
+        this.errors.push({
+          message: "Expected ':' after string key in object pattern",
+          line: this.peekToken?.line,
+          column: this.peekToken?.column
+        });
+        return null;
+      }
+      
+      const defaultValue = this.parseBindingDefault();
+      pattern.properties.push({ key, target, defaultValue });
+      
+      if (!this.peekTokenIs(TokenType.RBRACE) && !this.expectPeek(TokenType.COMMA)) {
+        return null;
+      }
+    }
+    
+    this.nextToken(); // Move to the closing brace
+    
+    return pattern;
+  }
+  
+  /**
+   * Parse an assignment statement
+   */
+  parseAssignmentStatement(target, position) {
+    const assignment = this.parseAssignmentExpression(target, position);
+    if (!assignment) {
+      return null;
+    }
     
     // Expect semicolon
     if (this.peekTokenIs(TokenType.SEMICOLON)) {
@@ -427,16 +795,28 @@ export class Parser {
   
   /**
    * Parse an assignment expression without requiring a semicolon
+   * The target has already been parsed; the current token is its last token
    * This is specifically used in for loop initializers and updates
    */
-  parseAssignmentExpression() {
-    const assignment = new AST.AssignmentStatement();
-    assignment.position = { line: this.currentToken.line, column: this.currentToken.column };
+  parseAssignmentExpression(target, position) {
+    // Only variables and (nested) member expressions can be assigned to
+    if (!this.isAssignmentTarget(target)) {
+      this.errors.push({
+        message: "Invalid assignment target",
+        line: position.line,
+        column: position.column
+      });
+      return null;
+    }
     
-    assignment.name = this.currentToken.literal;
+    this.checkConstantAssignment(target, position);
     
-    this.nextToken(); // Skip the identifier
-    this.nextToken(); // Skip the '='
+    this.nextToken(); // Move to the '=' (or compound operator)
+    
+    const assignment = new AST.AssignmentStatement(target, null, this.currentToken.literal);
+    assignment.position = position;
+    
+    this.nextToken(); // Skip the operator
     
     assignment.value = this.parseExpression(PRECEDENCE.LOWEST);
     
@@ -444,6 +824,31 @@ export class Parser {
     return assignment;
   }
   
+  /**
+   * Check if an expression can be assigned to (variables and member expressions)
+   */
+  isAssignmentTarget(expression) {
+    if (expression instanceof AST.Identifier) {
+      return true;
+    }
+    
+    // Member expressions qualify unless they are part of an optional chain (a?.b = x)
+    return expression instanceof AST.MemberExpression && !this.isOptionalChain(expression);
+  }
+  
+  /**
+   * Check if a member or call expression contains an optional link (?.)
+   */
+  isOptionalChain(expression) {
+    while (expression instanceof AST.MemberExpression || expression instanceof AST.CallExpression) {
+      if (expression.optional) {
+        return true;
+      }
+      expression = expression instanceof AST.MemberExpression ? expression.object : expression.callee;
+    }
+    return false;
+  }
+  
   /**
    * Parse an if statement
    */
@@ -495,75 +900,719 @@ export class Parser {
   }
   
   /**
-   * Parse a while statement
+   * Parse a match statement: match (expr) { case pattern, ... => body ... else => body }
    */
-  parseWhileStatement() {
-    const whileStmt = new AST.WhileStatement();
-    whileStmt.position = { line: this.currentToken.line, column: this.currentToken.column };
+  parseMatchStatement() {
+    const matchStmt = new AST.MatchStatement();
+    matchStmt.position = { line: this.currentToken.line, column: this.currentToken.column };
     
-    // Parse condition
     if (!this.expectPeek(TokenType.LPAREN)) {
       return null;
     }
     
     this.nextToken(); // Skip the '('
-    whileStmt.condition = this.parseExpression(PRECEDENCE.LOWEST);
+    matchStmt.subject = this.parseExpression(PRECEDENCE.LOWEST);
     
     if (!this.expectPeek(TokenType.RPAREN)) {
       return null;
     }
     
-    // Parse loop body
     if (!this.expectPeek(TokenType.LBRACE)) {
       return null;
     }
     
-    whileStmt.body = this.parseBlockStatement();
+    while (!this.peekTokenIs(TokenType.RBRACE)) {
+      this.nextToken();
+      
+      const armPosition = { line: this.currentToken.line, column: this.currentToken.column };
+      const arm = this.parseMatchArm();
+      if (!arm) {
+        return null;
+      }
+      
+      if (matchStmt.arms.some(previous => previous.isDefault)) {
+        this.errors.push({
+          message: "The 'else' arm must be the last arm of a match statement",
+          line: armPosition.line,
+          column: armPosition.column
+        });
+      }
+      
+      matchStmt.arms.push(arm);
+    }
+    
+    this.nextToken(); // Move to the closing brace
     
-    return whileStmt;
+    return matchStmt;
   }
   
   /**
-   * Parse a return statement
+   * Parse a single arm of a match statement
    */
-  parseReturnStatement() {
-    const returnStmt = new AST.ReturnStatement();
-    returnStmt.position = { line: this.currentToken.line, column: this.currentToken.column };
-    
-    this.nextToken(); // Skip 'return' keyword
-    
-    // Check for expression after return
-    if (!this.currentTokenIs(TokenType.SEMICOLON)) {
-      returnStmt.value = this.parseExpression(PRECEDENCE.LOWEST);
-    }
-    
-    // Expect semicolon
-    if (this.peekTokenIs(TokenType.SEMICOLON)) {
-      this.nextToken();
+  parseMatchArm() {
+    const arm = { patterns: [], isDefault: false, body: null };
+    
+    if (this.currentTokenIs(TokenType.ELSE)) {
+      arm.isDefault = true;
+    } else if (this.currentTokenIs(TokenType.CASE)) {
+      // One or more alternative patterns separated by commas
+      this.nextToken(); // Skip 'case'
+      arm.patterns.push(this.parseMatchPattern());
+      
+      while (this.peekTokenIs(TokenType.COMMA)) {
+        this.nextToken(); // Skip comma
+        this.nextToken(); // Move to the next pattern
+        arm.patterns.push(this.parseMatchPattern());
+      }
+      
+      if (arm.patterns.includes(null)) {
+        return null;
+      }
     } else {
       this.errors.push({
-        message: "Expected ';' after return statement",
-        line: this.peekToken?.line,
-        column: this.peekToken?.column
+        message: "Expected 'case' or 'else' in match statement",
+        line: this.currentToken.line,
+        column: this.currentToken.column
       });
+      return null;
     }
     
-    return returnStmt;
+    if (!this.expectPeek(TokenType.ARROW)) {
+      return null;
+    }
+    
+    // The body is a block or a single statement
+    this.nextToken();
+    arm.body = this.parseStatement();
+    
+    return arm.body ? arm : null;
   }
   
   /**
-   * Parse an expression statement
+   * Parse a pattern of a match arm: a literal, a variable binding, an array pattern or an object pattern
    */
-  parseExpressionStatement() {
-    const stmt = new AST.ExpressionStatement(this.parseExpression(PRECEDENCE.LOWEST));
-    stmt.position = { line: this.currentToken.line, column: this.currentToken.column };
+  parseMatchPattern() {
+    const position = { line: this.currentToken.line, column: this.currentToken.column };
+    let pattern;
     
-    // Expect semicolon (optional)
-    if (this.peekTokenIs(TokenType.SEMICOLON)) {
-      this.nextToken();
+    switch (this.currentToken.type) {
+      case TokenType.NUMBER:
+        pattern = new AST.LiteralPattern(this.parseNumberLiteral().value);
+        break;
+      case TokenType.MINUS:
+        if (!this.expectPeek(TokenType.NUMBER)) {
+          return null;
+        }
+        pattern = new AST.LiteralPattern(-this.parseNumberLiteral().value);
+        break;
+      case TokenType.STRING:
+        pattern = new AST.LiteralPattern(this.currentToken.literal);
+        break;
+      case TokenType.TRUE:
+      case TokenType.FALSE:
+        pattern = new AST.LiteralPattern(this.currentTokenIs(TokenType.TRUE));
+        break;
+      case TokenType.NULL:
+        pattern = new AST.LiteralPattern(null);
+        break;
+      case TokenType.IDENTIFIER:
+        pattern = new AST.BindingPattern(this.currentToken.literal);
+        break;
+      case TokenType.LBRACKET:
+        pattern = this.parseArrayMatchPattern();
+        break;
+      case TokenType.LBRACE:
+        pattern = this.parseObjectMatchPattern();
+        break;
+      default:
+        this.errors.push({
+          message: `Expected pattern, got ${this.currentToken.literal}`,
+          line: this.currentToken.line,
+          column: this.currentToken.column
+        });
+        return null;
     }
     
-    return stmt;
+    if (pattern) {
+      pattern.position = position;
+    }
+    
+    return pattern;
+  }
+  
+  /**
+   * Parse an array pattern of a match arm: [first, 2, ...rest]
+   */
+  parseArrayMatchPattern() {
+    const pattern = new AST.ArrayMatchPattern();
+    
+    while (!this.peekTokenIs(TokenType.RBRACKET)) {
+      this.nextToken();
+      
+      if (this.currentTokenIs(TokenType.ELLIPSIS)) {
+        if (!this.expectPeek(TokenType.IDENTIFIER)) {
+          return null;
+        }
+        pattern.rest = this.currentToken.literal;
+        
+        if (!this.peekTokenIs(TokenType.RBRACKET)) {
+          this.errors.push({
+            message: "Rest element must be last in an array pattern",
+            line: this.peekToken?.line,
+            column: this.peekToken?.column
+          });
+          return null;
+        }
+        break;
+      }
+      
+      const element = this.parseMatchPattern();
+      if (!element) {
+        return null;
+      }
+      pattern.elements.push(element);
+      
+      if (!this.peekTokenIs(TokenType.RBRACKET) && !this.expectPeek(TokenType.COMMA)) {
+        return null;
+      }
+    }
+    
+    this.nextToken(); // Move to the closing bracket
+    
+    return pattern;
+  }
+  
+  /**
+   * Parse an object pattern of a match arm: { type: "a", id }
+   */
+  parseObjectMatchPattern() {
+    const pattern = new AST.ObjectMatchPattern();
+    
+    while (!this.peekTokenIs(TokenType.RBRACE)) {
+      this.nextToken();
+      
+      if (!this.currentTokenIs(TokenType.IDENTIFIER) && !this.currentTokenIs(TokenType.STRING)) {
+        this.errors.push({
+          message: "Expected property name in object pattern",
+          line: this.currentToken?.line,
+          column: this.currentToken?.column
+        });
+        return null;
+      }
+      
+      const key = this.currentToken.literal;
+      let value;
+      
+      if (this.peekTokenIs(TokenType.COLON)) {
+        this.nextToken(); // Move to ':'
+        this.nextToken(); // Move to the value pattern
+        value = this.parseMatchPattern();
+        if (!value) {
+          return null;
+        }
+      } else if (this.currentTokenIs(TokenType.IDENTIFIER)) {
+        // Shorthand: { id } requires the property and binds it to a variable of the same name
+        value = new AST.BindingPattern(key);
+        value.position = { line: this.currentToken.line, column: this.currentToken.column };
+      } else {
+        this.errors.push({
+          message: "Expected ':' after string key in object pattern",
+          line: this.peekToken?.line,
+          column: this.peekToken?.column
+        });
+        return null;
+      }
+      
+      pattern.properties.push({ key, value });
+      
+      if (!this.peekTokenIs(TokenType.RBRACE) && !this.expectPeek(TokenType.COMMA)) {
+        return null;
+      }
+    }
+    
+    this.nextToken(); // Move to the closing brace
+    
+    return pattern;
+  }
+  
+  /**
+   * Parse a while statement
+   */
+  parseWhileStatement() {
+    const whileStmt = new AST.WhileStatement();
+    whileStmt.position = { line: this.currentToken.line, column: this.currentToken.column };
+    
+    // Parse condition
+    if (!this.expectPeek(TokenType.LPAREN)) {
+      return null;
+    }
+    
+    this.nextToken(); // Skip the '('
+    whileStmt.condition = this.parseExpression(PRECEDENCE.LOWEST);
+    
+    if (!this.expectPeek(TokenType.RPAREN)) {
+      return null;
+    }
+    
+    // Parse loop body
+    if (!this.expectPeek(TokenType.LBRACE)) {
+      return null;
+    }
+    
+    whileStmt.body = this.parseLoopBody();
+    
+    return whileStmt;
+  }
+  
+  /**
+   * Parse a for statement, either C-style (for (init; cond; update))
+   * or a collection loop (for (item in collection))
+   */
+  parseForStatement() {
+    const position = { line: this.currentToken.line, column: this.currentToken.column };
+    
+    if (!this.expectPeek(TokenType.LPAREN)) {
+      return null;
+    }
+    
+    // for (item in ...), for (let item in ...) or for (const item in ...)
+    const isForIn = (this.lookAhead(1).type === TokenType.IDENTIFIER &&
+                     this.lookAhead(2).type === TokenType.IN) ||
+                    ((this.lookAhead(1).type === TokenType.LET || this.lookAhead(1).type === TokenType.CONST) &&
+                     this.lookAhead(2).type === TokenType.IDENTIFIER &&
+                     this.lookAhead(3).type === TokenType.IN);
+    
+    // Variables declared in the header belong to the loop, not to the enclosing block
+    this.constantScopes.push(new Set());
+    const loop = isForIn ? this.parseForInStatement(position) : this.parseCStyleForStatement(position);
+    this.constantScopes.pop();
+    
+    return loop;
+  }
+  
+  /**
+   * Parse the header and body of a C-style for loop
+   * The current token is the opening parenthesis
+   */
+  parseCStyleForStatement(position) {
+    const forStmt = new AST.ForStatement();
+    forStmt.position = position;
+    
+    this.nextToken(); // Skip the '('
+    
+    // Initializer (a variable declaration consumes its own semicolon)
+    if (this.currentTokenIs(TokenType.LET) || this.currentTokenIs(TokenType.CONST)) {
+      forStmt.initializer = this.parseVariableDeclaration();
+    } else if (!this.currentTokenIs(TokenType.SEMICOLON)) {
+      forStmt.initializer = this.parseForClause();
+      if (!this.expectPeek(TokenType.SEMICOLON)) {
+        return null;
+      }
+    }
+    
+    // Condition
+    if (this.peekTokenIs(TokenType.SEMICOLON)) {
+      this.nextToken();
+    } else {
+      this.nextToken();
+      forStmt.condition = this.parseExpression(PRECEDENCE.LOWEST);
+      if (!this.expectPeek(TokenType.SEMICOLON)) {
+        return null;
+      }
+    }
+    
+    // Update
+    if (this.peekTokenIs(TokenType.RPAREN)) {
+      this.nextToken();
+    } else {
+      this.nextToken();
+      forStmt.update = this.parseForClause();
+      if (!this.expectPeek(TokenType.RPAREN)) {
+        return null;
+      }
+    }
+    
+    // Parse loop body
+    if (!this.expectPeek(TokenType.LBRACE)) {
+      return null;
+    }
+    
+    forStmt.body = this.parseLoopBody();
+    
+    return forStmt;
+  }
+  
+  /**
+   * Parse the initializer or update clause of a C-style for loop:
+   * an assignment or an expression, without a trailing semicolon
+   */
+  parseForClause() {
+    const position = { line: this.currentToken.line, column: this.currentToken.column };
+    const expression = this.parseExpression(PRECEDENCE.LOWEST);
+    
+    if (expression && this.peekTokenIsAssignment()) {
+      return this.parseAssignmentExpression(expression, position);
+    }
+    
+    const stmt = new AST.ExpressionStatement(expression);
+    stmt.position = position;
+    return stmt;
+  }
+  
+  /**
+   * Parse a collection loop: for (item in collection) { ... }
+   * The current token is the opening parenthesis
+   */
+  parseForInStatement(position) {
+    const forInStmt = new AST.ForInStatement();
+    forInStmt.position = position;
+    
+    // The 'let' keyword is optional, the loop variable is always loop-scoped
+    if (this.peekTokenIs(TokenType.LET)) {
+      this.nextToken();
+    } else if (this.peekTokenIs(TokenType.CONST)) {
+      this.nextToken();
+      forInStmt.constant = true;
+    }
+    
+    if (!this.expectPeek(TokenType.IDENTIFIER)) {
+      return null;
+    }
+    
+    forInStmt.variable = this.currentToken.literal;
+    this.declareName(forInStmt.variable, forInStmt.constant);
+    
+    if (!this.expectPeek(TokenType.IN)) {
+      return null;
+    }
+    
+    this.nextToken(); // Skip 'in'
+    forInStmt.iterable = this.parseExpression(PRECEDENCE.LOWEST);
+    
+    if (!this.expectPeek(TokenType.RPAREN)) {
+      return null;
+    }
+    
+    // Parse loop body
+    if (!this.expectPeek(TokenType.LBRACE)) {
+      return null;
+    }
+    
+    forInStmt.body = this.parseLoopBody();
+    
+    return forInStmt;
+  }
+  
+  /**
+   * Parse a return statement
+   */
+  parseReturnStatement() {
+    const returnStmt = new AST.ReturnStatement();
+    returnStmt.position = { line: this.currentToken.line, column: this.currentToken.column };
+    
+    this.nextToken(); // Skip 'return' keyword
+    
+    // Check for expression after return
+    if (!this.currentTokenIs(TokenType.SEMICOLON)) {
+      returnStmt.value = this.parseExpression(PRECEDENCE.LOWEST);
+    }
+    
+    // Expect semicolon
+    if (this.peekTokenIs(TokenType.SEMICOLON)) {
+      this.nextToken();
+    } else {
+      this.errors.push({
+        message: "Expected ';' after return statement",
+        line: this.peekToken?.line,
+        column: this.peekToken?.column
+      });
+    }
+    
+    return returnStmt;
+  }
+  
+  /**
+   * Parse a try statement: try { } catch (e) { } finally { }
+   * At least one of the catch and finally clauses is required,
+   * the catch parameter is optional.
+   */
+  parseTryStatement() {
+    const tryStmt = new AST.TryStatement();
+    tryStmt.position = { line: this.currentToken.line, column: this.currentToken.column };
+    
+    if (!this.expectPeek(TokenType.LBRACE)) {
+      return null;
+    }
+    
+    tryStmt.block = this.parseBlockStatement();
+    
+    if (this.peekTokenIs(TokenType.CATCH)) {
+      this.nextToken();
+      
+      if (this.peekTokenIs(TokenType.LPAREN)) {
+        this.nextToken();
+        
+        if (!this.expectPeek(TokenType.IDENTIFIER)) {
+          return null;
+        }
+        
+        tryStmt.parameter = this.currentToken.literal;
+        
+        if (!this.expectPeek(TokenType.RPAREN)) {
+          return null;
+        }
+      }
+      
+      if (!this.expectPeek(TokenType.LBRACE)) {
+        return null;
+      }
+      
+      tryStmt.handler = this.parseBlockStatement();
+    }
+    
+    if (this.peekTokenIs(TokenType.FINALLY)) {
+      this.nextToken();
+      
+      if (!this.expectPeek(TokenType.LBRACE)) {
+        return null;
+      }
+      
+      tryStmt.finalizer = this.parseBlockStatement();
+    }
+    
+    if (!tryStmt.handler && !tryStmt.finalizer) {
+      this.errors.push({
+        message: "Expected 'catch' or 'finally' after try block",
+        line: this.peekToken?.line,
+        column: this.peekToken?.column
+      });
+      return null;
+    }
+    
+    return tryStmt;
+  }
+  
+  /**
+   * Parse a throw statement
+   */
+  parseThrowStatement() {
+    const throwStmt = new AST.ThrowStatement();
+    throwStmt.position = { line: this.currentToken.line, column: this.currentToken.column };
+    
+    this.nextToken(); // Skip 'throw' keyword
+    
+    if (this.currentTokenIs(TokenType.SEMICOLON)) {
+      this.errors.push({
+        message: "Expected expression after 'throw'",
+        line: this.currentToken.line,
+        column: this.currentToken.column
+      });
+      return null;
+    }
+    
+    throwStmt.value = this.parseExpression(PRECEDENCE.LOWEST);
+    
+    // Expect semicolon
+    if (this.peekTokenIs(TokenType.SEMICOLON)) {
+      this.nextToken();
+    } else {
+      this.errors.push({
+        message: "Expected ';' after throw statement",
+        line: this.peekToken?.line,
+        column: this.peekToken?.column
+      });
+    }
+    
+    return throwStmt;
+  }
+  
+  /**
+   * Parse an import declaration: import { a, b as c } from "module";
+   */
+  parseImportDeclaration() {
+    const importDecl = new AST.ImportDeclaration();
+    importDecl.position = { line: this.currentToken.line, column: this.currentToken.column };
+    
+    if (!this.checkTopLevel('import')) {
+      return null;
+    }
+    
+    if (!this.expectPeek(TokenType.LBRACE)) {
+      return null;
+    }
+    
+    while (!this.peekTokenIs(TokenType.RBRACE)) {
+      if (!this.expectPeek(TokenType.IDENTIFIER)) {
+        return null;
+      }
+      
+      const imported = this.currentToken.literal;
+      let local = imported;
+      
+      // 'as' is only a keyword inside the import list
+      if (this.peekTokenIs(TokenType.IDENTIFIER) && this.peekToken.literal === 'as') {
+        this.nextToken();
+        if (!this.expectPeek(TokenType.IDENTIFIER)) {
+          return null;
+        }
+        local = this.currentToken.literal;
+      }
+      
+      importDecl.specifiers.push({ imported, local });
+      this.declareName(local, true);
+      
+      if (!this.peekTokenIs(TokenType.RBRACE) && !this.expectPeek(TokenType.COMMA)) {
+        return null;
+      }
+    }
+    
+    this.nextToken(); // Move to the closing brace
+    
+    if (importDecl.specifiers.length === 0) {
+      this.errors.push({
+        message: "Expected at least one name to import",
+        line: this.currentToken.line,
+        column: this.currentToken.column
+      });
+      return null;
+    }
+    
+    // 'from' is only a keyword after the import list
+    if (!this.peekTokenIs(TokenType.IDENTIFIER) || this.peekToken.literal !== 'from') {
+      this.errors.push({
+        message: "Expected 'from' after import list",
+        line: this.peekToken?.line,
+        column: this.peekToken?.column
+      });
+      return null;
+    }
+    this.nextToken();
+    
+    if (!this.expectPeek(TokenType.STRING)) {
+      return null;
+    }
+    
+    importDecl.source = this.currentToken.literal;
+    
+    // Expect semicolon
+    if (this.peekTokenIs(TokenType.SEMICOLON)) {
+      this.nextToken();
+    } else {
+      this.errors.push({
+        message: "Expected ';' after import declaration",
+        line: this.peekToken?.line,
+        column: this.peekToken?.column
+      });
+    }
+    
+    return importDecl;
+  }
+  
+  /**
+   * Parse an export declaration: export def name() {...} or export let name = value;
+   */
+  parseExportDeclaration() {
+    const exportDecl = new AST.ExportDeclaration();
+    exportDecl.position = { line: this.currentToken.line, column: this.currentToken.column };
+    
+    if (!this.checkTopLevel('export')) {
+      return null;
+    }
+    
+    this.nextToken(); // Skip 'export' keyword
+    
+    if (this.currentTokenIs(TokenType.DEF) && this.peekTokenIs(TokenType.IDENTIFIER)) {
+      exportDecl.declaration = this.parseFunctionDeclaration();
+    } else if (this.currentTokenIs(TokenType.LET) || this.currentTokenIs(TokenType.CONST)) {
+      exportDecl.declaration = this.parseVariableDeclaration();
+      if (exportDecl.declaration && exportDecl.declaration.pattern) {
+        this.errors.push({
+          message: "Destructuring declarations cannot be exported",
+          line: exportDecl.declaration.position.line,
+          column: exportDecl.declaration.position.column
+        });
+        return null;
+      }
+    } else {
+      this.errors.push({
+        message: "Expected named function or variable declaration after 'export'",
+        line: this.currentToken.line,
+        column: this.currentToken.column
+      });
+      return null;
+    }
+    
+    return exportDecl.declaration ? exportDecl : null;
+  }
+  
+  /**
+   * Report an error if the current statement is nested inside a block
+   */
+  checkTopLevel(keyword) {
+    if (this.blockDepth > 0) {
+      this.errors.push({
+        message: `'${keyword}' is only allowed at the top level of a script`,
+        line: this.currentToken.line,
+        column: this.currentToken.column
+      });
+      return false;
+    }
+    return true;
+  }
+  
+  /**
+   * Parse a break or continue statement
+   */
+  parseLoopControlStatement() {
+    const keyword = this.currentToken.literal;
+    const stmt = this.currentTokenIs(TokenType.BREAK)
+      ? new AST.BreakStatement()
+      : new AST.ContinueStatement();
+    stmt.position = { line: this.currentToken.line, column: this.currentToken.column };
+    
+    if (this.loopDepth === 0) {
+      this.errors.push({
+        message: `'${keyword}' used outside of a loop`,
+        line: this.currentToken.line,
+        column: this.currentToken.column
+      });
+    }
+    
+    // Expect semicolon
+    if (this.peekTokenIs(TokenType.SEMICOLON)) {
+      this.nextToken();
+    } else {
+      this.errors.push({
+        message: `Expected ';' after ${keyword} statement`,
+        line: this.peekToken?.line,
+        column: this.peekToken?.column
+      });
+    }
+    
+    return stmt;
+  }
+  
+  /**
+   * Parse an expression statement
+   */
+  parseExpressionStatement() {
+    const position = { line: this.currentToken.line, column: this.currentToken.column };
+    const expression = this.parseExpression(PRECEDENCE.LOWEST);
+    
+    // An expression followed by '=' (or a compound operator) is the target of an assignment
+    if (expression && this.peekTokenIsAssignment()) {
+      return this.parseAssignmentStatement(expression, position);
+    }
+    
+    const stmt = new AST.ExpressionStatement(expression);
+    stmt.position = { line: this.currentToken.line, column: this.currentToken.column };
+    
+    // Expect semicolon (optional)
+    if (this.peekTokenIs(TokenType.SEMICOLON)) {
+      this.nextToken();
+    }
+    
+    return stmt;
   }
   
   /**
@@ -610,9 +1659,7 @@ export class Parser {
    * Parse a number literal
    */
   parseNumberLiteral() {
-    const number = new AST.NumberLiteral(this.currentToken.literal.includes('.') 
-      ? parseFloat(this.currentToken.literal) 
-      : parseInt(this.currentToken.literal, 10));
+    const number = new AST.NumberLiteral(this.currentToken.value, this.currentToken.literal);
     number.position = { line: this.currentToken.line, column: this.currentToken.column };
     return number;
   }
@@ -626,6 +1673,50 @@ export class Parser {
     return string;
   }
   
+  /**
+   * Parse a template literal (`text ${expression} text`)
+   */
+  parseTemplateLiteral() {
+    const { quasis, expressions } = this.currentToken.value;
+    const template = new AST.TemplateLiteral(quasis, []);
+    template.position = { line: this.currentToken.line, column: this.currentToken.column };
+    
+    template.expressions = expressions.map(part => this.parseTemplateExpression(part));
+    
+    return template;
+  }
+  
+  /**
+   * Parse the source of an expression embedded in a template literal
+   * with a nested parser that reports positions within the original source
+   */
+  parseTemplateExpression(part) {
+    const parser = new Parser(new Lexer(part.source, part.line, part.column - 1), this.options);
+    
+    if (parser.currentTokenIs(TokenType.EOF)) {
+      this.errors.push({
+        message: 'Empty expression in template literal',
+        line: part.line,
+        column: part.column
+      });
+      return null;
+    }
+    
+    const expression = parser.parseExpression(PRECEDENCE.LOWEST);
+    
+    if (!parser.peekTokenIs(TokenType.EOF)) {
+      parser.errors.push({
+        message: `Unexpected ${parser.peekToken.type} in template literal expression`,
+        line: parser.peekToken.line,
+        column: parser.peekToken.column
+      });
+    }
+    
+    this.errors.push(...parser.lexer.errors, ...parser.errors);
+    
+    return expression;
+  }
+  
   /**
    * Parse a boolean literal
    */
@@ -675,6 +1766,52 @@ export class Parser {
     return expression;
   }
   
+  /**
+   * Parse a prefix increment or decrement (++x, --x)
+   */
+  parsePrefixUpdateExpression() {
+    const expression = new AST.UpdateExpression(this.currentToken.literal, null, true);
+    expression.position = { line: this.currentToken.line, column: this.currentToken.column };
+    
+    this.nextToken();
+    // ++x ** 2 updates x, unlike -x ** 2 which negates the power
+    expression.target = this.parseExpression(PRECEDENCE.EXPONENT);
+    
+    if (!this.isAssignmentTarget(expression.target)) {
+      this.errors.push({
+        message: `Invalid ${expression.operator} target`,
+        line: expression.position.line,
+        column: expression.position.column
+      });
+      return null;
+    }
+    
+    this.checkConstantAssignment(expression.target, expression.position);
+    
+    return expression;
+  }
+  
+  /**
+   * Parse a postfix increment or decrement (x++, x--)
+   */
+  parsePostfixUpdateExpression(target) {
+    const expression = new AST.UpdateExpression(this.currentToken.literal, target, false);
+    expression.position = { line: this.currentToken.line, column: this.currentToken.column };
+    
+    if (!this.isAssignmentTarget(target)) {
+      this.errors.push({
+        message: `Invalid ${expression.operator} target`,
+        line: expression.position.line,
+        column: expression.position.column
+      });
+      return null;
+    }
+    
+    this.checkConstantAssignment(target, target.position);
+    
+    return expression;
+  }
+  
   /**
    * Parse an infix expression
    */
@@ -686,13 +1823,38 @@ export class Parser {
     );
     expression.position = { line: this.currentToken.line, column: this.currentToken.column };
     
-    const precedence = this.currentPrecedence();
+    // Lowering the precedence for the right operand makes ** right-associative
+    const precedence = this.currentTokenIs(TokenType.POWER)
+      ? this.currentPrecedence() - 1
+      : this.currentPrecedence();
     this.nextToken();
     expression.right = this.parseExpression(precedence);
     
     return expression;
   }
   
+  /**
+   * Parse a conditional expression (condition ? consequence : alternative)
+   */
+  parseConditionalExpression(condition) {
+    const expression = new AST.ConditionalExpression(condition, null, null);
+    expression.position = { line: this.currentToken.line, column: this.currentToken.column };
+    
+    this.nextToken(); // Skip the '?'
+    expression.consequence = this.parseExpression(PRECEDENCE.LOWEST);
+    
+    if (!this.expectPeek(TokenType.COLON)) {
+      return null;
+    }
+    
+    // Parsing the alternative at the lowest precedence makes the operator
+    // right-associative: a ? b : c ? d : e is a ? b : (c ? d : e)
+    this.nextToken(); // Skip the ':'
+    expression.alternative = this.parseExpression(PRECEDENCE.LOWEST);
+    
+    return expression;
+  }
+  
   /**
    * Parse a function call expression
    */
@@ -709,7 +1871,90 @@ export class Parser {
    * Parse function call arguments
    */
   parseCallArguments() {
-    return this.parseExpressionList(TokenType.RPAREN);
+    const args = [];
+    
+    // Handle empty list
+    if (this.peekTokenIs(TokenType.RPAREN)) {
+      this.nextToken();
+      return args;
+    }
+    
+    // Skip opening parenthesis
+    this.nextToken();
+    
+    // Parse first argument
+    args.push(this.parseCallArgument());
+    
+    // Parse remaining arguments
+    while (this.peekTokenIs(TokenType.COMMA)) {
+      this.nextToken(); // Skip comma
+      this.nextToken(); // Move to next argument
+      args.push(this.parseCallArgument());
+    }
+    
+    // Expect closing parenthesis
+    if (!this.expectPeek(TokenType.RPAREN)) {
+      return null;
+    }
+    
+    this.checkNamedArguments(args);
+    return args;
+  }
+  
+  /**
+   * Check that named arguments follow the positional ones and name each parameter once
+   */
+  checkNamedArguments(args) {
+    const names = new Set();
+    args.forEach((arg, i) => {
+      if (!(arg instanceof AST.NamedArgument)) {
+        if (i > 0 && args[i - 1] instanceof AST.NamedArgument) {
+          this.errors.push({
+            message: 'Positional arguments must come before named arguments',
+            line: arg.position?.line ?? args[i - 1].position.line,
+            column: arg.position?.column ?? args[i - 1].position.column
+          });
+        }
+        return;
+      }
+      if (names.has(arg.name)) {
+        this.errors.push({
+          message: `Argument '${arg.name}' is passed more than once`,
+          line: arg.position.line,
+          column: arg.position.column
+        });
+      }
+      names.add(arg.name);
+    });
+  }
+  
+  /**
+   * Parse a single call argument, which may be spread: f(...values),
+   * or name the parameter it is passed to: f(b: 3)
+   */
+  parseCallArgument() {
+    if (this.currentTokenIs(TokenType.IDENTIFIER) && this.peekTokenIs(TokenType.COLON)) {
+      const named = new AST.NamedArgument(this.currentToken.literal);
+      named.position = { line: this.currentToken.line, column: this.currentToken.column };
+      
+      this.nextToken(); // Skip the name
+      this.nextToken(); // Skip ':'
+      named.value = this.parseExpression(PRECEDENCE.LOWEST);
+      
+      return named;
+    }
+    
+    if (!this.currentTokenIs(TokenType.ELLIPSIS)) {
+      return this.parseExpression(PRECEDENCE.LOWEST);
+    }
+    
+    const spread = new AST.SpreadElement();
+    spread.position = { line: this.currentToken.line, column: this.currentToken.column };
+    
+    this.nextToken(); // Skip '...'
+    spread.argument = this.parseExpression(PRECEDENCE.LOWEST);
+    
+    return spread;
   }
   
   /**
@@ -742,6 +1987,26 @@ export class Parser {
     return memberExp;
   }
   
+  /**
+   * Parse an optional member expression (object?.property or object?.[index])
+   */
+  parseOptionalMemberExpression(object) {
+    let memberExp;
+    
+    if (this.peekTokenIs(TokenType.LBRACKET)) {
+      this.nextToken(); // Move to the opening bracket
+      memberExp = this.parseIndexExpression(object);
+    } else {
+      memberExp = this.parseMemberExpression(object);
+    }
+    
+    if (memberExp) {
+      memberExp.optional = true;
+    }
+    
+    return memberExp;
+  }
+  
   /**
    * Parse an index expression (object[index])
    */
@@ -784,6 +2049,74 @@ export class Parser {
     return array;
   }
   
+  /**
+   * Parse an object literal ({ key: value, "key": value, [expr]: value })
+   */
+  parseObjectLiteral() {
+    const object = new AST.ObjectLiteral();
+    object.position = { line: this.currentToken.line, column: this.currentToken.column };
+    
+    while (!this.peekTokenIs(TokenType.RBRACE)) {
+      this.nextToken(); // Move to the property key
+      
+      const property = this.parseObjectProperty();
+      if (!property) {
+        return null;
+      }
+      object.properties.push(property);
+      
+      // Properties are separated by commas, a trailing comma is allowed
+      if (!this.peekTokenIs(TokenType.RBRACE) && !this.expectPeek(TokenType.COMMA)) {
+        return null;
+      }
+    }
+    
+    this.nextToken(); // Move to the closing brace
+    
+    return object;
+  }
+  
+  /**
+   * Parse a single key/value pair of an object literal
+   */
+  parseObjectProperty() {
+    let key;
+    let computed = false;
+    
+    if (this.currentTokenIs(TokenType.LBRACKET)) {
+      // Computed key: [expr]: value
+      computed = true;
+      this.nextToken();
+      key = this.parseExpression(PRECEDENCE.LOWEST);
+      
+      if (!this.expectPeek(TokenType.RBRACKET)) {
+        return null;
+      }
+    } else if (this.currentTokenIs(TokenType.IDENTIFIER) ||
+               this.currentTokenIs(TokenType.STRING) ||
+               this.currentTokenIs(TokenType.NUMBER)) {
+      // Static key: identifiers, strings and numbers all name a property
+      key = new AST.StringLiteral(this.currentToken.literal);
+      key.position = { line: this.currentToken.line, column: this.currentToken.column };
+    } else {
+      this.errors.push({
+        message: `Expected property name in object literal, got ${this.currentToken.type}`,
+        line: this.currentToken?.line,
+        column: this.currentToken?.column
+      });
+      return null;
+    }
+    
+    if (!this.expectPeek(TokenType.COLON)) {
+      return null;
+    }
+    
+    this.nextToken(); // Move to the value expression
+    const value = this.parseExpression(PRECEDENCE.LOWEST);
+    
+    return { key, value, computed };
+  }
+  
   /**
    * Parse a list of expressions
    */
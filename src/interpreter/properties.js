@@ -0,0 +1,152 @@
+/**
+ * Property model of script values
+ *
+ * Scripts only see what this module exposes: the own data properties of
+ * objects, the length and elements of arrays and strings, and a whitelist of
+ * methods. Inherited JavaScript properties such as toString or constructor and
+ * getters of host objects are never reachable, and properties are created with
+ * defineProperty, so no key can change a prototype.
+ */
+
+import { Decimal } from './decimal.js';
+
+/**
+ * Check whether a key may never be written by a script. Only __proto__ is
+ * refused: stored as an own property it would still replace the prototype of
+ * the data when the host copies it with a plain assignment.
+ * @param {*} key - A property name or io_put key
+ * @returns {boolean} True for __proto__
+ */
+export function isBlockedKey(key) {
+  return String(key) === '__proto__';
+}
+
+/**
+ * Store a value in an own data property. A new property is defined rather than
+ * assigned, so neither inherited setters nor special keys come into play.
+ * @param {Object} object - The object to write
+ * @param {string} key - The property name
+ * @param {*} value - The value to store
+ */
+export function defineDataProperty(object, key, value) {
+  const descriptor = Object.getOwnPropertyDescriptor(object, key);
+  if (descriptor && 'value' in descriptor) {
+    object[key] = value;
+  } else {
+    Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+  }
+}
+
+/**
+ * Look up an own data property, ignoring inherited properties and getters
+ * @param {Object} object - The object to read
+ * @param {string} key - The property name
+ * @returns {{ found: boolean, value: * }} The value, if the object has such a property
+ */
+export function ownDataProperty(object, key) {
+  const descriptor = Object.getOwnPropertyDescriptor(object, key);
+  if (!descriptor || !('value' in descriptor)) {
+    return { found: false, value: null };
+  }
+  return { found: true, value: descriptor.value };
+}
+
+// Helper function to describe an argument in error messages
+function describe(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Decimal) return 'number';
+  return typeof value;
+}
+
+// Helper function to check the argument of a method that expects a string
+function expectString(method, value) {
+  if (typeof value !== 'string') {
+    throw new Error(`${method} expects a string, got ${describe(value)}`);
+  }
+  return value;
+}
+
+// Helper function to check an optional integer position argument, e.g. of slice
+function expectIndex(method, value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const index = value instanceof Decimal ? value.toNumber() : value;
+  if (!Number.isInteger(index)) {
+    throw new Error(`${method} expects an integer index, got ${describe(value)}`);
+  }
+  return index;
+}
+
+// Helper function to compare array items with a search value; only simple values can be searched
+function sameValue(method, item, value) {
+  if (value === undefined) {
+    throw new Error(`${method} expects a value to search for`);
+  }
+  if (value !== null && typeof value === 'object' && !(value instanceof Decimal)) {
+    throw new Error(`${method} expects a number, string, boolean or null, got ${describe(value)}`);
+  }
+  if (item instanceof Decimal || value instanceof Decimal) {
+    return describe(item) === 'number' && describe(value) === 'number' && Decimal.from(item).equals(Decimal.from(value));
+  }
+  return item === value;
+}
+
+// Helper function to write an array item as text the way console_put does
+function joinItem(item) {
+  if (item === null || item === undefined) return 'null';
+  if (typeof item === 'object' && !(item instanceof Decimal)) return JSON.stringify(item);
+  return String(item);
+}
+
+// Methods available on strings, as [maximum number of arguments, implementation]
+const STRING_METHODS = {
+  toUpperCase: [0, text => text.toUpperCase()],
+  toLowerCase: [0, text => text.toLowerCase()],
+  trim: [0, text => text.trim()],
+  includes: [1, (text, search) => text.includes(expectString('includes', search))],
+  startsWith: [1, (text, search) => text.startsWith(expectString('startsWith', search))],
+  endsWith: [1, (text, search) => text.endsWith(expectString('endsWith', search))],
+  indexOf: [1, (text, search) => text.indexOf(expectString('indexOf', search))],
+  slice: [2, (text, start, end) => text.slice(expectIndex('slice', start), expectIndex('slice', end))],
+  split: [1, (text, separator) => text.split(expectString('split', separator))]
+};
+
+// Methods available on arrays; none of them modifies the array
+const ARRAY_METHODS = {
+  includes: [1, (items, value) => items.some(item => sameValue('includes', item, value))],
+  indexOf: [1, (items, value) => items.findIndex(item => sameValue('indexOf', item, value))],
+  join: [1, (items, separator = ',') => items.map(joinItem).join(expectString('join', separator))],
+  slice: [2, (items, start, end) => items.slice(expectIndex('slice', start), expectIndex('slice', end))]
+};
+
+/**
+ * Look up a whitelisted method of a string or array, bound to the receiver
+ * @param {string|Array} receiver - The value the method is read from
+ * @param {string} name - The method name
+ * @param {Function} account - Called with every string or array the method returns,
+ *   so the result counts towards the quotas of the run
+ * @returns {Function|null} A function called like a script function, or null if there is no such method
+ */
+export function scriptMethod(receiver, name, account) {
+  const methods = Array.isArray(receiver) ? ARRAY_METHODS : STRING_METHODS;
+  if (!Object.prototype.hasOwnProperty.call(methods, name)) {
+    return null;
+  }
+
+  const [maxArguments, implementation] = methods[name];
+  const method = (args) => {
+    if (args.length > maxArguments) {
+      throw new Error(`${name} expects at most ${maxArguments} argument${maxArguments === 1 ? '' : 's'} but got ${args.length}`);
+    }
+    const result = implementation(receiver, ...args);
+    if (typeof result === 'string' || Array.isArray(result)) {
+      account(result);
+    }
+    return result;
+  };
+  method.functionName = name;
+  method.maxArguments = maxArguments;
+  return method;
+}
@@ -3,6 +3,9 @@
  * Manages scope, variables, functions, and error handling
  */
 
+import { Decimal } from './decimal.js';
+import { defineDataProperty, isBlockedKey, ownDataProperty } from './properties.js';
+
 // Return value object used for function returns and control flow
 export class ReturnValue {
   constructor(value) {
@@ -10,6 +13,11 @@ export class ReturnValue {
   }
 }
 
+// Signals returned by break and continue statements to the enclosing loop
+export class BreakSignal {}
+
+export class ContinueSignal {}
+
 // Built-in library function type
 export class LibraryFunction {
   constructor(name, jsFunction, isAsync = false) {
@@ -29,11 +37,173 @@ export class RuntimeError extends Error {
   }
 }
 
+// Error raised by a throw statement, carrying the value thrown by the script
+export class ThrowError extends RuntimeError {
+  constructor(value, message, line, column) {
+    super(message, line, column);
+    this.value = value;
+    this.name = 'ThrowError';
+  }
+}
+
+// Error raised when a run uses up one of its execution budgets.
+// It ends the run: try/catch in the script cannot intercept it.
+export class LimitExceededError extends RuntimeError {
+  constructor(limit, message, line, column) {
+    super(message, line, column);
+    this.limit = limit;  // 'steps', 'timeout' or 'callDepth'
+    this.name = 'LimitExceededError';
+  }
+}
+
+// Error raised when the AbortSignal of a run is aborted.
+// Like LimitExceededError it ends the run and cannot be caught by the script.
+export class CancelledError extends RuntimeError {
+  constructor(line, column) {
+    super('Evaluation was cancelled', line, column);
+    this.name = 'CancelledError';
+  }
+}
+
+// Default for the maxCallDepth option, so runaway recursion fails before memory runs out
+export const DEFAULT_MAX_CALL_DEPTH = 10000;
+
+/**
+ * Execution budgets of a single run: the number of steps (statements, loop
+ * iterations and calls), the elapsed time and the depth of nested calls
+ */
+export class ExecutionBudget {
+  /**
+   * @param {Object} [options] - Interpreter options
+   * @param {number} [options.maxSteps] - Steps allowed for the run (unlimited by default)
+   * @param {number} [options.timeout] - Milliseconds allowed for the run (unlimited by default)
+   * @param {number} [options.maxCallDepth] - Nested calls allowed (DEFAULT_MAX_CALL_DEPTH by default)
+   */
+  constructor(options = {}) {
+    this.maxSteps = options.maxSteps ?? Infinity;
+    this.timeout = options.timeout ?? Infinity;
+    this.maxCallDepth = options.maxCallDepth ?? DEFAULT_MAX_CALL_DEPTH;
+    this.deadline = Date.now() + this.timeout;
+    this.steps = 0;
+    this.callDepth = 0;
+    // When the run last let other tasks run, so that it can be cancelled
+    this.lastYield = Date.now();
+  }
+
+  /**
+   * Count one step of the run and check the step and time budgets
+   * @param {Object} position - Position of the node being evaluated
+   * @throws {LimitExceededError} If a budget is used up
+   */
+  step(position) {
+    this.steps += 1;
+    if (this.steps > this.maxSteps) {
+      throw new LimitExceededError('steps', `Step limit of ${this.maxSteps} exceeded`, position?.line, position?.column);
+    }
+    if (this.timeout !== Infinity && Date.now() > this.deadline) {
+      throw new LimitExceededError('timeout', `Time limit of ${this.timeout} ms exceeded`, position?.line, position?.column);
+    }
+  }
+
+  /**
+   * Count a call as a step and enter it; every call must be followed by exitCall()
+   * @param {Object} position - Position of the call
+   * @throws {LimitExceededError} If a budget is used up
+   */
+  enterCall(position) {
+    this.step(position);
+    if (this.callDepth >= this.maxCallDepth) {
+      throw new LimitExceededError(
+        'callDepth',
+        `Maximum call depth of ${this.maxCallDepth} exceeded`,
+        position?.line,
+        position?.column
+      );
+    }
+    this.callDepth += 1;
+  }
+
+  exitCall() {
+    this.callDepth -= 1;
+  }
+}
+
+/**
+ * Size quotas of a single run: the total number of array elements, string
+ * characters and object keys the script may create
+ */
+export class AllocationQuota {
+  /**
+   * @param {Object} [options] - Interpreter options
+   * @param {number} [options.maxArrayElements] - Array elements a run may create (unlimited by default)
+   * @param {number} [options.maxStringLength] - String characters a run may create (unlimited by default)
+   * @param {number} [options.maxObjectKeys] - Object keys a run may create (unlimited by default)
+   */
+  constructor(options = {}) {
+    this.limits = {
+      arrayElements: options.maxArrayElements ?? Infinity,
+      stringLength: options.maxStringLength ?? Infinity,
+      objectKeys: options.maxObjectKeys ?? Infinity
+    };
+    this.used = { arrayElements: 0, stringLength: 0, objectKeys: 0 };
+  }
+
+  // Account for array elements created by the script
+  arrayElements(count, position) {
+    this.allocate('arrayElements', 'Array element', count, position);
+  }
+
+  // Account for a string built by the script
+  stringLength(count, position) {
+    this.allocate('stringLength', 'String length', count, position);
+  }
+
+  // Account for object keys created by the script
+  objectKeys(count, position) {
+    this.allocate('objectKeys', 'Object key', count, position);
+  }
+
+  /**
+   * @throws {RuntimeError} If the allocation takes the run over its quota
+   */
+  allocate(kind, label, count, position) {
+    this.used[kind] += count;
+    if (this.used[kind] > this.limits[kind]) {
+      throw new RuntimeError(
+        `${label} quota of ${this.limits[kind]} exceeded`,
+        position?.line,
+        position?.column
+      );
+    }
+  }
+}
+
+/**
+ * Convert a value to a string for display, as console_put, template literals
+ * and joining with strings do. Functions are shown as a placeholder instead
+ * of their JavaScript source.
+ * @param {*} value - The value to convert
+ * @returns {string} The string representation
+ */
+export function displayString(value) {
+  if (value === null) return 'null';
+  if (value === undefined) return 'undefined';
+  if (value instanceof Decimal) return value.toString();
+  if (typeof value === 'function' || value instanceof LibraryFunction) {
+    const name = value instanceof LibraryFunction ? value.name : value.functionName;
+    return name ? `<function ${name}>` : '<function>';
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
 // Environment to store variables and functions in the current scope
 export class Environment {
   constructor(parent = null) {
     this.parent = parent;
     this.values = new Map();
+    this.constants = new Set();
+    this.uninitialized = new Set();
     this.libraryFunctions = new Map();
   }
 
@@ -42,12 +212,53 @@ export class Environment {
     return new Environment(this);
   }
 
-  // Define a variable in the current scope
-  define(name, value) {
+  // Define a variable in the current scope, optionally as a constant
+  define(name, value, constant = false) {
     this.values.set(name, value);
+    this.uninitialized.delete(name);
+    if (constant) {
+      this.constants.add(name);
+    } else {
+      this.constants.delete(name);
+    }
     return value;
   }
 
+  // Declare a variable of the current scope without a value; it holds null until assigned
+  declare(name) {
+    this.define(name, null);
+    this.uninitialized.add(name);
+    return null;
+  }
+
+  // Check if a variable of the current scope is a constant
+  isConstant(name) {
+    return this.constants.has(name);
+  }
+
+  // Check if a variable is defined in the current scope only
+  has(name) {
+    return this.values.has(name);
+  }
+
+  // Find the scope that defines a variable, searching outwards from the current scope
+  resolve(name) {
+    let scope = this;
+    while (scope && !scope.values.has(name)) {
+      scope = scope.parent;
+    }
+    return scope;
+  }
+
+  // The outermost scope of the chain
+  root() {
+    let scope = this;
+    while (scope.parent) {
+      scope = scope.parent;
+    }
+    return scope;
+  }
+
   // Get a variable from the current or parent scopes
   get(name, position) {
     if (this.values.has(name)) {
@@ -70,7 +281,11 @@ export class Environment {
   // Set a variable in the current or parent scopes
   assign(name, value, position) {
     if (this.values.has(name)) {
+      if (this.constants.has(name)) {
+        throw new RuntimeError(`Cannot assign to constant '${name}'`, position?.line, position?.column);
+      }
       this.values.set(name, value);
+      this.uninitialized.delete(name);
       return value;
     }
 
@@ -105,9 +320,7 @@ export class EvaluationContext {
    * @param {EvaluationContext} parentContext - The parent context for closures
    */
   constructor(jsonData = {}, consoleOutput = [], parentContext = null) {
-    // Execution context variables (user-defined)
-    this.variables = {};
-    // Parent context for closure support
+    // Enclosing context, whose scope is the parent of this context's scope
     this.parentContext = parentContext;
     // JSON data for I/O operations (external data)
     this.jsonData = jsonData;
@@ -117,8 +330,20 @@ export class EvaluationContext {
     this.functions = {};
     // Track which functions are async
     this.asyncFunctions = new Set();
-    // Create environment for scoped variables
-    this.environment = new Environment();
+    // Scope for the variables of this context, nested in the scope of the enclosing context
+    this.environment = parentContext ? parentContext.environment.extend() : new Environment();
+    // Loader for imported modules, shared by all contexts of a run
+    this.moduleLoader = parentContext ? parentContext.moduleLoader : null;
+    // Interpreter options, shared by all contexts of a run
+    this.options = parentContext ? parentContext.options : {};
+    // Whether strict mode checks apply, enabled by the strict option or a "use strict"; directive
+    this.strict = parentContext ? parentContext.strict : false;
+    // Execution budgets, shared by all contexts of a run
+    this.budget = parentContext ? parentContext.budget : new ExecutionBudget();
+    // Size quotas, shared by all contexts of a run
+    this.quota = parentContext ? parentContext.quota : new AllocationQuota();
+    // AbortSignal that cancels the run, shared by all contexts of a run
+    this.signal = parentContext ? parentContext.signal : null;
   }
 
   /**
@@ -135,79 +360,73 @@ export class EvaluationContext {
    * @returns {string} The string representation
    */
   stringify(value) {
-    if (value === null) return 'null';
-    if (value === undefined) return 'undefined';
-    if (typeof value === 'object') return JSON.stringify(value);
-    return String(value);
+    return displayString(value);
   }
 
   /**
    * Lookup a variable value from the context
+   * Variables of the scope chain shadow library functions of the same name
    * @param {string} name - The variable name
    * @returns {*} The variable value
-   * @throws {Error} If the variable is not defined
+   * @throws {RuntimeError} If the variable is not defined
    */
   lookupVariable(name) {
-    // First check variables in current context
-    if (name in this.variables) {
-      return this.variables[name];
+    const scope = this.environment.resolve(name);
+    if (scope) {
+      return scope.values.get(name);
     }
     
-    // Then check functions (for function calls)
     if (name in this.functions) {
       return this.functions[name];
     }
     
-    // Check parent context if available (closure support)
-    if (this.parentContext) {
-      try {
-        return this.parentContext.lookupVariable(name);
-      } catch (e) {
-        // Continue to environment check if parent doesn't have it
-      }
-    }
-    
-    // Finally check environment
-    try {
-      if (this.environment) {
-        return this.environment.get(name);
-      }
-    } catch (e) {
-      // Don't throw here, we'll throw our own error below
-    }
-    
-    // If we get here, the variable wasn't found
-    throw new RuntimeError(
-      `Undefined variable '${name}'`,
-      0,
-      0
-    );
+    throw new RuntimeError(`Undefined variable '${name}'`, 0, 0);
   }
 
   /**
    * Assign a value to a variable in the context
+   * Assigning to an undeclared variable defines it in the outermost scope
    * @param {string} name - The variable name
    * @param {*} value - The value to assign
    * @returns {*} The assigned value
    */
   assignVariable(name, value) {
-    // Check if the variable exists in a parent context and update there
-    if (!(name in this.variables) && this.parentContext) {
-      try {
-        // Try to look up the variable in parent contexts
-        this.parentContext.lookupVariable(name);
-        // If we get here, the variable exists in the parent context, so update it there
-        return this.parentContext.assignVariable(name, value);
-      } catch (e) {
-        // Variable doesn't exist in parent contexts, assign it in current context
-      }
-    }
-    
-    // Assign/update in the current context
-    this.variables[name] = value;
+    const scope = this.environment.resolve(name) || this.environment.root();
+    scope.values.set(name, value);
+    scope.uninitialized.delete(name);
     return value;
   }
 
+  /**
+   * Check if a variable is declared in the scope chain
+   * @param {string} name - The variable name
+   * @returns {boolean} True if some enclosing scope defines the name
+   */
+  isDeclared(name) {
+    return this.environment.resolve(name) !== null;
+  }
+
+  /**
+   * Check if a variable has a value, i.e. it is not declared with 'let x;' and never assigned
+   * Names that are not declared at all count as initialized
+   * @param {string} name - The variable name
+   * @returns {boolean} False if the name refers to an uninitialized variable
+   */
+  isInitialized(name) {
+    const scope = this.environment.resolve(name);
+    return scope ? !scope.uninitialized.has(name) : true;
+  }
+
+  /**
+   * Check if assigning to a variable would overwrite a constant
+   * @param {string} name - The variable name
+   * @returns {boolean} True if the name refers to a constant
+   */
+  isConstant(name) {
+    const scope = this.environment.resolve(name);
+    return scope ? scope.isConstant(name) : false;
+  }
+
   /**
    * Lookup a function from the context
    * @param {string} name - The function name
@@ -237,8 +456,8 @@ export class EvaluationContext {
    * @returns {Function} The wrapped function
    */
   registerFunction(name, func, isAsync = false) {
-    // Wrap the function to ensure proper argument handling
-    const wrappedFunc = (...args) => {
+    // Work out the arguments the function is called with
+    const hostArguments = (args) => {
       // Special handling for array arguments
       if (args.length === 1 && Array.isArray(args[0])) {
         // If there's only one argument and it's an array, it could be:
@@ -253,17 +472,28 @@ export class EvaluationContext {
         
         if (isArgArray) {
           // This is likely an arguments array, so pass it to the function
-          return func(...args[0]);
+          return args[0];
         } else {
           // This is likely an actual array parameter, pass it directly
-          return func(args[0]);
+          return [args[0]];
         }
       }
       
       // Otherwise pass all arguments directly
-      return func(...args);
+      return args;
     };
     
+    // Wrap the function to ensure proper argument handling
+    const wrappedFunc = (...args) => func(...hostArguments(args));
+    
+    // Host functions receive plain numbers in decimal mode
+    wrappedFunc.isHostFunction = true;
+    wrappedFunc.functionName = name;
+    
+    // Async functions also receive the AbortSignal of the run after their arguments
+    if (isAsync) {
+      wrappedFunc.callWithSignal = (args, signal) => func(...hostArguments([args]), signal);
+    }
     this.functions[name] = wrappedFunc;
     
     // Mark as async if needed
@@ -280,9 +510,9 @@ export class EvaluationContext {
    * @returns {*} The value or null if not found
    */
   io_get(key) {
-    if (key in this.jsonData) {
-      const value = this.jsonData[key];
-      
+    // Only keys the host stored are visible, never inherited properties such as constructor
+    const { found, value } = ownDataProperty(this.jsonData, key);
+    if (found) {
       // If it's an array, make a copy to prevent modification of the original
       if (Array.isArray(value)) {
         return [...value];
@@ -304,6 +534,7 @@ export class EvaluationContext {
    * @param {string|Array} key - The key or [key, value] array
    * @param {*} value - The value (optional if key is an array)
    * @returns {*} The stored value
+   * @throws {Error} If the key is __proto__
    */
   io_put(key, value) {
     let actualKey, actualValue;
@@ -318,7 +549,12 @@ export class EvaluationContext {
       actualValue = value;
     }
     
-    this.jsonData[actualKey] = actualValue;
+    // The host's data must never get a key that replaces its prototype when copied
+    if (isBlockedKey(actualKey)) {
+      throw new Error(`Property name '${actualKey}' is not allowed`);
+    }
+    
+    defineDataProperty(this.jsonData, actualKey, actualValue);
     return actualValue;
   }
 
@@ -338,30 +574,39 @@ export class EvaluationContext {
   }
 
   /**
-   * Create a child context for a function call
-   * @param {Object} [parameterVars={}] - Variables to initialize in the child context (function parameters)
+   * Create a child context with a nested scope, used for blocks, loops and function calls
+   * @param {Object} [scopeVars={}] - Variables to define in the nested scope (e.g. function parameters)
    * @returns {EvaluationContext} A new child context
    */
-  createChildContext(parameterVars = {}) {
-    // Create a new context that inherits from this context for closure support
+  createChildContext(scopeVars = {}) {
+    // Create a new context whose scope is nested in this context's scope for closure support
     const childContext = new EvaluationContext(this.jsonData, this.consoleOutput, this);
     
-    // Copy registered functions
-    Object.keys(this.functions).forEach(key => {
-      childContext.functions[key] = this.functions[key];
-      
-      if (this.asyncFunctions.has(key)) {
-        childContext.asyncFunctions.add(key);
-      }
-    });
+    // Library functions are shared with the whole run
+    childContext.functions = this.functions;
+    childContext.asyncFunctions = this.asyncFunctions;
     
-    // Set up parameter variables if provided
-    if (parameterVars && typeof parameterVars === 'object') {
-      Object.keys(parameterVars).forEach(key => {
-        childContext.variables[key] = parameterVars[key];
+    // Set up scope variables if provided
+    if (scopeVars && typeof scopeVars === 'object') {
+      Object.keys(scopeVars).forEach(key => {
+        childContext.environment.define(key, scopeVars[key]);
       });
     }
     
     return childContext;
   }
+
+  /**
+   * Create a sibling of this context holding a copy of its own variables
+   * Loops use it to give each iteration fresh bindings, so closures created
+   * in an iteration keep seeing that iteration's values.
+   * @returns {EvaluationContext} The copy
+   */
+  createIterationContext() {
+    const copy = this.parentContext.createChildContext();
+    const { values, constants, uninitialized } = this.environment;
+    values.forEach((value, name) => copy.environment.define(name, value, constants.has(name)));
+    uninitialized.forEach(name => copy.environment.uninitialized.add(name));
+    return copy;
+  }
 } 
\ No newline at end of file
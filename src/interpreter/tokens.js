@@ -10,13 +10,27 @@ export const TokenType = {
   IDENTIFIER: 'IDENTIFIER',
   NUMBER: 'NUMBER',
   STRING: 'STRING',
+  TEMPLATE: 'TEMPLATE',
   
   // Keywords
   DEF: 'DEF',
   LET: 'LET',
+  CONST: 'CONST',
   IF: 'IF',
   ELSE: 'ELSE',
   WHILE: 'WHILE',
+  FOR: 'FOR',
+  IN: 'IN',
+  BREAK: 'BREAK',
+  CONTINUE: 'CONTINUE',
+  TRY: 'TRY',
+  CATCH: 'CATCH',
+  FINALLY: 'FINALLY',
+  THROW: 'THROW',
+  IMPORT: 'IMPORT',
+  EXPORT: 'EXPORT',
+  MATCH: 'MATCH',
+  CASE: 'CASE',
   RETURN: 'RETURN',
   TRUE: 'TRUE',
   FALSE: 'FALSE',
@@ -28,10 +42,22 @@ export const TokenType = {
   ASTERISK: '*',
   SLASH: '/',
   PERCENT: '%',
+  POWER: '**',
+  INT_DIVIDE: '~/',
+  
+  // Bitwise operators
+  BIT_AND: '&',
+  BIT_OR: '|',
+  BIT_XOR: '^',
+  BIT_NOT: '~',
+  SHIFT_LEFT: '<<',
+  SHIFT_RIGHT: '>>',
   
   // Comparison operators
   EQ: '==',
   NOT_EQ: '!=',
+  IDENTICAL: '===',
+  NOT_IDENTICAL: '!==',
   LT: '<',
   GT: '>',
   LT_EQ: '<=',
@@ -42,12 +68,27 @@ export const TokenType = {
   OR: '||',
   NOT: '!',
   
+  // Conditional and null-coalescing operators
+  QUESTION: '?',
+  NULLISH: '??',
+  OPTIONAL_DOT: '?.',
+  
   // Assignment
   ASSIGN: '=',
+  PLUS_ASSIGN: '+=',
+  MINUS_ASSIGN: '-=',
+  ASTERISK_ASSIGN: '*=',
+  SLASH_ASSIGN: '/=',
+  PERCENT_ASSIGN: '%=',
+  
+  // Increment and decrement
+  INCREMENT: '++',
+  DECREMENT: '--',
   
   // Delimiters
   COMMA: ',',
   SEMICOLON: ';',
+  COLON: ':',
   LPAREN: '(',
   RPAREN: ')',
   LBRACE: '{',
@@ -56,6 +97,12 @@ export const TokenType = {
   // Member access
   DOT: '.',
   
+  // Rest parameters and spread arguments
+  ELLIPSIS: '...',
+  
+  // Match arms
+  ARROW: '=>',
+  
   // Array access
   LBRACKET: '[',
   RBRACKET: ']',
@@ -67,9 +114,22 @@ export const TokenType = {
 export const Keywords = {
   'def': TokenType.DEF,
   'let': TokenType.LET,
+  'const': TokenType.CONST,
   'if': TokenType.IF,
   'else': TokenType.ELSE,
   'while': TokenType.WHILE,
+  'for': TokenType.FOR,
+  'in': TokenType.IN,
+  'break': TokenType.BREAK,
+  'continue': TokenType.CONTINUE,
+  'try': TokenType.TRY,
+  'catch': TokenType.CATCH,
+  'finally': TokenType.FINALLY,
+  'throw': TokenType.THROW,
+  'import': TokenType.IMPORT,
+  'export': TokenType.EXPORT,
+  'match': TokenType.MATCH,
+  'case': TokenType.CASE,
   'return': TokenType.RETURN,
   'true': TokenType.TRUE,
   'false': TokenType.FALSE,
@@ -80,11 +140,12 @@ export const Keywords = {
  * Token class to represent a lexical token
  */
 export class Token {
-  constructor(type, literal, line, column) {
+  constructor(type, literal, line, column, value = null) {
     this.type = type;
     this.literal = literal;
     this.line = line;
     this.column = column;
+    this.value = value; // Structured value for tokens that need more than the literal (templates)
   }
   
   toString() {
@@ -0,0 +1,662 @@
+/**
+ * Stack VM running the bytecode made by compiler.js
+ *
+ * The VM is an alternative to the tree-walking evaluator in ast.js with the
+ * same observable behavior. It keeps using EvaluationContext for scopes, so
+ * closures, constants, strict mode, modules and host functions work alike,
+ * and the helpers of operations.js for everything values do. Unlike the
+ * tree-walker it only waits for promises where a run can actually be
+ * suspended: calls, imports and the checks for cancellation.
+ */
+
+import { Op, compile } from './compiler.js';
+import { RuntimeError, LimitExceededError, CancelledError } from './runtime.js';
+import { Decimal } from './decimal.js';
+import { defineDataProperty, isBlockedKey, ownDataProperty } from './properties.js';
+import {
+  applyArithmetic,
+  applyPrefixOperator,
+  applyBinaryOperator,
+  checkNumberOperands,
+  assignVariable,
+  checkRedeclaration,
+  readMember,
+  assignMember,
+  invokeFunction,
+  thrownError,
+  toErrorValue,
+  typeName,
+  checkCancelled,
+  isTruthy
+} from './operations.js';
+
+// Marker for an argument that was not passed, or an item or property a destructuring pattern did not find
+const MISSING = Symbol('missing');
+
+/**
+ * Compile a program and run it on the VM
+ * @param {Program} program - The root node of the AST
+ * @param {EvaluationContext} context - The top-level context of the run
+ * @returns {Promise<*>} The result of the program
+ */
+export async function runProgram(program, context) {
+  return await execute(compile(program, context.options), context, []);
+}
+
+/**
+ * Run a chunk of bytecode
+ * @param {Chunk} chunk - The code of a program or function
+ * @param {EvaluationContext} context - The context the code runs in
+ * @param {Array} args - The arguments of a function call
+ * @returns {Promise<*>} The value returned by the code
+ */
+export async function execute(chunk, context, args) {
+  const { code, constants, positions } = chunk;
+  const stack = [];
+  // Handlers of the try statements the code is in, innermost last
+  const handlers = [];
+  let ctx = context;
+  let pc = 0;
+  // Value of the last statement
+  let completion = null;
+  // Value of a return statement while finally blocks run
+  let returnValue = null;
+  // Error handled by the last handler
+  let caught = null;
+
+  for (;;) {
+    try {
+      for (;;) {
+        const instruction = pc++;
+        const operand = code[instruction * 2 + 1];
+
+        switch (code[instruction * 2]) {
+          case Op.CONST:
+            stack.push(constants[operand]);
+            break;
+
+          case Op.NULL:
+            stack.push(null);
+            break;
+
+          case Op.POP:
+            stack.pop();
+            break;
+
+          case Op.POP_N:
+            stack.length -= operand;
+            break;
+
+          case Op.DUP:
+            stack.push(stack[stack.length - 1]);
+            break;
+
+          case Op.DUP2:
+            stack.push(stack[stack.length - 2], stack[stack.length - 1]);
+            break;
+
+          case Op.BURY:
+            stack.splice(stack.length - 1 - operand, 0, stack.pop());
+            break;
+
+          case Op.STORE_C:
+            completion = stack.pop();
+            break;
+
+          case Op.LOAD_C:
+            stack.push(completion);
+            break;
+
+          case Op.STEP:
+            ctx.budget.step(positions[instruction]);
+            if (ctx.signal) {
+              await checkCancelled(ctx, positions[instruction]);
+            }
+            break;
+
+          case Op.STRICT:
+            ctx.strict = true;
+            break;
+
+          case Op.LOAD_VAR: {
+            const name = constants[operand];
+            const position = positions[instruction];
+            if (ctx.strict && !ctx.isInitialized(name)) {
+              throw new RuntimeError(
+                `Cannot read variable '${name}' before it is initialized`,
+                position.line,
+                position.column
+              );
+            }
+            // Variables of the scope chain shadow library functions of the same name
+            const scope = ctx.environment.resolve(name);
+            if (scope) {
+              stack.push(scope.values.get(name));
+            } else if (name in ctx.functions) {
+              stack.push(ctx.functions[name]);
+            } else {
+              throw new RuntimeError(`Undefined variable '${name}'`, position.line, position.column);
+            }
+            break;
+          }
+
+          case Op.ASSIGN_VAR:
+            assignVariable(ctx, constants[operand], stack[stack.length - 1], positions[instruction]);
+            break;
+
+          case Op.DEFINE: {
+            const { name, constant, check } = constants[operand];
+            if (check) {
+              checkRedeclaration(ctx, name, positions[instruction]);
+            }
+            ctx.getEnvironment().define(name, stack[stack.length - 1], constant);
+            break;
+          }
+
+          case Op.DECLARE:
+            checkRedeclaration(ctx, constants[operand], positions[instruction]);
+            stack.push(ctx.getEnvironment().declare(constants[operand]));
+            break;
+
+          case Op.PUSH_SCOPE:
+            ctx = ctx.createChildContext();
+            break;
+
+          case Op.POP_SCOPE:
+            for (let i = 0; i < operand; i++) {
+              ctx = ctx.parentContext;
+            }
+            break;
+
+          case Op.COPY_SCOPE:
+            ctx = ctx.createIterationContext();
+            break;
+
+          case Op.JUMP:
+            pc = operand;
+            break;
+
+          case Op.JUMP_IF_FALSE:
+            if (!isTruthy(stack.pop())) {
+              pc = operand;
+            }
+            break;
+
+          case Op.AND:
+            if (isTruthy(stack[stack.length - 1])) {
+              stack.pop();
+            } else {
+              pc = operand;
+            }
+            break;
+
+          case Op.OR:
+            if (isTruthy(stack[stack.length - 1])) {
+              pc = operand;
+            } else {
+              stack.pop();
+            }
+            break;
+
+          case Op.COALESCE: {
+            const value = stack[stack.length - 1];
+            if (value === null || value === undefined) {
+              stack.pop();
+            } else {
+              pc = operand;
+            }
+            break;
+          }
+
+          case Op.OPTIONAL: {
+            const value = stack[stack.length - 1];
+            if (value === null || value === undefined) {
+              stack[stack.length - 1] = null;
+              pc = operand;
+            }
+            break;
+          }
+
+          case Op.JUMP_IF_PRESENT:
+            if (stack[stack.length - 1] !== MISSING) {
+              pc = operand;
+            }
+            break;
+
+          case Op.JUMP_IF_NULL:
+            if (stack[stack.length - 1] === null) {
+              stack.pop();
+              pc = operand;
+            }
+            break;
+
+          // Plain numbers are calculated and compared directly, anything else by the shared helpers
+          case Op.ADD: {
+            const right = stack.pop();
+            const left = stack[stack.length - 1];
+            stack[stack.length - 1] = typeof left === 'number' && typeof right === 'number'
+              ? left + right
+              : applyBinaryOperator(ctx, '+', left, right, positions[instruction]);
+            break;
+          }
+
+          case Op.SUBTRACT: {
+            const right = stack.pop();
+            const left = stack[stack.length - 1];
+            stack[stack.length - 1] = typeof left === 'number' && typeof right === 'number'
+              ? left - right
+              : applyBinaryOperator(ctx, '-', left, right, positions[instruction]);
+            break;
+          }
+
+          case Op.MULTIPLY: {
+            const right = stack.pop();
+            const left = stack[stack.length - 1];
+            stack[stack.length - 1] = typeof left === 'number' && typeof right === 'number'
+              ? left * right
+              : applyBinaryOperator(ctx, '*', left, right, positions[instruction]);
+            break;
+          }
+
+          case Op.LESS: {
+            const right = stack.pop();
+            const left = stack[stack.length - 1];
+            stack[stack.length - 1] = typeof left === 'number' && typeof right === 'number'
+              ? left < right
+              : applyBinaryOperator(ctx, '<', left, right, positions[instruction]);
+            break;
+          }
+
+          case Op.LESS_EQUAL: {
+            const right = stack.pop();
+            const left = stack[stack.length - 1];
+            stack[stack.length - 1] = typeof left === 'number' && typeof right === 'number'
+              ? left <= right
+              : applyBinaryOperator(ctx, '<=', left, right, positions[instruction]);
+            break;
+          }
+
+          case Op.GREATER: {
+            const right = stack.pop();
+            const left = stack[stack.length - 1];
+            stack[stack.length - 1] = typeof left === 'number' && typeof right === 'number'
+              ? left > right
+              : applyBinaryOperator(ctx, '>', left, right, positions[instruction]);
+            break;
+          }
+
+          case Op.GREATER_EQUAL: {
+            const right = stack.pop();
+            const left = stack[stack.length - 1];
+            stack[stack.length - 1] = typeof left === 'number' && typeof right === 'number'
+              ? left >= right
+              : applyBinaryOperator(ctx, '>=', left, right, positions[instruction]);
+            break;
+          }
+
+          case Op.EQUAL: {
+            const right = stack.pop();
+            const left = stack[stack.length - 1];
+            stack[stack.length - 1] = typeof left === 'number' && typeof right === 'number'
+              ? left === right
+              : applyBinaryOperator(ctx, '==', left, right, positions[instruction]);
+            break;
+          }
+
+          case Op.NOT_EQUAL: {
+            const right = stack.pop();
+            const left = stack[stack.length - 1];
+            stack[stack.length - 1] = typeof left === 'number' && typeof right === 'number'
+              ? left !== right
+              : applyBinaryOperator(ctx, '!=', left, right, positions[instruction]);
+            break;
+          }
+
+          case Op.BINARY: {
+            const right = stack.pop();
+            const left = stack[stack.length - 1];
+            stack[stack.length - 1] = applyBinaryOperator(ctx, constants[operand], left, right, positions[instruction]);
+            break;
+          }
+
+          case Op.PREFIX:
+            stack[stack.length - 1] = applyPrefixOperator(constants[operand], stack[stack.length - 1], positions[instruction]);
+            break;
+
+          case Op.UPDATE: {
+            const operator = constants[operand];
+            const current = stack[stack.length - 1];
+            if (typeof current === 'number') {
+              stack[stack.length - 1] = operator === '++' ? current + 1 : current - 1;
+            } else {
+              checkNumberOperands(operator, [current], positions[instruction]);
+              stack[stack.length - 1] = applyArithmetic(operator === '++' ? '+' : '-', current, 1, positions[instruction]);
+            }
+            break;
+          }
+
+          case Op.TEMPLATE: {
+            const quasis = constants[operand];
+            const values = stack.splice(stack.length - (quasis.length - 1));
+            let text = quasis[0];
+            for (let i = 0; i < values.length; i++) {
+              text += ctx.stringify(values[i]) + quasis[i + 1];
+            }
+            ctx.quota.stringLength(text.length, positions[instruction]);
+            stack.push(text);
+            break;
+          }
+
+          case Op.ARRAY_QUOTA:
+            ctx.quota.arrayElements(operand, positions[instruction]);
+            break;
+
+          case Op.MAKE_ARRAY:
+            stack.push(stack.splice(stack.length - operand));
+            break;
+
+          case Op.NEW_OBJECT:
+            stack.push({});
+            break;
+
+          case Op.OBJECT_KEY: {
+            const key = ctx.stringify(stack.pop());
+            if (isBlockedKey(key)) {
+              const position = positions[instruction];
+              throw new RuntimeError(`Property name '${key}' is not allowed`, position.line, position.column);
+            }
+            stack.push(key);
+            break;
+          }
+
+          case Op.OBJECT_SET: {
+            const value = stack.pop();
+            const key = stack.pop();
+            defineDataProperty(stack[stack.length - 1], key, value);
+            break;
+          }
+
+          case Op.OBJECT_QUOTA:
+            ctx.quota.objectKeys(Object.keys(stack[stack.length - 1]).length, positions[instruction]);
+            break;
+
+          case Op.SPREAD:
+            checkSpread(ctx, stack[stack.length - 1], positions[instruction]);
+            break;
+
+          case Op.GET_MEMBER:
+          case Op.GET_PROPERTY: {
+            const position = positions[instruction];
+            const property = code[instruction * 2] === Op.GET_PROPERTY
+              ? constants[operand]
+              : memberKey(stack.pop());
+            const object = stack[stack.length - 1];
+            if (object === null || object === undefined) {
+              throw new RuntimeError(
+                'Cannot access property of null or undefined',
+                position.line,
+                position.column
+              );
+            }
+            stack[stack.length - 1] = readMember(ctx, object, property, position);
+            break;
+          }
+
+          case Op.READ_MEMBER: {
+            const property = memberKey(stack.pop());
+            stack[stack.length - 1] = readMember(ctx, stack[stack.length - 1], property, positions[instruction]);
+            break;
+          }
+
+          case Op.SET_MEMBER: {
+            const value = stack.pop();
+            const property = memberKey(stack.pop());
+            const object = stack.pop();
+            stack.push(assignMember(ctx, object, property, value, positions[instruction]));
+            break;
+          }
+
+          case Op.CALL: {
+            const callArgs = stack.splice(stack.length - operand);
+            const callee = stack.pop();
+            stack.push(await invokeFunction(ctx, callee, callArgs, positions[instruction]));
+            break;
+          }
+
+          case Op.ARGS:
+            stack.push([]);
+            break;
+
+          case Op.ARG: {
+            const value = stack.pop();
+            stack[stack.length - 1].push(value);
+            break;
+          }
+
+          case Op.SPREAD_ARG: {
+            const value = checkSpread(ctx, stack.pop(), positions[instruction]);
+            stack[stack.length - 1].push(...value);
+            break;
+          }
+
+          case Op.CALL_ARGS: {
+            const callArgs = stack.pop();
+            const callee = stack.pop();
+            stack.push(await invokeFunction(ctx, callee, callArgs, positions[instruction]));
+            break;
+          }
+
+          case Op.CALL_NAMED: {
+            const names = constants[operand];
+            const values = stack.splice(stack.length - names.length);
+            const callArgs = stack.pop();
+            const callee = stack.pop();
+            const named = names.map((name, i) => [name, values[i]]);
+            stack.push(await invokeFunction(ctx, callee, callArgs, positions[instruction], named));
+            break;
+          }
+
+          case Op.FUNCTION:
+            stack.push(createFunction(constants[operand], ctx));
+            break;
+
+          case Op.LOAD_ARG:
+            // Parameters skipped by named arguments are empty
+            stack.push(operand < args.length && args[operand] !== undefined ? args[operand] : MISSING);
+            break;
+
+          case Op.LOAD_REST: {
+            const rest = args.slice(operand);
+            ctx.quota.arrayElements(rest.length, positions[instruction]);
+            stack.push(rest);
+            break;
+          }
+
+          case Op.PATTERN_ARRAY: {
+            const value = stack[stack.length - 1];
+            if (!Array.isArray(value)) {
+              const position = positions[instruction];
+              throw new RuntimeError(
+                `Cannot destructure ${typeName(value)} as an array`,
+                position.line,
+                position.column
+              );
+            }
+            break;
+          }
+
+          case Op.PATTERN_OBJECT: {
+            const value = stack[stack.length - 1];
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+              const position = positions[instruction];
+              throw new RuntimeError(
+                `Cannot destructure ${typeName(value)} as an object`,
+                position.line,
+                position.column
+              );
+            }
+            break;
+          }
+
+          case Op.PATTERN_ITEM: {
+            const items = stack[stack.length - 1];
+            stack[stack.length - 1] = operand < items.length ? items[operand] : MISSING;
+            break;
+          }
+
+          case Op.PATTERN_REST: {
+            const rest = stack[stack.length - 1].slice(operand);
+            ctx.quota.arrayElements(rest.length, positions[instruction]);
+            stack[stack.length - 1] = rest;
+            break;
+          }
+
+          case Op.PATTERN_PROPERTY: {
+            const property = ownDataProperty(stack[stack.length - 1], constants[operand]);
+            stack[stack.length - 1] = property.found ? property.value : MISSING;
+            break;
+          }
+
+          case Op.ITERATE:
+            stack.push({ items: iterationItems(ctx, stack.pop(), positions[instruction]), index: 0 });
+            break;
+
+          case Op.NEXT: {
+            const iterator = stack[stack.length - 1];
+            if (iterator.index < iterator.items.length) {
+              stack.push(iterator.items[iterator.index++]);
+            } else {
+              pc = operand;
+            }
+            break;
+          }
+
+          case Op.SET_RESULT:
+            stack[stack.length - 1 - operand] = completion;
+            break;
+
+          case Op.MATCH: {
+            const { statement, arm } = constants[operand];
+            stack.push(statement.matchArm(arm, stack[stack.length - 1], ctx));
+            break;
+          }
+
+          case Op.ENTER_ARM: {
+            const bindings = stack.pop();
+            stack.pop();
+            ctx = ctx.createChildContext(bindings);
+            break;
+          }
+
+          case Op.TRY:
+            handlers.push({ target: operand, context: ctx, height: stack.length });
+            break;
+
+          case Op.END_TRY:
+            handlers.pop();
+            break;
+
+          case Op.CATCH_SCOPE: {
+            const parameter = constants[operand];
+            ctx = ctx.createChildContext(parameter ? { [parameter]: toErrorValue(caught) } : {});
+            break;
+          }
+
+          case Op.LOAD_ERROR:
+            stack.push(caught);
+            break;
+
+          case Op.THROW:
+            throw thrownError(ctx, stack.pop(), positions[instruction]);
+
+          case Op.RETHROW:
+            throw stack.pop();
+
+          case Op.STORE_RETURN:
+            returnValue = stack.pop();
+            break;
+
+          case Op.LOAD_RETURN:
+            stack.push(returnValue);
+            break;
+
+          case Op.RETURN:
+            return stack.pop();
+
+          case Op.IMPORT:
+            stack.push(await constants[operand].evaluate(ctx));
+            break;
+
+          case Op.RAISE: {
+            const position = positions[instruction];
+            throw new RuntimeError(constants[operand], position.line, position.column);
+          }
+
+          default:
+            throw new Error(`Unknown opcode ${code[instruction * 2]}`);
+        }
+      }
+    } catch (error) {
+      // Cancelling the run or running out of a budget ends it; neither catch nor finally blocks run
+      const handler = handlers.pop();
+      if (!handler || error instanceof LimitExceededError || error instanceof CancelledError) {
+        throw error;
+      }
+      ctx = handler.context;
+      stack.length = handler.height;
+      caught = error;
+      pc = handler.target;
+    }
+  }
+}
+
+// Helper function to create the closure of a compiled function
+function createFunction(template, closure) {
+  const func = async (args) => {
+    // Continue on a fresh JavaScript stack, so deep recursion ends at the call depth limit
+    await null;
+    // Each call runs in a new child context of the context the function was created in
+    return await execute(template.chunk, closure.createChildContext(), args);
+  };
+  // Used for arity checks and named arguments at call sites
+  func.functionName = template.name;
+  func.maxArguments = template.maxArguments;
+  func.parameterNames = template.parameterNames;
+  return func;
+}
+
+// Helper function to let decimal indexes address the same element as the equal number
+function memberKey(property) {
+  return property instanceof Decimal ? property.toNumber() : property;
+}
+
+// Helper function to check the value of a spread element
+function checkSpread(context, value, position) {
+  if (!Array.isArray(value)) {
+    throw new RuntimeError(
+      `Cannot spread non-array value: ${context.stringify(value)}`,
+      position.line,
+      position.column
+    );
+  }
+  return value;
+}
+
+// Helper function to list the items of a for-in loop. Arrays and strings yield their
+// elements, objects yield their keys. The items are copied so the body may modify the collection.
+function iterationItems(context, collection, position) {
+  if (Array.isArray(collection)) {
+    return [...collection];
+  }
+  if (typeof collection === 'string') {
+    return Array.from(collection);
+  }
+  if (collection !== null && typeof collection === 'object') {
+    return Object.keys(collection);
+  }
+  throw new RuntimeError(
+    `Cannot iterate over ${context.stringify(collection)}`,
+    position.line,
+    position.column
+  );
+}
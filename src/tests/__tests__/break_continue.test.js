@@ -0,0 +1,148 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for break and continue statements
+describe('Break And Continue', () => {
+  
+  test('Break Out Of While Loop', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let i = 0;
+      while (true) {
+        if (i == 3) {
+          break;
+        }
+        i = i + 1;
+      }
+      i;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(3);
+  });
+  
+  test('Continue In While Loop', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let i = 0;
+      let sum = 0;
+      while (i < 6) {
+        i = i + 1;
+        if (i % 2 == 0) {
+          continue;
+        }
+        sum = sum + i;
+      }
+      sum;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(9); // 1 + 3 + 5
+  });
+  
+  test('Continue In For Loop Runs Update', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let visited = [];
+      let n = 0;
+      for (let i = 0; i < 5; i = i + 1) {
+        if (i == 2) {
+          continue;
+        }
+        visited[n] = i;
+        n = n + 1;
+      }
+      visited;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([0, 1, 3, 4]);
+  });
+  
+  test('Break Out Of For-In Loop', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let found = null;
+      for (item in io_get("items")) {
+        if (item.ok) {
+          found = item.id;
+          break;
+        }
+      }
+      found;
+    `, { items: [{ id: 1, ok: false }, { id: 2, ok: true }, { id: 3, ok: true }] });
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(2);
+  });
+  
+  test('Break Only Leaves Innermost Loop', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let count = 0;
+      for (let i = 0; i < 3; i = i + 1) {
+        for (let j = 0; j < 10; j = j + 1) {
+          if (j == 2) {
+            break;
+          }
+          count = count + 1;
+        }
+      }
+      count;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(6);
+  });
+  
+  test('Break Propagates Through Nested Blocks', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let i = 0;
+      while (i < 100) {
+        i = i + 1;
+        {
+          if (i > 1) {
+            if (i == 4) {
+              break;
+            }
+          }
+        }
+      }
+      i;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(4);
+  });
+  
+  test('Return Inside Loop Still Leaves Function', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def f() {
+        for (x in [1, 2, 3]) {
+          if (x == 2) {
+            return "returned";
+          }
+          continue;
+        }
+        return "finished";
+      }
+      f();
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('returned');
+  });
+  
+  test('Break Outside Of Loop', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('break;', "'break' used outside of a loop");
+  });
+  
+  test('Continue Outside Of Loop', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('if (true) { continue; }', "'continue' used outside of a loop");
+  });
+  
+  test('Break Inside Function Inside Loop', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError(`
+      while (true) {
+        let f = def() { break; };
+      }
+    `, "'break' used outside of a loop");
+  });
+});
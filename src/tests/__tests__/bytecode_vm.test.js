@@ -0,0 +1,215 @@
+import { Interpreter } from '../../interpreter/index.js';
+import { compile, Chunk } from '../../interpreter/compiler.js';
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Run code on one backend and collect everything the host can observe
+const run = async (backend, code, options = {}, jsonData = {}) => {
+  const interpreter = new Interpreter({ ...options, backend });
+  interpreter.parse(code);
+  return interpreter.evaluate({ ...jsonData }, []);
+};
+
+// Run code on both backends and expect the same observable outcome
+const expectSameOnBothBackends = async (code, options, jsonData) => {
+  const expected = await run('ast', code, options, jsonData);
+  const actual = await run('vm', code, options, jsonData);
+  expect(actual).toEqual(expected);
+  return actual;
+};
+
+// Test cases for the bytecode compiler and the stack VM backend
+describe('Bytecode VM', () => {
+
+  test('Compile Produces A Chunk', () => {
+    const interpreter = new Interpreter();
+    const { ast } = interpreter.parse('let x = 1 + 2;\nx * 3;');
+    const chunk = compile(ast);
+    expect(chunk).toBeInstanceOf(Chunk);
+    expect(chunk.length).toBeGreaterThan(0);
+    expect(chunk.positions.length).toBe(chunk.length);
+  });
+
+  test('Runs Programs On The VM Backend', async () => {
+    const ctx = new TestContext({ backend: 'vm' });
+    await ctx.evaluate(`
+      def fib(n) {
+        if (n < 2) { return n; }
+        return fib(n - 1) + fib(n - 2);
+      }
+      let numbers = io_get("numbers");
+      let total = 0;
+      for (let n in numbers) {
+        total += fib(n);
+      }
+      io_put("total", total);
+      console_put("done");
+      total;
+    `, { numbers: [5, 10, 15] });
+    ctx.assertEvalResult(670);
+    ctx.assertJsonData('total', 670);
+    ctx.assertConsoleContains('done');
+  });
+
+  test('Completion Values Match', async () => {
+    await expectSameOnBothBackends('let x = 1; if (x > 2) { 5; }');
+    await expectSameOnBothBackends('let i = 0; while (i < 5) { i++; if (i == 3) { continue; } i * 10; }');
+    await expectSameOnBothBackends('for (let i = 0; i < 5; i++) { if (i == 2) { break; } i; }');
+    await expectSameOnBothBackends('def f() { 1; { 2; } } f();');
+    await expectSameOnBothBackends('{}');
+  });
+
+  test('Control Flow Through Finally Matches', async () => {
+    await expectSameOnBothBackends(`
+      let log = [];
+      def f() {
+        for (let i = 0; i < 3; i++) {
+          try {
+            if (i == 1) { continue; }
+            if (i == 2) { return "returned"; }
+            log[log.length] = i;
+          } finally {
+            log[log.length] = "finally " + i;
+          }
+        }
+      }
+      [f(), log];
+    `);
+    await expectSameOnBothBackends(`
+      def f() {
+        try { return 1; } finally { return 2; }
+      }
+      f();
+    `);
+    await expectSameOnBothBackends(`
+      let result = [];
+      try {
+        try { throw "inner"; } finally { result[result.length] = "first"; }
+      } catch (e) {
+        result[result.length] = e.value;
+      } finally {
+        result[result.length] = "second";
+      }
+      result;
+    `);
+  });
+
+  test('Closures, Patterns And Match Match', async () => {
+    await expectSameOnBothBackends(`
+      let makers = [];
+      for (let i = 0; i < 3; i++) {
+        makers[i] = def() { return i; };
+      }
+      [makers[0](), makers[2]()];
+    `);
+    await expectSameOnBothBackends(`
+      def f([a, b = 2], { c, d: e = "none" }, ...rest) {
+        return [a, b, c, e, rest];
+      }
+      f([1], { c: 3 }, 4, 5);
+    `);
+    await expectSameOnBothBackends(`
+      def describe(value) {
+        match (value) {
+          case [x, y] => return x + y;
+          case { kind: "point", x } => return x;
+          case null => return "nothing";
+          else => return "other";
+        }
+      }
+      [describe([1, 2]), describe({ kind: "point", x: 7 }), describe(null), describe(3)];
+    `);
+  });
+
+  test('Expressions Match', async () => {
+    await expectSameOnBothBackends(`
+      let record = { name: "a", tags: ["x", "y"] };
+      [
+        record?.missing?.deep,
+        record.tags?.[1],
+        record.missing ?? "default",
+        \`\${record.name}-\${record.tags.length}\`,
+        [...record.tags, "z"].join("+"),
+        7 ~/ 2, 2 ** 10, 5 & 3, ~1,
+        [1, 2] == [1, 2], "a" < "b", null || false
+      ];
+    `);
+    await expectSameOnBothBackends('0.1 + 0.2 == 0.3;', { decimal: true });
+  });
+
+  test('Runtime Errors Match', async () => {
+    const result = await expectSameOnBothBackends('let x = 1;\nlet y = "a" - x;');
+    expect(result.success).toBe(false);
+    await expectSameOnBothBackends('const a = 1;\na = 2;');
+    await expectSameOnBothBackends('def f(a) { return a; }\nf(1, 2);', { strict: true });
+    await expectSameOnBothBackends('try { null.x(); } catch (e) { [e.message, e.line, e.column]; }');
+    await expectSameOnBothBackends('throw { code: 42 };');
+  });
+
+  test('Execution Limits And Quotas Apply', async () => {
+    const ctx = new ErrorTestContext({ backend: 'vm', maxSteps: 200 });
+    await ctx.assertRuntimeError('while (true) {}', 'Step limit of 200 exceeded');
+
+    await expectSameOnBothBackends('let i = 0;\nwhile (true) { i++; }', { maxSteps: 500 });
+    await expectSameOnBothBackends('def f(n) { return f(n + 1); }\nf(0);', { maxCallDepth: 50 });
+    await expectSameOnBothBackends('let s = "ab";\nwhile (true) { s = s + s; }', { maxStringLength: 1000 });
+    await expectSameOnBothBackends(`
+      let log = [];
+      try {
+        while (true) {}
+      } catch (e) {
+        log[log.length] = "caught";
+      } finally {
+        io_put("finally", true);
+      }
+    `, { maxSteps: 100 });
+  });
+
+  test('Cancellation Stops The VM', async () => {
+    const interpreter = new Interpreter({ backend: 'vm' });
+    interpreter.parse('let n = 0;\nwhile (true) { n++; }');
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    const result = await interpreter.evaluate({}, [], { signal: controller.signal });
+    expect(result.cancelled).toBe(true);
+    expect(result.errors).toEqual([]);
+  });
+
+  test('Modules Run On The VM Backend', async () => {
+    const modules = {
+      math: 'let calls = 0;\nexport def square(x) { calls++; return x * x; }\nexport let TWO = 2;',
+      broken: 'export let value = 1;\nlet oops = null.x();'
+    };
+    const options = { resolveModule: (name) => modules[name] ?? null };
+
+    const result = await expectSameOnBothBackends('import { square, TWO } from "math";\nsquare(TWO + 1);', options);
+    expect(result.result).toBe(9);
+    await expectSameOnBothBackends('import { value } from "broken";\nvalue;', options);
+    await expectSameOnBothBackends('import { nothing } from "math";', options);
+  });
+
+  test('Host Functions Are Called The Same Way', async () => {
+    const calls = [];
+    const code = 'add(1, 2) + fetchData("x");';
+
+    for (const backend of ['ast', 'vm']) {
+      const interpreter = new Interpreter({ backend });
+      interpreter.registerFunction('add', (args) => {
+        calls.push([backend, args]);
+        return args[0] + args[1];
+      });
+      interpreter.registerFunction('fetchData', async ([key], signal) => {
+        calls.push([backend, key, signal]);
+        return 10;
+      }, true);
+      interpreter.parse(code);
+      const result = await interpreter.evaluate({}, []);
+      expect(result.result).toBe(13);
+    }
+
+    expect(calls).toEqual([
+      ['ast', [1, 2]], ['ast', 'x', undefined],
+      ['vm', [1, 2]], ['vm', 'x', undefined]
+    ]);
+  });
+});
@@ -0,0 +1,187 @@
+import { Interpreter } from '../../interpreter/index.js';
+import { TestContext } from '../jestUtils.js';
+
+// Test cases for cancelling a running evaluation with an AbortSignal
+describe('Cancellation', () => {
+
+  test('Aborting Stops A Busy Loop', async () => {
+    const interpreter = new Interpreter();
+    interpreter.parse('let n = 0;\nwhile (true) { n++; }');
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    const result = await interpreter.evaluate({}, [], { signal: controller.signal });
+    expect(result).toEqual({
+      success: false,
+      cancelled: true,
+      result: null,
+      jsonData: {},
+      consoleOutput: [],
+      errors: []
+    });
+  });
+
+  test('An Already Aborted Signal Runs Nothing', async () => {
+    const interpreter = new Interpreter();
+    interpreter.parse('io_put("ran", true);');
+    const jsonData = {};
+
+    const result = await interpreter.evaluate(jsonData, [], { signal: AbortSignal.abort() });
+    expect(result.cancelled).toBe(true);
+    expect(jsonData).toEqual({});
+  });
+
+  test('Work Done Before Cancelling Is Kept', async () => {
+    const interpreter = new Interpreter();
+    const controller = new AbortController();
+    interpreter.registerFunction('stop', () => controller.abort());
+    interpreter.parse(`
+      console_put("first");
+      stop();
+      console_put("second");
+    `);
+    const consoleOutput = [];
+
+    const result = await interpreter.evaluate({}, consoleOutput, { signal: controller.signal });
+    expect(result.cancelled).toBe(true);
+    expect(consoleOutput).toEqual(['first']);
+  });
+
+  test('Cancellation Cannot Be Caught', async () => {
+    const interpreter = new Interpreter();
+    interpreter.parse(`
+      try {
+        while (true) {}
+      } catch (e) {
+        console_put("caught");
+      } finally {
+        console_put("finally");
+      }
+    `);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    const consoleOutput = [];
+
+    const result = await interpreter.evaluate({}, consoleOutput, { signal: controller.signal });
+    expect(result.cancelled).toBe(true);
+    expect(consoleOutput).toEqual([]);
+  });
+
+  test('Cancelling In A Catch Block Skips The Finally Block', async () => {
+    for (const backend of ['ast', 'vm']) {
+      const interpreter = new Interpreter({ backend });
+      const controller = new AbortController();
+      interpreter.registerFunction('stop', () => controller.abort());
+      interpreter.parse(`
+        try {
+          throw "failed";
+        } catch (e) {
+          stop();
+          while (true) {}
+        } finally {
+          io_put("finally", true);
+        }
+      `);
+      const jsonData = {};
+
+      const result = await interpreter.evaluate(jsonData, [], { signal: controller.signal });
+      expect(result.cancelled).toBe(true);
+      expect(jsonData).toEqual({});
+    }
+  });
+
+  test('Cancellation Inside Functions And Modules', async () => {
+    const interpreter = new Interpreter({
+      resolveModule: () => 'export def spin() { for (;;) {} }'
+    });
+    interpreter.parse(`
+      import { spin } from "spinner";
+      def run() {
+        spin();
+      }
+      run();
+    `);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    const result = await interpreter.evaluate({}, [], { signal: controller.signal });
+    expect(result.cancelled).toBe(true);
+    expect(result.errors).toEqual([]);
+  });
+
+  test('Async Host Functions Receive The Signal', async () => {
+    const interpreter = new Interpreter();
+    const controller = new AbortController();
+    const received = [];
+    // Script arguments arrive as one array, followed by the signal
+    interpreter.registerFunction('fetch_rate', async (args, signal) => {
+      received.push(args, signal);
+      return 1.5;
+    }, true);
+    interpreter.parse('fetch_rate("EUR") * 2;');
+
+    const result = await interpreter.evaluate({}, [], { signal: controller.signal });
+    expect(result.success).toBe(true);
+    expect(result.result).toBe(3);
+    expect(received).toEqual([['EUR'], controller.signal]);
+  });
+
+  test('Aliased Async Host Functions Receive The Signal', async () => {
+    for (const backend of ['ast', 'vm']) {
+      const interpreter = new Interpreter({ backend });
+      const controller = new AbortController();
+      const received = [];
+      interpreter.registerFunction('fetch_rate', async (args, signal) => {
+        received.push(args, signal);
+        return 2;
+      }, true);
+      interpreter.parse(`
+        let rate = fetch_rate;
+        let api = { rate: fetch_rate };
+        [rate("EUR"), api.rate("USD"), [fetch_rate][0]("GBP")];
+      `);
+
+      const result = await interpreter.evaluate({}, [], { signal: controller.signal });
+      expect(result.result).toEqual([2, 2, 2]);
+      expect(received).toEqual([
+        ['EUR'], controller.signal,
+        ['USD'], controller.signal,
+        ['GBP'], controller.signal
+      ]);
+    }
+  });
+
+  test('An Aborted Host Function Cancels The Run', async () => {
+    const interpreter = new Interpreter();
+    const controller = new AbortController();
+    interpreter.registerFunction('wait', ([ms], signal) => new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new Error('Aborted'));
+      });
+    }), true);
+    interpreter.parse(`
+      try {
+        wait(10000);
+      } catch (e) {
+        console_put("caught");
+      }
+    `);
+    setTimeout(() => controller.abort(), 20);
+    const consoleOutput = [];
+
+    const result = await interpreter.evaluate({}, consoleOutput, { signal: controller.signal });
+    expect(result.cancelled).toBe(true);
+    expect(consoleOutput).toEqual([]);
+  });
+
+  test('Runs Without A Signal Are Not Cancellable', async () => {
+    const ctx = new TestContext();
+    ctx.interpreter.registerFunction('check', async (args, signal) => signal === undefined, true);
+    await ctx.evaluate('check(1);');
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(true);
+    expect(ctx.evalResult.cancelled).toBeUndefined();
+  });
+});
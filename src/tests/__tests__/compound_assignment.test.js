@@ -0,0 +1,168 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for compound assignment and increment/decrement operators
+describe('Compound Assignment And Increment', () => {
+  
+  test('Compound Assignment Operators', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let a = 10;
+      a += 5;
+      let b = 10;
+      b -= 3;
+      let c = 4;
+      c *= 2.5;
+      let d = 9;
+      d /= 3;
+      let e = 10;
+      e %= 4;
+      [a, b, c, d, e];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([15, 7, 10, 3, 2]);
+  });
+  
+  test('Plus Assign Concatenates Strings', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let s = "a";
+      s += "b";
+      s += 1;
+      s;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('ab1');
+  });
+  
+  test('Compound Assignment On Members', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let stats = { count: 1, totals: [10, 20] };
+      stats.count += 1;
+      stats.totals[1] -= 5;
+      stats["count"] *= 10;
+      stats;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult({ count: 20, totals: [10, 15] });
+  });
+  
+  test('Compound Assignment Evaluates Index Once', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let calls = 0;
+      def next() {
+        calls += 1;
+        return 0;
+      }
+      let arr = [5];
+      arr[next()] += 1;
+      [arr[0], calls];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([6, 1]);
+  });
+  
+  test('Postfix And Prefix Increment', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let i = 5;
+      let a = i++;
+      let b = ++i;
+      let c = i--;
+      let d = --i;
+      [a, b, c, d, i];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([5, 7, 7, 5, 5]);
+  });
+  
+  test('Increment As Statement And For Update', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let count = 0;
+      for (let i = 0; i < 4; i++) {
+        count++;
+      }
+      count;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(4);
+  });
+  
+  test('Compound Assignment In For Update', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let visited = "";
+      for (let i = 0; i < 10; i += 3) {
+        visited += i;
+      }
+      visited;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('0369');
+  });
+  
+  test('Increment Members', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let counters = { hits: 0, list: [1, 1] };
+      counters.hits++;
+      ++counters.hits;
+      counters.list[0]--;
+      counters;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult({ hits: 2, list: [0, 1] });
+  });
+  
+  test('Negation Of Postfix Increment', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let i = 2;
+      let n = -i++;
+      [n, i];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([-2, 3]);
+  });
+  
+  test('Divide Assign By Zero', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      let x = 1;
+      x /= 0;
+    `, 'Division by zero');
+  });
+  
+  test('Modulo Assign By Zero', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      let x = 1;
+      x %= 0;
+    `, 'Modulo by zero');
+  });
+  
+  test('Increment Undefined Variable', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError('missing++;', "Undefined variable 'missing'");
+  });
+  
+  test('Increment Property Of Null', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      let obj = null;
+      obj.count++;
+    `, "Cannot read property 'count' of null");
+  });
+  
+  test('Invalid Increment Target', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('5++;', 'Invalid ++ target');
+  });
+  
+  test('Invalid Compound Assignment Target', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('f() += 1;', 'Invalid assignment target');
+  });
+});
@@ -0,0 +1,167 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for conditional, null-coalescing and optional chaining expressions
+describe('Conditional Expressions', () => {
+  
+  test('Ternary Selects Branch', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let x = 5;
+      [x > 3 ? "big" : "small", x > 10 ? "big" : "small"];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(['big', 'small']);
+  });
+  
+  test('Ternary Is Right-Associative', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def grade(n) {
+        return n >= 90 ? "A" : n >= 80 ? "B" : "C";
+      }
+      [grade(95), grade(85), grade(10)];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(['A', 'B', 'C']);
+  });
+  
+  test('Ternary Has Lower Precedence Than Logical Operators', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let a = false;
+      let b = true;
+      a || b ? 1 + 1 : 0;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(2);
+  });
+  
+  test('Ternary Only Evaluates Selected Branch', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let calls = 0;
+      def touch() {
+        calls += 1;
+        return calls;
+      }
+      let r = true ? "yes" : touch();
+      calls;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(0);
+  });
+  
+  test('Ternary Inside Object Literal', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let ok = true;
+      let result = { status: ok ? "ok" : "failed" };
+      result;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult({ status: 'ok' });
+  });
+  
+  test('Null Coalescing Keeps Falsy Values', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      [null ?? "default", 0 ?? 1, "" ?? "x", false ?? true];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(['default', 0, '', false]);
+  });
+  
+  test('Null Coalescing Defaults Missing io_get Values', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let limit = io_get("limit") ?? 100;
+      let offset = io_get("offset") ?? 10;
+      [limit, offset];
+    `, { offset: 0 });
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([100, 0]);
+  });
+  
+  test('Null Coalescing Short-Circuits', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let calls = 0;
+      def fallback() {
+        calls += 1;
+        return 0;
+      }
+      let v = 5 ?? fallback();
+      [v, calls];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([5, 0]);
+  });
+  
+  test('Optional Member Access', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let user = { profile: { name: "Ann" } };
+      let nobody = null;
+      [user?.profile?.name, nobody?.profile, user.missing?.name];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(['Ann', null, null]);
+  });
+  
+  test('Optional Index Access', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let items = [10, 20];
+      let none = null;
+      [items?.[1], none?.[0]];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([20, null]);
+  });
+  
+  test('Optional Chain Short-Circuits Rest Of Chain', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let calls = 0;
+      def key() {
+        calls += 1;
+        return "x";
+      }
+      let a = null;
+      let r1 = a?.b.c.d;
+      let r2 = a?.b[key()];
+      let r3 = a?.b.run(key());
+      [r1, r2, r3, calls];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([null, null, null, 0]);
+  });
+  
+  test('Optional Chain Combined With Null Coalescing', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let record = io_get("record");
+      record?.address?.city ?? "unknown";
+    `, { record: { address: null } });
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('unknown');
+  });
+  
+  test('Non-Optional Access After Null Still Fails', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      let a = { b: null };
+      a?.b.c;
+    `, 'Cannot access property of null');
+  });
+  
+  test('Missing Colon In Ternary', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('let x = true ? 1;', 'Expected next token to be :');
+  });
+  
+  test('Optional Chain Is Not An Assignment Target', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('let a = {}; a?.b = 1;', 'Invalid assignment target');
+  });
+});
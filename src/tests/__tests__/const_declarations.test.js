@@ -0,0 +1,199 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for const declarations and constant functions
+describe('Const Declarations', () => {
+
+  test('Const Declaration', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      const limit = 10;
+      limit * 2;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(20);
+  });
+
+  test('Reassignment In Same Scope Is A Parse Error', async () => {
+    const ctx = new TestContext();
+    ctx.withCode(`const x = 1;
+x = 2;`).parse();
+    ctx.assertFailure();
+    expect(ctx.parseResult.errors).toEqual([
+      { message: "Cannot assign to constant 'x'", line: 2, column: 1 }
+    ]);
+  });
+
+  test('Compound Assignment And Update In Same Scope Are Parse Errors', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('const x = 1; x += 2;', "Cannot assign to constant 'x'");
+    await ctx.assertParseError('const x = 1; x++;', "Cannot assign to constant 'x'");
+    await ctx.assertParseError('const x = 1; --x;', "Cannot assign to constant 'x'");
+  });
+
+  test('Reassignment From Nested Block Is A Runtime Error', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`const x = 1;
+if (true) {
+  x = 2;
+}`);
+    expect(ctx.evalResult.success).toBe(false);
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: "Cannot assign to constant 'x'",
+      line: 3,
+      column: 3
+    });
+  });
+
+  test('Reassignment From Function Is A Runtime Error', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      const total = 0;
+      def add(n) {
+        total += n;
+      }
+      add(1);
+    `, "Cannot assign to constant 'total'");
+  });
+
+  test('Parameters Can Shadow Constants', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      const value = 1;
+      def f(value) {
+        value = value + 1;
+        return value;
+      }
+      [f(5), value];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([6, 1]);
+  });
+
+  test('Constant Objects Can Still Be Modified', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      const config = { retries: 1 };
+      config.retries = 3;
+      config;
+    `);
+    ctx.assertEvalResult({ retries: 3 });
+  });
+
+  test('Const Destructuring', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('const [a, { b }] = [1, { b: 2 }]; b = 3;', "Cannot assign to constant 'b'");
+    await ctx.assertRuntimeError(`
+      const { id } = { id: 1 };
+      def change() {
+        id = 2;
+      }
+      change();
+    `, "Cannot assign to constant 'id'");
+  });
+
+  test('Const Loop Variables', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let seen = [];
+      for (const item in ["a", "b"]) {
+        seen[seen.length] = item;
+      }
+      seen;
+    `);
+    ctx.assertEvalResult(['a', 'b']);
+
+    const errorCtx = new ErrorTestContext();
+    await errorCtx.assertRuntimeError(`
+      for (const item in [1, 2]) {
+        item = 3;
+      }
+    `, "Cannot assign to constant 'item'");
+    await errorCtx.assertParseError('for (const i = 0; i < 3; i++) { }', "Cannot assign to constant 'i'");
+  });
+
+  test('Loop Header Declarations Do Not Leak Into The Enclosing Block', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('let i = 1;\nfor (const i = 0; false; ) {}\ni = 5;\ni;');
+    ctx.assertEvalResult(5);
+
+    await ctx.evaluate('let x = 1;\nfor (const x in [1, 2]) {}\nx = 5;\nx;');
+    ctx.assertEvalResult(5);
+
+    const errorCtx = new ErrorTestContext();
+    await errorCtx.assertParseError('const i = 5;\nfor (let i = 0; i < 3; i++) {}\ni = 7;', "Cannot assign to constant 'i'");
+    await errorCtx.assertParseError('const x = 5;\nfor (let x in [1, 2]) {}\nx = 7;', "Cannot assign to constant 'x'");
+  });
+
+  test('Exported Constants', async () => {
+    const ctx = new TestContext({
+      resolveModule: () => 'export const VERSION = "1.0";'
+    });
+    await ctx.evaluate(`
+      import { VERSION } from "lib";
+      VERSION;
+    `);
+    ctx.assertEvalResult('1.0');
+  });
+
+  test('Const Requires An Initializer', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('const x;', "Missing initializer in const declaration of 'x'");
+  });
+
+  test('Functions Can Be Reassigned By Default', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def f() {
+        return 1;
+      }
+      f = def() {
+        return 2;
+      };
+      f();
+    `);
+    ctx.assertEvalResult(2);
+  });
+
+  test('Top-Level Functions Are Constant With constFunctions', async () => {
+    const ctx = new ErrorTestContext({ constFunctions: true });
+    await ctx.assertParseError(`
+      def f() {
+        return 1;
+      }
+      f = 2;
+    `, "Cannot assign to constant 'f'");
+    await ctx.assertRuntimeError(`
+      def f() {
+        return 1;
+      }
+      def g() {
+        f = 2;
+      }
+      g();
+    `, "Cannot assign to constant 'f'");
+  });
+
+  test('Nested Functions Stay Mutable With constFunctions', async () => {
+    const ctx = new TestContext({ constFunctions: true });
+    await ctx.evaluate(`
+      def outer() {
+        def inner() {
+          return 1;
+        }
+        inner = 2;
+        return inner;
+      }
+      outer();
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(2);
+  });
+
+  test('Const Kind In AST JSON', () => {
+    const ctx = new TestContext();
+    ctx.withCode('const a = 1; let b = 2;').parse();
+    ctx.assertSuccess();
+    const statements = ctx.parseResult.ast.toJSON().statements;
+    expect(statements.map(statement => statement.kind)).toEqual(['const', 'let']);
+  });
+});
@@ -172,13 +172,11 @@ describe('Control Flow Constructs', () => {
     console.log("Console output:", ctx.consoleOutput);
     console.log("Eval result:", ctx.evalResult);
     
-    // Based on the console output, we can see that:
-    // - Inner loop only runs once for i=1 (0 < 1) adding 1 to sum
-    // - Inner loop only runs once for i=2 at j=1 (because j skips j=0) adding 1 to sum
-    // So the expected result is 2 not 3
+    // The inner loop runs 0 times for i=0, once for i=1 and twice for i=2,
+    // because 'let j = 0' resets j on every outer iteration
     
     ctx.assertEvalSuccess();
-    ctx.assertEvalResult(2); 
+    ctx.assertEvalResult(3); 
   });
   
   test('Function With Return Null', async () => {
@@ -0,0 +1,230 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for the exact decimal mode and the round builtin
+describe('Decimal Mode', () => {
+
+  test('Binary Floating Point By Default', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('0.1 + 0.2;');
+    ctx.assertEvalResult(0.30000000000000004);
+  });
+
+  test('Exact Decimal Arithmetic', async () => {
+    const ctx = new TestContext({ decimal: true });
+    await ctx.evaluate(`
+      [
+        0.1 + 0.2,
+        0.1 + 0.2 == 0.3,
+        1.10 * 3,
+        0.3 - 0.1,
+        19.99 * 100,
+        10 / 4,
+        7 ~/ 2,
+        -7 % 3,
+        1.5 ** 2
+      ];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([0.3, true, 3.3, 0.2, 1999, 2.5, 3, -1, 2.25]);
+  });
+
+  test('Literals Keep Every Digit', async () => {
+    const ctx = new TestContext({ decimal: true, decimalOutput: 'string' });
+    await ctx.evaluate('[12345678901234567890.123456789 + 1, 1e3, 0xFF, 1_000.50];');
+    ctx.assertEvalResult(['12345678901234567891.123456789', '1000', '255', '1000.50']);
+  });
+
+  test('Non-Terminating Division Keeps Twenty Places', async () => {
+    const ctx = new TestContext({ decimal: true, decimalOutput: 'string' });
+    await ctx.evaluate('[1 / 3, 2 / 3, -1 / 8];');
+    ctx.assertEvalResult(['0.33333333333333333333', '0.66666666666666666667', '-0.125']);
+  });
+
+  test('Numbers From io_get Are Decimals', async () => {
+    const ctx = new TestContext({ decimal: true });
+    await ctx.evaluate(`
+      let invoice = io_get("invoice");
+      let total = 0;
+      for (let line in invoice.lines) {
+        total += line.price * line.quantity;
+      }
+      io_put("total", total);
+      io_put("discounted", total - 0.1);
+    `, { invoice: { lines: [{ price: 0.1, quantity: 3 }, { price: 0.7, quantity: 1 }] } });
+    ctx.assertEvalSuccess();
+    ctx.assertJsonData('total', 1);
+    ctx.assertJsonData('discounted', 0.9);
+  });
+
+  test('Own __proto__ Keys Survive The Conversion', async () => {
+    const data = JSON.parse('{ "record": { "__proto__": { "polluted": 1 }, "id": 7 } }');
+    const ctx = new TestContext({ decimal: true });
+    await ctx.evaluate(`
+      let record = io_get("record");
+      [record.__proto__.polluted, record.polluted, record.id, record];
+    `, data);
+    ctx.assertEvalSuccess();
+    const [polluted, inherited, id, record] = ctx.evalResult.result;
+    expect([polluted, inherited, id]).toEqual([1, null, 7]);
+    expect(Object.getPrototypeOf(record)).toBe(Object.prototype);
+    expect(Object.keys(record)).toEqual(['__proto__', 'id']);
+  });
+
+  test('String Output', async () => {
+    const ctx = new TestContext({ decimal: true, decimalOutput: 'string' });
+    await ctx.evaluate(`
+      let price = 2.50;
+      io_put("summary", { price: price, tax: price * 0.2, items: [price * 2] });
+      console_put(price * 3);
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertJsonData('summary', { price: '2.50', tax: '0.500', items: ['5.00'] });
+    ctx.assertConsoleContains('7.50');
+  });
+
+  test('Host Functions Receive And Return Plain Numbers', async () => {
+    const received = [];
+    const ctx = new TestContext({ decimal: true })
+      .withLibraryFunction('record', (...args) => {
+        // Flatten argument array if needed
+        received.push(...(Array.isArray(args[0]) ? args[0] : args));
+        return 0.1;
+      });
+    await ctx.evaluate(`
+      let back = record(0.25);
+      back + 0.2;
+    `);
+    ctx.assertEvalSuccess();
+    expect(received).toEqual([0.25]);
+    ctx.assertEvalResult(0.3);
+  });
+
+  test('Decimals Mix With Numbers', async () => {
+    const ctx = new TestContext({ decimal: true });
+    await ctx.evaluate(`
+      let items = ["a", "b", "c", "d"];
+      let half = items.length / 2;
+      [half, items[1], items[half], items.length > 3.5, 5 & 3, -half];
+    `);
+    ctx.assertEvalResult([2, 'b', 'c', true, 1, -2]);
+  });
+
+  test('Decimals In Conditions, Templates And Match', async () => {
+    const ctx = new TestContext({ decimal: true });
+    await ctx.evaluate(`
+      let zero = 0.00;
+      let label = null;
+      match (0.1 + 0.2) {
+        case 0.3 => label = "exact";
+        else => label = "inexact";
+      }
+      [zero ? "truthy" : "falsy", \`\${1.50 + 1}\`, label];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(['falsy', '2.50', 'exact']);
+  });
+
+  test('Decimal Errors Are Positioned', async () => {
+    const ctx = new TestContext({ decimal: true });
+    await ctx.evaluate('let zero = 0.0;\nlet x = 1.5 / zero;');
+    expect(ctx.evalResult.errors[0]).toEqual({ message: 'Division by zero', line: 2, column: 13 });
+
+    const errorCtx = new ErrorTestContext({ decimal: true });
+    await errorCtx.assertRuntimeError('2 ** 0.5;', 'Decimal exponent must be an integer');
+    await errorCtx.assertRuntimeError('null * 1.5;', "Operator '*' cannot be applied to null and number");
+  });
+
+  test('Huge Powers Are Rejected Before They Are Computed', async () => {
+    const ctx = new TestContext({ decimal: true, timeout: 1000 });
+    await ctx.evaluate('let x = 1;\nlet y = 7 ** 300000000;');
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: 'Result of the power would have more than 100000 digits', line: 2, column: 11
+    });
+
+    const errorCtx = new ErrorTestContext({ decimal: true });
+    await errorCtx.assertRuntimeError('3 ** 1000000000;', 'Result of the power would have more than 100000 digits');
+    await errorCtx.assertRuntimeError('0.5 ** -1000000;', 'Result of the power would have more than 100000 digits');
+
+    const okCtx = new TestContext({ decimal: true, decimalOutput: 'string' });
+    await okCtx.evaluate('[1 ** 1000000000, 0 ** 1000000000, 2 ** 100];');
+    okCtx.assertEvalResult(['1', '0', '1267650600228229401496703205376']);
+  });
+
+  test('Huge Literals And Products Are Rejected Before They Are Computed', async () => {
+    for (const backend of ['ast', 'vm']) {
+      const ctx = new TestContext({ backend, decimal: true, timeout: 1000 });
+      const start = Date.now();
+      await ctx.evaluate('let x = 1;\nreturn 1e100000000 > 0;');
+      expect(Date.now() - start).toBeLessThan(1000);
+      expect(ctx.evalResult.errors).toEqual([{
+        message: 'Decimal number would have more than 100000 digits', line: 2, column: 8
+      }]);
+
+      const errorCtx = new ErrorTestContext({ backend, decimal: true, timeout: 1000 });
+      await errorCtx.assertRuntimeError('1 + 1e-100000000;', 'Decimal number would have more than 100000 digits');
+      await errorCtx.assertRuntimeError('let x = 10 ** 60000;\nx * x;', 'Result of the multiplication would have more than 100000 digits');
+      await errorCtx.assertRuntimeError('1e99999 + 0.1;', 'Result of the calculation would have more than 100000 digits');
+
+      const okCtx = new TestContext({ backend, decimal: true, decimalOutput: 'string' });
+      await okCtx.evaluate('if (false) { 1e100000000; }\n[0e100000000, 1.5e3, 25e-1];');
+      okCtx.assertEvalResult(['0', '1500', '2.5']);
+    }
+  }, 10000);
+
+  test('Decimals Too Large For A Number Are Not Passed As Infinity', async () => {
+    const message = "Decimal is too large to be converted to a number, use decimalOutput 'string' to receive it";
+    const ctx = new TestContext({ decimal: true });
+    await ctx.evaluate('let x = 1;\nreturn 1e400;');
+    expect(ctx.evalResult.errors).toEqual([{ message, line: 2, column: 1 }]);
+
+    await ctx.evaluate('io_put("small", 1);\nio_put("x", [1e400]);');
+    expect(ctx.evalResult.errors).toEqual([{ message, line: 2, column: 7 }]);
+    expect(ctx.jsonData).toEqual({ small: 1 });
+
+    const stringCtx = new TestContext({ decimal: true, decimalOutput: 'string' });
+    await stringCtx.evaluate('io_put("x", 1e400);\n-1e400;');
+    stringCtx.assertEvalSuccess();
+    stringCtx.assertEvalResult('-1' + '0'.repeat(400));
+    stringCtx.assertJsonData('x', '1' + '0'.repeat(400));
+  });
+
+  test('Round With Places And Modes', async () => {
+    const ctx = new TestContext({ decimal: true, decimalOutput: 'string' });
+    await ctx.evaluate(`
+      [
+        round(2.675, 2),
+        round(2.5),
+        round(-2.5),
+        round(2.5, 0, "half-even"),
+        round(3.5, 0, "half-even"),
+        round(2.5, 0, "half-down"),
+        round(1.21, 1, "up"),
+        round(1.29, 1, "down"),
+        round(-1.21, 1, "ceiling"),
+        round(-1.21, 1, "floor"),
+        round(1234.5, -2),
+        round(1 / 3, 4)
+      ];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([
+      '2.68', '3', '-3', '2', '4', '2', '1.3', '1.2', '-1.2', '-1.3', '1200', '0.3333'
+    ]);
+  });
+
+  test('Round Works On Numbers Without Decimal Mode', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('[round(2.675, 2), round(1.005, 2), round(-0.5), round(7)];');
+    ctx.assertEvalResult([2.68, 1.01, -1, 7]);
+  });
+
+  test('Round Argument Errors', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError('round("1.5");', 'round expects a number, got string');
+    await ctx.assertRuntimeError('round(1.5, 0.5);', 'round expects an integer number of places');
+    await ctx.assertRuntimeError(
+      'round(1.5, 0, "nearest");',
+      "Unknown rounding mode 'nearest', expected one of: half-up, half-down, half-even, up, down, ceiling, floor"
+    );
+  });
+});
@@ -0,0 +1,173 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for destructuring in let declarations and function parameters
+describe('Destructuring', () => {
+
+  test('Array Destructuring', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let arr = [1, 2, 3];
+      let [a, b] = arr;
+      [a, b];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([1, 2]);
+  });
+
+  test('Array Destructuring With Holes, Defaults And Rest', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let [first, , third = "none", ...others] = [1, 2];
+      let [head, ...tail] = [1, 2, 3, 4];
+      [first, third, others, head, tail];
+    `);
+    ctx.assertEvalResult([1, 'none', [], 1, [2, 3, 4]]);
+  });
+
+  test('Missing Array Items Without Default Are Null', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let [a, b] = [1];
+      b;
+    `);
+    ctx.assertEvalResult(null);
+  });
+
+  test('Object Destructuring With Renaming', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let rec = { id: 7, name: "Widget", price: 10 };
+      let { id, name: n } = rec;
+      [id, n];
+    `);
+    ctx.assertEvalResult([7, 'Widget']);
+  });
+
+  test('Object Destructuring With Defaults', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let { id, status = "new", owner: who = "nobody", note = "unused" } = { id: 1, note: null };
+      [id, status, who, note];
+    `);
+    ctx.assertEvalResult([1, 'new', 'nobody', null]);
+  });
+
+  test('Object Destructuring With String Keys', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let { "first-name": firstName } = { "first-name": "Ada" };
+      firstName;
+    `);
+    ctx.assertEvalResult('Ada');
+  });
+
+  test('Nested Destructuring', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let order = {
+        id: 42,
+        customer: { name: "Ann", address: { city: "Oslo" } },
+        items: [{ sku: "A1", qty: 2 }, { sku: "B2", qty: 1 }]
+      };
+      let { customer: { name, address: { city } }, items: [{ sku }, second] } = order;
+      [name, city, sku, second.qty];
+    `);
+    ctx.assertEvalResult(['Ann', 'Oslo', 'A1', 1]);
+  });
+
+  test('Defaults Can Refer To Earlier Bindings', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let [width, height = width * 2] = [5];
+      height;
+    `);
+    ctx.assertEvalResult(10);
+  });
+
+  test('Destructuring Records From io_get', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let { user: { id, roles: [primaryRole] } } = io_get("request");
+      io_put("summary", id + ":" + primaryRole);
+    `, { request: { user: { id: 'u1', roles: ['admin', 'dev'] } } });
+    ctx.assertEvalSuccess();
+    ctx.assertJsonData('summary', 'u1:admin');
+  });
+
+  test('Destructuring Function Parameters', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def describe({ name, tags: [firstTag = "untagged"] = [] }, [x, y] = [0, 0]) {
+        return name + "/" + firstTag + "@" + x + "," + y;
+      }
+      [describe({ name: "a" }), describe({ name: "b", tags: ["t"] }, [1, 2])];
+    `);
+    ctx.assertEvalResult(['a/untagged@0,0', 'b/t@1,2']);
+  });
+
+  test('Destructuring Parameters In Anonymous Function', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let getId = def({ id }) {
+        return id;
+      };
+      getId({ id: 5 });
+    `);
+    ctx.assertEvalResult(5);
+  });
+
+  test('Array Pattern Shape Mismatch', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`let data = { a: 1 };
+let [x, y] = data;`);
+    expect(ctx.evalResult.success).toBe(false);
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: 'Cannot destructure object as an array',
+      line: 2,
+      column: 5
+    });
+  });
+
+  test('Object Pattern Shape Mismatch', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError('let { id } = null;', 'Cannot destructure null as an object');
+    await ctx.assertRuntimeError('let { id } = [1, 2];', 'Cannot destructure array as an object');
+  });
+
+  test('Nested Pattern Shape Mismatch Points At Nested Pattern', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('let { items: [first] } = { items: "none" };');
+    expect(ctx.evalResult.success).toBe(false);
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: 'Cannot destructure string as an array',
+      line: 1,
+      column: 14
+    });
+  });
+
+  test('Parameter Pattern Shape Mismatch', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      def f({ id }) {
+        return id;
+      }
+      f(5);
+    `, 'Cannot destructure number as an object');
+  });
+
+  test('Destructuring Declaration Requires Initializer', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('let [a, b];', 'Destructuring declaration requires an initializer');
+  });
+
+  test('Rest Element Must Be Last', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('let [a, ...b, c] = [1, 2, 3];', 'Rest element must be last in an array pattern');
+  });
+
+  test('Invalid Pattern Target', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('let [a, 1] = [1, 2];', 'Expected variable name or destructuring pattern');
+    await ctx.assertParseError('let { 1 } = {};', 'Expected property name in object pattern');
+  });
+});
@@ -0,0 +1,186 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for structural equality, identity and ordering across types
+describe('Equality And Ordering', () => {
+
+  test('Arrays Are Equal By Contents', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      [
+        [1, 2] == [1, 2],
+        [1, [2, 3]] == [1, [2, 3]],
+        [1, 2] == [2, 1],
+        [1] == [1, 2],
+        [] == [],
+        [1, 2] != [1, 2]
+      ];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([true, true, false, false, true, false]);
+  });
+
+  test('Objects Are Equal By Keys And Values', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      [
+        { a: 1, b: { c: [1] } } == { b: { c: [1] }, a: 1 },
+        { a: 1 } == { a: 1, b: 2 },
+        { a: 1, b: 2 } == { a: 1 },
+        { a: null } == { b: null },
+        {} == [],
+        { a: 1 } != { a: 2 }
+      ];
+    `);
+    ctx.assertEvalResult([true, false, false, false, false, true]);
+  });
+
+  test('Records From io_get Compare By Value', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let before = io_get("before");
+      let after = io_get("after");
+      io_put("changed", before != after);
+      io_put("same", before == io_get("copy"));
+    `, {
+      before: { id: 1, tags: ['a', 'b'] },
+      after: { id: 1, tags: ['a', 'c'] },
+      copy: { tags: ['a', 'b'], id: 1 }
+    });
+    ctx.assertEvalSuccess();
+    ctx.assertJsonData('changed', true);
+    ctx.assertJsonData('same', true);
+  });
+
+  test('Values Of Different Types Are Never Equal', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('[1 == "1", 0 == false, null == 0, "" == null, [1] == 1, null == null];');
+    ctx.assertEvalResult([false, false, false, false, false, true]);
+  });
+
+  test('Missing Properties Equal Null', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let record = { id: 1 };
+      [record.name == null, record.name === null];
+    `);
+    ctx.assertEvalResult([true, true]);
+  });
+
+  test('Cyclic Structures', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let a = { name: "node" };
+      a.next = a;
+      let b = { name: "node" };
+      b.next = b;
+      let c = { name: "other" };
+      c.next = c;
+      let list = [1];
+      list[1] = list;
+      let other = [1];
+      other[1] = other;
+      [a == b, a == c, list == other, list < other];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([true, false, true, false]);
+  });
+
+  test('Identity Operator', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let a = [1, 2];
+      let b = [1, 2];
+      let alias = a;
+      [a === b, a === alias, a !== b, a == b, 2 === 2, "x" === "x", null !== null];
+    `);
+    ctx.assertEvalResult([false, true, true, true, true, true, false]);
+  });
+
+  test('Functions Are Only Equal To Themselves', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def make() {
+        return def() { return 1; };
+      }
+      let f = make();
+      [f == f, f == make(), [f] == [f]];
+    `);
+    ctx.assertEvalResult([true, false, true]);
+  });
+
+  test('Decimals Compare By Value', async () => {
+    const ctx = new TestContext({ decimal: true });
+    await ctx.evaluate('[[0.1 + 0.2] == [0.3], { price: 1.50 } == { price: 1.5 }, 1.50 === 1.5, [3.00] < [3.01]];');
+    ctx.assertEvalResult([true, true, true, true]);
+  });
+
+  test('Ordering Within A Type', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      [
+        2 < 10,
+        "10" < "9",
+        "apple" < "banana",
+        false < true,
+        null <= null,
+        [1, 2] < [1, 3],
+        [1, 2] < [1, 2, 0],
+        [2] > [1, 9],
+        [[1, "b"]] > [[1, "a"]]
+      ];
+    `);
+    ctx.assertEvalResult([true, true, true, true, true, true, true, true, true]);
+  });
+
+  test('Ordering Across Types Uses Type Rank', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      [
+        null < false,
+        true < 0,
+        1000 < "1",
+        "z" < [],
+        [] < {},
+        "10" > 9,
+        [null] < [0],
+        [1, "a"] < [1, 2]
+      ];
+    `);
+    // null < boolean < number < string < array < object
+    ctx.assertEvalResult([true, true, true, true, true, true, true, false]);
+  });
+
+  test('NaN Is Unordered', async () => {
+    const ctx = new TestContext()
+      .withLibraryFunction('not_a_number', () => NaN);
+    await ctx.evaluate(`
+      let n = not_a_number();
+      [n < 1, n > 1, n <= n, n >= n, n == n];
+    `);
+    ctx.assertEvalResult([false, false, false, false, false]);
+  });
+
+  test('Objects And Functions Cannot Be Ordered Against Each Other', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('let a = { x: 1 };\nlet b = a < { x: 2 };');
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: 'Cannot order two object values',
+      line: 2,
+      column: 11
+    });
+
+    const errorCtx = new ErrorTestContext();
+    await errorCtx.assertRuntimeError(`
+      def f() { return 1; }
+      f >= f;
+    `, 'Cannot order two function values');
+  });
+
+  test('Identity Operators In AST JSON', () => {
+    const ctx = new TestContext();
+    ctx.withCode('a === b; a !== b;').parse();
+    ctx.assertSuccess();
+    const operators = ctx.parseResult.ast.toJSON().statements.map(statement => statement.expression.operator);
+    expect(operators).toEqual(['===', '!==']);
+  });
+});
@@ -0,0 +1,163 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for the step, time and call depth budgets of a run
+describe('Execution Limits', () => {
+
+  test('Step Limit Stops An Endless Loop', async () => {
+    const ctx = new TestContext({ maxSteps: 1000 });
+    await ctx.evaluate('let i = 0;\nwhile (true) {}');
+    expect(ctx.evalResult.success).toBe(false);
+    expect(ctx.evalResult.errors).toEqual([
+      { message: 'Step limit of 1000 exceeded', line: 2, column: 1, limit: 'steps' }
+    ]);
+  });
+
+  test('Step Limit Is Reported Where The Budget Ran Out', async () => {
+    const ctx = new TestContext({ maxSteps: 4 });
+    await ctx.evaluate('let a = 1;\nlet b = 2;\nlet c = 3;\nlet d = 4;\nlet e = 5;');
+    expect(ctx.evalResult.errors[0]).toMatchObject({ line: 5, column: 1, limit: 'steps' });
+  });
+
+  test('Scripts Within The Step Limit Run Normally', async () => {
+    const ctx = new TestContext({ maxSteps: 100 });
+    await ctx.evaluate(`
+      let total = 0;
+      for (let i = 0; i < 10; i++) {
+        total += i;
+      }
+      total;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(45);
+  });
+
+  test('Every Loop Kind Counts Iterations', async () => {
+    const ctx = new ErrorTestContext({ maxSteps: 200 });
+    await ctx.assertRuntimeError('for (;;) {}', 'Step limit of 200 exceeded');
+    await ctx.assertRuntimeError('let i = 0; while (i < 1000) { i++; }', 'Step limit of 200 exceeded');
+    await ctx.assertRuntimeError('for (let i = 0; i < 1000; i++) { continue; }', 'Step limit of 200 exceeded');
+    await ctx.assertRuntimeError(
+      'let items = []; for (let i = 0; i < 100; i++) { items[i] = i; } for (let item in items) {}',
+      'Step limit of 200 exceeded'
+    );
+  });
+
+  test('Timeout', async () => {
+    const ctx = new TestContext({ timeout: 20 });
+    await ctx.evaluate('let n = 0;\nwhile (true) { n++; }');
+    expect(ctx.evalResult.success).toBe(false);
+    expect(ctx.evalResult.errors[0]).toMatchObject({
+      message: 'Time limit of 20 ms exceeded',
+      line: 2,
+      limit: 'timeout'
+    });
+  });
+
+  test('Timeout Covers Slow Async Host Functions', async () => {
+    const ctx = new TestContext({ timeout: 20 });
+    ctx.interpreter.registerFunction('wait', () => new Promise(resolve => setTimeout(resolve, 30)), true);
+    await ctx.evaluate('wait();\nconsole_put("after");');
+    expect(ctx.evalResult.errors[0]).toMatchObject({ line: 2, limit: 'timeout' });
+    expect(ctx.consoleOutput).toEqual([]);
+  });
+
+  test('Call Depth Limit Stops Runaway Recursion', async () => {
+    const ctx = new TestContext({ maxCallDepth: 50 });
+    await ctx.evaluate('def down(n) {\n  return down(n + 1);\n}\ndown(0);');
+    expect(ctx.evalResult.errors).toEqual([
+      { message: 'Maximum call depth of 50 exceeded', line: 2, column: 14, limit: 'callDepth' }
+    ]);
+  });
+
+  test('Recursion Within The Call Depth Limit', async () => {
+    const ctx = new TestContext({ maxCallDepth: 50 });
+    await ctx.evaluate(`
+      def depth(n) {
+        if (n == 0) { return 0; }
+        return 1 + depth(n - 1);
+      }
+      [depth(49), depth(10)];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([49, 10]);
+  });
+
+  test('Infinite Recursion Has A Default Limit', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError('def loop() { return loop(); } loop();', 'Maximum call depth of 10000 exceeded');
+  });
+
+  test('Limits Cannot Be Caught', async () => {
+    const ctx = new TestContext({ maxSteps: 100 });
+    await ctx.evaluate(`
+      try {
+        while (true) {}
+      } catch (e) {
+        console_put("caught");
+      } finally {
+        console_put("finally");
+      }
+      console_put("after");
+    `);
+    expect(ctx.evalResult.success).toBe(false);
+    expect(ctx.evalResult.errors[0].limit).toBe('steps');
+    expect(ctx.consoleOutput).toEqual([]);
+  });
+
+  test('Limits Hit In A Catch Block Skip The Finally Block', async () => {
+    for (const backend of ['ast', 'vm']) {
+      const ctx = new TestContext({ backend, maxSteps: 100 });
+      await ctx.evaluate(`
+        try {
+          throw "failed";
+        } catch (e) {
+          console_put("caught");
+          while (true) {}
+        } finally {
+          console_put("finally");
+        }
+      `);
+      expect(ctx.evalResult.errors[0].limit).toBe('steps');
+      expect(ctx.consoleOutput).toEqual(['caught']);
+    }
+  });
+
+  test('Recursion Limit Cannot Be Caught Inside The Recursion', async () => {
+    const ctx = new TestContext({ maxCallDepth: 20 });
+    await ctx.evaluate(`
+      def dive(n) {
+        try {
+          return dive(n + 1);
+        } catch (e) {
+          return n;
+        }
+      }
+      dive(0);
+    `);
+    expect(ctx.evalResult.errors[0].limit).toBe('callDepth');
+  });
+
+  test('Budgets Apply To Imported Modules', async () => {
+    const ctx = new TestContext({
+      maxSteps: 100,
+      resolveModule: () => 'export def spin() { while (true) {} }'
+    });
+    await ctx.evaluate('import { spin } from "spinner";\nspin();');
+    // The position is the loop in the module source
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: 'Step limit of 100 exceeded',
+      line: 1,
+      column: 21,
+      limit: 'steps'
+    });
+  });
+
+  test('Each Run Gets A Fresh Budget', async () => {
+    const ctx = new TestContext({ maxSteps: 30 });
+    for (let run = 0; run < 3; run++) {
+      await ctx.evaluate('let total = 0; for (let i = 0; i < 5; i++) { total += i; } total;');
+      ctx.assertEvalSuccess();
+      ctx.assertEvalResult(10);
+    }
+  });
+});
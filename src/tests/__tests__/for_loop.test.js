@@ -0,0 +1,194 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for C-style for loops and for-in collection loops
+describe('For Loops', () => {
+  
+  test('C-Style For Loop', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let sum = 0;
+      for (let i = 0; i < 5; i = i + 1) {
+        sum = sum + i;
+      }
+      sum;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(10);
+  });
+  
+  test('Loop Variable Is Scoped To The Loop', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      for (let i = 0; i < 3; i = i + 1) {
+      }
+      i;
+    `, "Undefined variable 'i'");
+  });
+  
+  test('Loop Variable Shadows Outer Variable', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let i = 100;
+      let count = 0;
+      for (let i = 0; i < 3; i = i + 1) {
+        count = count + 1;
+      }
+      [i, count];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([100, 3]);
+  });
+  
+  test('For Loop With Existing Variable And Empty Clauses', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let i = 0;
+      for (; i < 4;) {
+        i = i + 1;
+      }
+      i;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(4);
+  });
+  
+  test('For Loop Initializer Assignment', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let i = 10;
+      let total = 0;
+      for (i = 0; i < 3; i = i + 1) {
+        total = total + i;
+      }
+      [i, total];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([3, 3]);
+  });
+  
+  test('Return From Inside For Loop', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def findIndex(arr, value) {
+        for (let i = 0; i < arr.length; i = i + 1) {
+          if (arr[i] == value) {
+            return i;
+          }
+        }
+        return -1;
+      }
+      [findIndex([5, 6, 7], 7), findIndex([5, 6, 7], 8)];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([2, -1]);
+  });
+  
+  test('For-In Over Array', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let total = 0;
+      for (item in io_get("items")) {
+        total = total + item.price;
+      }
+      total;
+    `, { items: [{ price: 2 }, { price: 3 }, { price: 5 }] });
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(10);
+  });
+  
+  test('For-In Over Object Keys', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let record = { a: 1, b: 2 };
+      let keys = "";
+      for (let key in record) {
+        keys = keys + key + "=" + record[key] + ";";
+      }
+      keys;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('a=1;b=2;');
+  });
+  
+  test('For-In Over String Characters', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let reversed = "";
+      for (ch in "abc") {
+        reversed = ch + reversed;
+      }
+      reversed;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('cba');
+  });
+  
+  test('For-In Closures Capture Each Item', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let getters = [];
+      let n = 0;
+      for (x in [1, 2, 3]) {
+        getters[n] = def() { return x * 10; };
+        n = n + 1;
+      }
+      [getters[0](), getters[2]()];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([10, 30]);
+  });
+  
+  test.each(['ast', 'vm'])('For Loop Closures Capture Each Iteration (%s backend)', async (backend) => {
+    const ctx = new TestContext({ backend });
+    await ctx.evaluate(`
+      let getters = [];
+      for (let i = 0; i < 3; i++) {
+        getters[i] = def() { return i; };
+        if (i == 1) { continue; }
+      }
+      let counters = [];
+      for (let i = 0; i < 2; i++) {
+        counters[i] = def() { i += 10; return i; };
+      }
+      [getters[0](), getters[1](), getters[2](), counters[0](), counters[0](), counters[1]()];
+    `);
+    ctx.assertEvalResult([0, 1, 2, 10, 20, 11]);
+  });
+
+  test('Return From Inside For-In Loop', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def firstNegative(values) {
+        for (v in values) {
+          if (v < 0) {
+            return v;
+          }
+        }
+        return null;
+      }
+      firstNegative([3, -2, -5]);
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(-2);
+  });
+  
+  test('For-In Over Non-Collection', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      for (x in 42) {
+      }
+    `, 'Cannot iterate over 42');
+  });
+  
+  test('For Loop AST Nodes', async () => {
+    const ctx = new TestContext();
+    ctx.withCode('for (let i = 0; i < 1; i = i + 1) { for (x in [1]) { } }').parse();
+    ctx.assertContainsNodeType('ForStatement');
+    ctx.assertContainsNodeType('ForInStatement');
+  });
+  
+  test('Missing Semicolon In For Header', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('for (let i = 0; i < 3 i = i + 1) { }', 'Expected next token to be ;');
+  });
+});
@@ -0,0 +1,260 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for default and rest parameters, spread arguments and arity checks
+describe('Function Parameters', () => {
+
+  test('Default Parameter Values', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def greet(name, greeting = "Hello") {
+        return greeting + ", " + name;
+      }
+      [greet("Ann"), greet("Bob", "Hi")];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(['Hello, Ann', 'Hi, Bob']);
+  });
+
+  test('Default Is Not Used For Explicit Null', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def f(x = 5) {
+        return x;
+      }
+      [f(), f(null)];
+    `);
+    ctx.assertEvalResult([5, null]);
+  });
+
+  test('Default Can Refer To Earlier Parameters', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def area(width, height = width) {
+        return width * height;
+      }
+      [area(3), area(3, 4)];
+    `);
+    ctx.assertEvalResult([9, 12]);
+  });
+
+  test('Default Is Evaluated On Each Call', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let calls = 0;
+      def next() {
+        calls += 1;
+        return calls;
+      }
+      def f(x = next()) {
+        return x;
+      }
+      [f(), f(10), f()];
+    `);
+    ctx.assertEvalResult([1, 10, 2]);
+  });
+
+  test('Missing Parameter Without Default Is Null', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def f(a, b) {
+        return b;
+      }
+      f(1);
+    `);
+    ctx.assertEvalResult(null);
+  });
+
+  test('Rest Parameter Collects Remaining Arguments', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def collect(first, ...rest) {
+        return [first, rest];
+      }
+      [collect(1), collect(1, 2, 3)];
+    `);
+    ctx.assertEvalResult([[1, []], [1, [2, 3]]]);
+  });
+
+  test('Rest Parameter In Anonymous Function', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let sum = def(...numbers) {
+        let total = 0;
+        for (let n in numbers) {
+          total += n;
+        }
+        return total;
+      };
+      sum(1, 2, 3, 4);
+    `);
+    ctx.assertEvalResult(10);
+  });
+
+  test('Spread Arguments At Call Site', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def add3(a, b, c) {
+        return a + b + c;
+      }
+      let rest = [2, 3];
+      [add3(...[1, 2, 3]), add3(1, ...rest), add3(...[1], 5, ...[10])];
+    `);
+    ctx.assertEvalResult([6, 6, 16]);
+  });
+
+  test('Spread Arguments Into Library Function', async () => {
+    const ctx = new TestContext()
+      .withLibraryFunction('max', (...args) => {
+        // Flatten argument array if needed
+        const values = Array.isArray(args[0]) ? args[0] : args;
+        return Math.max(...values);
+      });
+    await ctx.evaluate(`
+      let values = [3, 9, 4];
+      max(...values, 1);
+    `);
+    ctx.assertEvalResult(9);
+  });
+
+  test('Spread Of Non-Array Value', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      def f(a) {
+        return a;
+      }
+      f(...5);
+    `, 'Cannot spread non-array value: 5');
+  });
+
+  test('Extra Arguments Are Ignored By Default', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def f(a) {
+        return a;
+      }
+      f(1, 2, 3);
+    `);
+    ctx.assertEvalResult(1);
+  });
+
+  test('Strict Arity Reports Extra Arguments', async () => {
+    const ctx = new TestContext({ strictArity: true });
+    await ctx.evaluate(`def f(a, b = 2) {
+  return a + b;
+}
+f(1, 2, 3);`);
+    expect(ctx.evalResult.success).toBe(false);
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: "Function 'f' expects at most 2 arguments but got 3",
+      line: 4,
+      column: 2
+    });
+  });
+
+  test('Strict Arity Counts Spread Arguments', async () => {
+    const ctx = new ErrorTestContext({ strictArity: true });
+    await ctx.assertRuntimeError(`
+      let f = def(x) {
+        return x;
+      };
+      f(...[1, 2]);
+    `, 'Function expects at most 1 argument but got 2');
+  });
+
+  test('Strict Arity Allows Fewer Arguments And Rest Parameters', async () => {
+    const ctx = new TestContext({ strictArity: true });
+    await ctx.evaluate(`
+      def f(a, b) {
+        return a;
+      }
+      def g(...items) {
+        return items;
+      }
+      [f(1), g(1, 2, 3, 4)];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([1, [1, 2, 3, 4]]);
+  });
+
+  test('Named Arguments', async () => {
+    for (const backend of ['ast', 'vm']) {
+      const ctx = new TestContext({ backend, strictArity: true });
+      await ctx.evaluate(`
+        def box(width, height = 1, depth = height) {
+          return [width, height, depth];
+        }
+        let pick = def([first], key, ...rest) { return [first, key, rest]; };
+        [box(2, depth: 3), box(depth: 4, width: 5), box(height: 7), box(...[1, 2], depth: 0), pick([6], key: "k")];
+      `);
+      ctx.assertEvalSuccess();
+      ctx.assertEvalResult([[2, 1, 3], [5, 1, 4], [null, 7, 7], [1, 2, 0], [6, 'k', []]]);
+    }
+  });
+
+  test('Named Argument Errors', async () => {
+    for (const backend of ['ast', 'vm']) {
+      const ctx = new ErrorTestContext({ backend });
+      await ctx.assertRuntimeError('def f(a, b) { return a; }\nf(size: 1);', "Function 'f' has no parameter named 'size'");
+      await ctx.assertRuntimeError('def f(a, b) { return a; }\nf(1, a: 2);', "Argument 'a' is passed both by position and by name");
+      await ctx.assertRuntimeError('def f(a, ...rest) { return a; }\nf(rest: [1]);', "Function 'f' has no parameter named 'rest'");
+      await ctx.assertRuntimeError('console_put(message: "x");', "Function 'console_put' does not accept named arguments");
+      await ctx.assertRuntimeError('"abc".slice(start: 1);', "Function 'slice' does not accept named arguments");
+    }
+
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('f(a: 1, 2);', 'Positional arguments must come before named arguments');
+    await ctx.assertParseError('f(a: 1, a: 2);', "Argument 'a' is passed more than once");
+  });
+
+  test('Parameters In AST JSON', () => {
+    const ctx = new TestContext();
+    ctx.withCode('def f(a, b = 1, ...rest) { return a; }').parse();
+    ctx.assertSuccess();
+    const [declaration] = ctx.parseResult.ast.toJSON().statements;
+    expect(declaration.parameters.map(({ name, rest }) => ({ name, rest }))).toEqual([
+      { name: 'a', rest: false },
+      { name: 'b', rest: false },
+      { name: 'rest', rest: true }
+    ]);
+    expect(declaration.parameters[0].defaultValue).toBeNull();
+    expect(declaration.parameters[1].defaultValue).toMatchObject({ type: 'NumberLiteral', value: 1 });
+  });
+
+  test('Spread In AST JSON', () => {
+    const ctx = new TestContext();
+    ctx.withCode('f(...args);').parse();
+    ctx.assertSuccess();
+    const [statement] = ctx.parseResult.ast.toJSON().statements;
+    expect(statement.expression.arguments[0]).toMatchObject({
+      type: 'SpreadElement',
+      argument: { type: 'Identifier', name: 'args' }
+    });
+  });
+
+  test('Named Argument In AST JSON', () => {
+    const ctx = new TestContext();
+    ctx.withCode('f(1, b: 2);').parse();
+    ctx.assertSuccess();
+    const [statement] = ctx.parseResult.ast.toJSON().statements;
+    expect(statement.expression.arguments[1]).toMatchObject({
+      type: 'NamedArgument',
+      name: 'b',
+      value: { type: 'NumberLiteral', value: 2 }
+    });
+  });
+
+  test('Rest Parameter Must Be Last', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('def f(...items, last) { return 1; }', 'Rest parameter must be the last parameter');
+  });
+
+  test('Rest Parameter Cannot Have Default', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('def f(...items = []) { return 1; }', 'Rest parameter cannot have a default value');
+  });
+
+  test('Invalid Parameter Name', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('def f(a, 1) { return 1; }', 'Expected parameter name');
+  });
+});
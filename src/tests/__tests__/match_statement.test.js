@@ -0,0 +1,204 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for the match statement and its patterns
+describe('Match Statement', () => {
+
+  test('Literal Patterns With Alternatives', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def size(n) {
+        match (n) {
+          case 1, 2 => return "small";
+          case 3 => return "medium";
+          else => return "large";
+        }
+      }
+      [size(1), size(2), size(3), size(10)];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(['small', 'small', 'medium', 'large']);
+  });
+
+  test('String, Boolean, Null And Negative Literals', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def kind(v) {
+        match (v) {
+          case "yes", true => return "positive";
+          case "no", false => return "negative";
+          case null => return "missing";
+          case -1 => return "minus one";
+          else => return "unknown";
+        }
+      }
+      [kind("yes"), kind(true), kind(false), kind(null), kind(-1), kind(1)];
+    `);
+    ctx.assertEvalResult(['positive', 'positive', 'negative', 'missing', 'minus one', 'unknown']);
+  });
+
+  test('Literal Patterns Do Not Coerce', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      match ("1") {
+        case 1 => "number";
+        else => "string";
+      }
+    `);
+    ctx.assertEvalResult('string');
+  });
+
+  test('Array Patterns Bind Variables', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def describe(v) {
+        match (v) {
+          case [] => return "empty";
+          case [x] => return "one: " + x;
+          case [x, y] => return "two: " + (x + y);
+          case [0, ...rest] => return "zero then " + rest;
+          else => return "many";
+        }
+      }
+      [describe([]), describe([4]), describe([1, 2]), describe([0, 5, 6]), describe([1, 2, 3]), describe("ab")];
+    `);
+    ctx.assertEvalResult(['empty', 'one: 4', 'two: 3', 'zero then [5,6]', 'many', 'many']);
+  });
+
+  test('Object Patterns Match Present Properties', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def handle(msg) {
+        match (msg) {
+          case { type: "a" } => return "type a";
+          case { type: "b", id } => return "b with id " + id;
+          case { type: "c", payload: { items: [first, ...others] } } => return first + others.length;
+          case { type } => return "unknown type " + type;
+          else => return "not a message";
+        }
+      }
+      [
+        handle({ type: "a", extra: true }),
+        handle({ type: "b", id: 7 }),
+        handle({ type: "b" }),
+        handle({ type: "c", payload: { items: ["x", "y", "z"] } }),
+        handle([1]),
+        handle(null)
+      ];
+    `);
+    ctx.assertEvalResult(['type a', 'b with id 7', 'unknown type b', 'x2', 'not a message', 'not a message']);
+  });
+
+  test('Wildcard Pattern', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      match ([1, 2]) {
+        case [_, 2] => "second is two";
+        else => "no";
+      }
+    `);
+    ctx.assertEvalResult('second is two');
+  });
+
+  test('Block Bodies And Statement Results', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      match ({ kind: "sum", values: [1, 2, 3] }) {
+        case { kind: "sum", values } => {
+          let total = 0;
+          for (let v in values) {
+            total += v;
+          }
+          io_put("total", total);
+        }
+        else => io_put("total", null);
+      }
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertJsonData('total', 6);
+  });
+
+  test('No Matching Arm Yields Null', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      match (5) {
+        case 1 => "one";
+      }
+    `);
+    ctx.assertEvalResult(null);
+  });
+
+  test('Bindings Are Scoped To The Arm', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      match ([1]) {
+        case [inner] => inner;
+      }
+      inner;
+    `, "Undefined variable 'inner'");
+  });
+
+  test('Arms Can Assign Outer Variables', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let label = "none";
+      match (2) {
+        case 2 => label = "two";
+      }
+      label;
+    `);
+    ctx.assertEvalResult('two');
+  });
+
+  test('Break Inside Match Leaves The Enclosing Loop', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let sum = 0;
+      for (let i = 0; i < 10; i++) {
+        match (i) {
+          case 4 => break;
+          case 1 => continue;
+          else => sum += i;
+        }
+      }
+      sum;
+    `);
+    ctx.assertEvalResult(5); // 0 + 2 + 3
+  });
+
+  test('Match AST JSON', () => {
+    const ctx = new TestContext();
+    ctx.withCode('match (x) { case 1, [a] => a; else => 0; }').parse();
+    ctx.assertSuccess();
+    const [statement] = ctx.parseResult.ast.toJSON().statements;
+    expect(statement.type).toBe('MatchStatement');
+    expect(statement.arms).toHaveLength(2);
+    expect(statement.arms[0].patterns.map(p => p.type)).toEqual(['LiteralPattern', 'ArrayMatchPattern']);
+    expect(statement.arms[1].isDefault).toBe(true);
+  });
+
+  test('Else Arm Must Be Last', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError(`
+      match (1) {
+        else => 0;
+        case 1 => 1;
+      }
+    `, "The 'else' arm must be the last arm of a match statement");
+  });
+
+  test('Arm Must Start With Case Or Else', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('match (1) { 1 => 1; }', "Expected 'case' or 'else' in match statement");
+  });
+
+  test('Arm Requires Arrow', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('match (1) { case 1 { 1; } }', 'Expected next token to be =>');
+  });
+
+  test('Invalid Pattern', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('match (1) { case 1 + 2 => 1; }', 'Expected next token to be =>');
+    await ctx.assertParseError('match (1) { case (1) => 1; }', 'Expected pattern');
+  });
+});
@@ -0,0 +1,142 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for assignments to object properties and array elements
+describe('Member And Index Assignment', () => {
+  
+  test('Assign Object Property', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let obj = { a: 1 };
+      obj.a = 2;
+      obj.b = 3;
+      obj;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult({ a: 2, b: 3 });
+  });
+  
+  test('Assign Array Element', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let arr = [1, 2, 3];
+      let i = 1;
+      arr[i] = 20;
+      arr[3] = 4;
+      arr;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([1, 20, 3, 4]);
+  });
+  
+  test('Assign Computed Object Key', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let obj = {};
+      let key = "dyn";
+      obj[key + "amic"] = true;
+      obj;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult({ dynamic: true });
+  });
+  
+  test('Assign Nested Targets', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let data = { rows: [{ cells: [0, 0] }, { cells: [0, 0] }] };
+      data.rows[1].cells[0] = "x";
+      data["rows"][0].cells[1] = "y";
+      data;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult({ rows: [{ cells: [0, 'y'] }, { cells: ['x', 0] }] });
+  });
+  
+  test('Mutate Record From io_get', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let record = io_get("record");
+      record.status = "done";
+      io_put("record", record);
+    `, { record: { id: 7, status: "new" } });
+    ctx.assertEvalSuccess();
+    ctx.assertJsonData('record', { id: 7, status: 'done' });
+  });
+  
+  test('Assignment Inside Function Mutates Shared Object', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def mark(item) {
+        item.seen = true;
+      }
+      let item = { seen: false };
+      mark(item);
+      item.seen;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(true);
+  });
+  
+  test('Assignment To Property Of Null', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      let obj = null;
+      obj.a = 1;
+    `, "Cannot set property 'a' of null");
+  });
+  
+  test('Assignment To Property Of Non-Container', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      let n = 5;
+      n.a = 1;
+    `, 'non-container');
+  });
+  
+  test('Assignment To Invalid Array Index', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      let arr = [1, 2];
+      arr[5] = 1;
+    `, 'Invalid array index');
+  });
+  
+  test('Numeric String Indexes Read And Write The Same Element', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let arr = [1, 2];
+      arr["0"] = 5;
+      arr["2"] = 7;
+      arr["1"] += 1;
+      [arr, arr["0"], arr["2"]];
+    `);
+    ctx.assertEvalResult([[5, 3, 7], 5, 7]);
+
+    const errorCtx = new ErrorTestContext();
+    await errorCtx.assertRuntimeError('let arr = [1];\narr["-1"] = 2;', 'Invalid array index -1');
+    await errorCtx.assertRuntimeError('let arr = [1];\narr["1.5"] = 2;', 'Invalid array index 1.5');
+  });
+
+  test('Index Strings With Leading Zeros Are Not Indexes', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('let arr = [1, 2, 3, 4, 5, 6, 7, 8];\n[arr["01"], arr["007"], arr["1"]];');
+    ctx.assertEvalResult([null, null, 2]);
+
+    const errorCtx = new ErrorTestContext();
+    await errorCtx.assertRuntimeError('let arr = [1, 2];\narr["01"] = 5;', 'Invalid array index 01');
+    await errorCtx.assertRuntimeError('let arr = [1, 2];\narr["007"] = 5;', 'Invalid array index 007');
+  });
+  
+  test('Runtime Error Carries Position', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`let obj = null;
+obj.a = 1;`);
+    ctx.assertEvalFailure();
+    expect(ctx.evalResult.errors[0].line).toBe(2);
+  });
+  
+  test('Invalid Assignment Target', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('f() = 1;', 'Invalid assignment target');
+  });
+});
@@ -0,0 +1,242 @@
+import { ModuleLoader } from '../../interpreter/modules.js';
+import { EvaluationContext } from '../../interpreter/runtime.js';
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Build interpreter options whose resolver serves modules from a map
+const withModules = (modules, requested = []) => ({
+  resolveModule: (name) => {
+    requested.push(name);
+    return name in modules ? modules[name] : null;
+  }
+});
+
+// Test cases for import/export and the module resolver
+describe('Modules', () => {
+
+  test('Import Exported Functions And Variables', async () => {
+    const ctx = new TestContext(withModules({
+      math: `
+        export def add(a, b) {
+          return a + b;
+        }
+        export let TEN = 10;
+      `
+    }));
+    await ctx.evaluate(`
+      import { add, TEN } from "math";
+      add(TEN, 5);
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(15);
+  });
+
+  test('Import With Alias', async () => {
+    const ctx = new TestContext(withModules({
+      strings: 'export def greet(name) { return "Hello, " + name; }'
+    }));
+    await ctx.evaluate(`
+      import { greet as hello } from "strings";
+      hello("World");
+    `);
+    ctx.assertEvalResult('Hello, World');
+  });
+
+  test('Exported Function Uses Module Private Helpers', async () => {
+    const ctx = new TestContext(withModules({
+      util: `
+        let factor = 3;
+        def scale(x) {
+          return x * factor;
+        }
+        export def triple(x) {
+          return scale(x);
+        }
+      `
+    }));
+    await ctx.evaluate(`
+      import { triple } from "util";
+      triple(4);
+    `);
+    ctx.assertEvalResult(12);
+  });
+
+  test('Async Resolver', async () => {
+    const ctx = new TestContext({
+      resolveModule: async (name) => `export let moduleName = "${name}";`
+    });
+    await ctx.evaluate(`
+      import { moduleName } from "remote";
+      moduleName;
+    `);
+    ctx.assertEvalResult('remote');
+  });
+
+  test('Modules Share Library Functions And I/O', async () => {
+    const ctx = new TestContext(withModules({
+      store: `
+        export def save(value) {
+          io_put("saved", value);
+          console_put("saved " + value);
+        }
+      `
+    }));
+    await ctx.evaluate(`
+      import { save } from "store";
+      save(42);
+    `);
+    ctx.assertJsonData('saved', 42);
+    ctx.assertConsoleContains('saved 42');
+  });
+
+  test('Module Is Evaluated Once Per Run', async () => {
+    const requested = [];
+    const ctx = new TestContext(withModules({
+      counter: `
+        console_put("loading counter");
+        export let start = 1;
+      `,
+      a: 'import { start } from "counter"; export let a = start + 1;',
+      b: 'import { start } from "counter"; export let b = start + 2;'
+    }, requested));
+    await ctx.evaluate(`
+      import { a } from "a";
+      import { b } from "b";
+      import { start } from "counter";
+      [a, b, start];
+    `);
+    ctx.assertEvalResult([2, 3, 1]);
+    expect(ctx.consoleOutput).toEqual(['loading counter']);
+    expect(requested).toEqual(['a', 'counter', 'b']);
+
+    // A new run starts with an empty module cache
+    await ctx.evaluate();
+    expect(ctx.consoleOutput).toEqual(['loading counter']);
+    expect(requested).toEqual(['a', 'counter', 'b', 'a', 'counter', 'b']);
+  });
+
+  test('Circular Import Is Reported At Importing Line', async () => {
+    const ctx = new TestContext(withModules({
+      a: 'import { b } from "b";\nexport def a() { return 1; }',
+      b: 'import { a } from "a";\nexport def b() { return 2; }'
+    }));
+    await ctx.evaluate(`let x = 1;
+import { a } from "a";`);
+    expect(ctx.evalResult.success).toBe(false);
+    const [error] = ctx.evalResult.errors;
+    expect(error.message).toContain('Circular import: a -> b -> a');
+    expect(error.line).toBe(2);
+    expect(error.column).toBe(1);
+  });
+
+  test('Missing Module', async () => {
+    const ctx = new ErrorTestContext(withModules({}));
+    await ctx.assertRuntimeError('import { x } from "missing";', "Cannot find module 'missing'");
+  });
+
+  test('Missing Export', async () => {
+    const ctx = new TestContext(withModules({
+      lib: 'def internal() { return 1; }\nexport let visible = 2;'
+    }));
+    await ctx.evaluate(`
+      import { internal } from "lib";`);
+    expect(ctx.evalResult.success).toBe(false);
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: "Module 'lib' has no export named 'internal'",
+      line: 2,
+      column: 7
+    });
+  });
+
+  test('Syntax Error In Module Points At Import', async () => {
+    const ctx = new TestContext(withModules({
+      broken: 'export let ok = 1;\nlet = 2;'
+    }));
+    await ctx.evaluate(`
+import { ok } from "broken";`);
+    expect(ctx.evalResult.success).toBe(false);
+    const [error] = ctx.evalResult.errors;
+    expect(error.message).toContain("Error in module 'broken' at 2:5");
+    expect(error.line).toBe(2);
+  });
+
+  test('Runtime Error In Module Points At Import', async () => {
+    const ctx = new TestContext(withModules({
+      failing: 'export let value = 1 / 0;'
+    }));
+    await ctx.evaluate(`
+import { value } from "failing";`);
+    expect(ctx.evalResult.success).toBe(false);
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: "Error in module 'failing' at 1:22: Division by zero",
+      line: 2,
+      column: 1
+    });
+  });
+
+  test('Failed Module Is Not Evaluated Again', async () => {
+    const requested = [];
+    const { resolveModule } = withModules({
+      failing: 'record("loading failing");\nexport let value = 1 / 0;'
+    }, requested);
+    const records = [];
+    const rootContext = new EvaluationContext();
+    rootContext.registerFunction('record', ([message]) => records.push(message));
+    const loader = new ModuleLoader(resolveModule, rootContext);
+
+    const first = await loader.load('failing', { line: 2, column: 1 }).catch(error => error);
+    const second = await loader.load('failing', { line: 5, column: 3 }).catch(error => error);
+    expect(first.message).toBe("Error in module 'failing' at 2:22: Division by zero");
+    expect(second.message).toBe(first.message);
+    expect([first.line, first.column, second.line, second.column]).toEqual([2, 1, 5, 3]);
+    expect(records).toEqual(['loading failing']);
+    expect(requested).toEqual(['failing']);
+  });
+
+  test('Imported Bindings Are Constant', async () => {
+    const modules = withModules({
+      config: 'export let limit = 10;\nexport def check() { return limit; }'
+    });
+    const ctx = new ErrorTestContext(modules);
+    await ctx.assertParseError('import { limit } from "config";\nlimit = 3;', "Cannot assign to constant 'limit'");
+    await ctx.assertRuntimeError(
+      'import { check as c } from "config";\ndef replace() { c = 3; }\nreplace();',
+      "Cannot assign to constant 'c'"
+    );
+  });
+
+  test('Resolver Failure', async () => {
+    const ctx = new ErrorTestContext({
+      resolveModule: () => { throw new Error('network down'); }
+    });
+    await ctx.assertRuntimeError('import { x } from "remote";', "Cannot resolve module 'remote': network down");
+  });
+
+  test('Import Without Resolver', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError('import { x } from "lib";', 'no module resolver configured');
+  });
+
+  test('Import Must Be At Top Level', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError(`
+      def f() {
+        import { x } from "lib";
+      }
+    `, "'import' is only allowed at the top level");
+  });
+
+  test('Export Must Be At Top Level', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('if (true) { export let x = 1; }', "'export' is only allowed at the top level");
+  });
+
+  test('Export Requires A Named Declaration', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('export 42;', "Expected named function or variable declaration after 'export'");
+  });
+
+  test('Import Requires From Clause', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('import { x } "lib";', "Expected 'from' after import list");
+  });
+});
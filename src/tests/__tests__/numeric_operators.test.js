@@ -0,0 +1,131 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for number literal forms and the exponent, integer division and bitwise operators
+describe('Numeric Literals And Operators', () => {
+
+  test('Exponent Notation', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('[1e6, 2.5E3, 1.5e-3, 3e+2];');
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([1000000, 2500, 0.0015, 300]);
+  });
+
+  test('Hexadecimal, Binary And Octal Literals', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('[0xFF, 0Xff, 0b1010, 0B11, 0o17];');
+    ctx.assertEvalResult([255, 255, 10, 3, 15]);
+  });
+
+  test('Digit Separators', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('[1_000_000, 0xFF_FF, 0b1111_0000, 1_000.000_1, 1e1_0];');
+    ctx.assertEvalResult([1000000, 65535, 240, 1000.0001, 1e10]);
+  });
+
+  test('Number Literal Values In AST JSON', () => {
+    const ctx = new TestContext();
+    ctx.withCode('0x1F;').parse();
+    ctx.assertSuccess();
+    const [statement] = ctx.parseResult.ast.toJSON().statements;
+    expect(statement.expression).toMatchObject({ type: 'NumberLiteral', value: 31 });
+  });
+
+  test('Misplaced Digit Separators', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('1__000;', "Numeric separator '_' is only allowed between digits");
+    await ctx.assertParseError('0x_FF;', "Numeric separator '_' is only allowed between digits");
+    await ctx.assertParseError('let x = 1_;', "Numeric separator '_' is only allowed between digits");
+  });
+
+  test('Malformed Number Literals', async () => {
+    const ctx = new TestContext();
+    ctx.withCode('let x = 0x;').parse();
+    expect(ctx.parseResult.errors[0]).toEqual({
+      message: "Expected digits after '0x' in number literal",
+      line: 1,
+      column: 9
+    });
+
+    const errorCtx = new ErrorTestContext();
+    await errorCtx.assertParseError('0b102;', "Invalid character '2' in number literal");
+    await errorCtx.assertParseError('1e;', "Invalid character 'e' in number literal");
+    await errorCtx.assertParseError('12px;', "Invalid character 'p' in number literal");
+  });
+
+  test('Exponent Operator', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('[2 ** 10, 2 ** 0.5 * 2 ** 0.5, 4 ** -1];');
+    ctx.assertEvalResult([1024, 2.0000000000000004, 0.25]);
+  });
+
+  test('Exponent Is Right-Associative And Binds Tighter Than Prefix Operators', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let x = 3;
+      [2 ** 3 ** 2, -2 ** 2, (-2) ** 2, 2 * 3 ** 2, ++x ** 2, x];
+    `);
+    ctx.assertEvalResult([512, -4, 4, 18, 16, 4]);
+  });
+
+  test('Integer Division Rounds Down', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('[7 ~/ 2, -7 ~/ 2, 6 ~/ 3, 7.5 ~/ 2, 1 + 9 ~/ 2];');
+    ctx.assertEvalResult([3, -4, 2, 3, 5]);
+  });
+
+  test('Integer Division By Zero', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('let n = 0;\nlet q = 10 ~/ n;');
+    expect(ctx.evalResult.success).toBe(false);
+    expect(ctx.evalResult.errors[0]).toEqual({ message: 'Division by zero', line: 2, column: 12 });
+  });
+
+  test('Bitwise Operators', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('[6 & 3, 6 | 3, 6 ^ 3, ~5, 1 << 4, 256 >> 4, -16 >> 2, 0xF0 | 0x0F];');
+    ctx.assertEvalResult([2, 7, 5, -6, 16, 16, -4, 255]);
+  });
+
+  test('Bitwise Precedence', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let flags = 5;
+      [
+        flags & 1 == 1,
+        1 | 2 ^ 3 & 4,
+        1 + 2 << 1,
+        1 << 2 + 1,
+        ~1 + 1,
+        1 < 2 | 0
+      ];
+    `);
+    // 1 | (2 ^ (3 & 4)) and (1 + 2) << 1 and 1 << (2 + 1) and 1 < (2 | 0)
+    ctx.assertEvalResult([true, 3, 6, 8, -1, true]);
+  });
+
+  test('Operators In AST JSON', () => {
+    const ctx = new TestContext();
+    ctx.withCode('a | b & c ** d ** e;').parse();
+    ctx.assertSuccess();
+    const [statement] = ctx.parseResult.ast.toJSON().statements;
+    expect(statement.expression).toMatchObject({
+      operator: '|',
+      left: { name: 'a' },
+      right: {
+        operator: '&',
+        left: { name: 'b' },
+        right: {
+          operator: '**',
+          left: { name: 'c' },
+          right: { operator: '**', left: { name: 'd' }, right: { name: 'e' } }
+        }
+      }
+    });
+  });
+
+  test('Logical Operators Still Use Double Characters', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('[true && false, true || false, 3 & 1 && 2 | 1];');
+    ctx.assertEvalResult([false, true, 3]);
+  });
+});
@@ -0,0 +1,88 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for object literal expressions
+describe('Object Literals', () => {
+  
+  test('Empty Object Literal', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let obj = {};
+      obj;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult({});
+  });
+  
+  test('Identifier, String And Number Keys', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let obj = { id: 1, "full name": "Jane", 42: true };
+      obj;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult({ id: 1, 'full name': 'Jane', '42': true });
+  });
+  
+  test('Computed Keys', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let prefix = "field";
+      let obj = { [prefix + "_1"]: 10, [1 + 1]: "two" };
+      obj;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult({ field_1: 10, '2': 'two' });
+  });
+  
+  test('Nested Objects And Arrays', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let obj = {
+        user: { name: "Ann", tags: ["a", "b"] },
+        items: [{ id: 1 }, { id: 2 }]
+      };
+      obj.user.name + obj.user.tags[1] + obj.items[1].id;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('Annb2');
+  });
+  
+  test('Trailing Comma', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let obj = {
+        a: 1,
+        b: 2,
+      };
+      obj.a + obj.b;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(3);
+  });
+  
+  test('Object Literal Passed To io_put', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let input = io_get("input");
+      io_put("output", { total: input.a + input.b, source: "calc" });
+    `, { input: { a: 2, b: 3 } });
+    ctx.assertEvalSuccess();
+    ctx.assertJsonData('output', { total: 5, source: 'calc' });
+  });
+  
+  test('Object Literal AST Node', async () => {
+    const ctx = new TestContext();
+    ctx.withCode('let obj = { a: 1 };').parse();
+    ctx.assertContainsNodeType('ObjectLiteral');
+  });
+  
+  test('Missing Colon Is A Parse Error', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('let obj = { a 1 };', 'Expected next token to be :');
+  });
+  
+  test('Missing Comma Is A Parse Error', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('let obj = { a: 1 b: 2 };', 'Expected next token to be ,');
+  });
+});
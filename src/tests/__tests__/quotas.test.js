@@ -0,0 +1,123 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for the array, string and object size quotas of a run
+describe('Allocation Quotas', () => {
+
+  test('Array Element Quota Stops Arrays Built In A Loop', async () => {
+    const ctx = new TestContext({ maxArrayElements: 100 });
+    await ctx.evaluate(`
+      let items = [];
+      while (true) {
+        items[items.length] = [0, 0, 0, 0];
+      }
+    `);
+    expect(ctx.evalResult.success).toBe(false);
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: 'Array element quota of 100 exceeded',
+      line: 4,
+      column: 31
+    });
+  });
+
+  test('String Quota Stops A Doubling String', async () => {
+    const ctx = new TestContext({ maxStringLength: 1000 });
+    await ctx.evaluate('let text = "ab";\nwhile (true) {\n  text = text + text;\n}');
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: 'String length quota of 1000 exceeded',
+      line: 3,
+      column: 15
+    });
+  });
+
+  test('Object Key Quota', async () => {
+    const ctx = new TestContext({ maxObjectKeys: 10 });
+    await ctx.evaluate(`
+      let record = {};
+      for (let i = 0; i < 100; i++) {
+        record["key" + i] = i;
+      }
+    `);
+    expect(ctx.evalResult.errors[0].message).toBe('Object key quota of 10 exceeded');
+    expect(ctx.evalResult.errors[0].line).toBe(4);
+  });
+
+  test('Quotas Count Everything Created During A Run', async () => {
+    const ctx = new ErrorTestContext({ maxArrayElements: 10, maxStringLength: 10, maxObjectKeys: 4 });
+    await ctx.assertRuntimeError('let a = [1, 2, 3, 4, 5, 6]; let b = [1, 2, 3, 4, 5];', 'Array element quota of 10 exceeded');
+    await ctx.assertRuntimeError('def f(...rest) { return rest; } f(1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11);', 'Array element quota');
+    await ctx.assertRuntimeError('let s = "12345"; s += "123456";', 'String length quota of 10 exceeded');
+    await ctx.assertRuntimeError('let n = 12345; `value: ${n}`;', 'String length quota of 10 exceeded');
+    await ctx.assertRuntimeError('let a = { w: 1, x: 2 }; let b = { y: 3, z: 4, extra: 5 };', 'Object key quota of 4 exceeded');
+  });
+
+  test('Rest Items Of Match Patterns Count', async () => {
+    for (const backend of ['ast', 'vm']) {
+      const ctx = new TestContext({ backend, maxArrayElements: 50 });
+      await ctx.evaluate(`
+        let items = io_get("items");
+        while (true) {
+          match (items) {
+            case [first, ...rest] => first;
+          }
+        }
+      `, { items: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] });
+      expect(ctx.evalResult.errors[0]).toEqual({
+        message: 'Array element quota of 50 exceeded',
+        line: 5,
+        column: 18
+      });
+    }
+  });
+
+  test('Updating Existing Entries Is Free', async () => {
+    const ctx = new TestContext({ maxArrayElements: 5, maxObjectKeys: 1 });
+    await ctx.evaluate(`
+      let list = [0, 0, 0];
+      let counter = { hits: 0 };
+      for (let i = 0; i < 100; i++) {
+        list[i % 3] = i;
+        counter.hits += 1;
+      }
+      [list, counter.hits];
+    `);
+    ctx.assertEvalSuccess();
+    expect(ctx.evalResult.result).toEqual([[99, 97, 98], 100]);
+  });
+
+  test('Quota Errors Can Be Caught By The Script', async () => {
+    const ctx = new TestContext({ maxStringLength: 50 });
+    await ctx.evaluate(`
+      let text = "x";
+      try {
+        while (true) {
+          text = text + text;
+        }
+      } catch (e) {
+        console_put(e.message);
+      }
+      text.length;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertConsoleContains('String length quota of 50 exceeded');
+    ctx.assertEvalResult(16);
+  });
+
+  test('Host Data Does Not Count', async () => {
+    const ctx = new TestContext({ maxArrayElements: 5, maxStringLength: 5 });
+    await ctx.evaluate(`
+      let rows = io_get("rows");
+      let title = io_get("title");
+      [rows.length, title];
+    `, { rows: [1, 2, 3, 4, 5, 6, 7, 8], title: 'A long title' });
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([8, 'A long title']);
+  });
+
+  test('Each Run Gets Fresh Quotas', async () => {
+    const ctx = new TestContext({ maxArrayElements: 5 });
+    for (let run = 0; run < 3; run++) {
+      await ctx.evaluate('[1, 2, 3, 4];');
+      ctx.assertEvalSuccess();
+    }
+  });
+});
@@ -0,0 +1,194 @@
+import { Interpreter } from '../../interpreter/index.js';
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Regression tests for scripts trying to reach JavaScript internals through properties
+describe('Sandbox Escape Attempts', () => {
+
+  afterEach(() => {
+    // None of the attempts may leave anything behind on the shared prototypes
+    expect(Object.prototype).not.toHaveProperty('polluted');
+    expect(Array.prototype).not.toHaveProperty('polluted');
+    expect(String.prototype).not.toHaveProperty('polluted');
+  });
+
+  test('Constructor Chains Are Unreachable', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let record = {};
+      [
+        record.constructor,
+        record["constructor"],
+        [].constructor,
+        "text".constructor,
+        "text"["constructor"],
+        record.__proto__,
+        [].__proto__,
+        record.prototype,
+        record.hasOwnProperty,
+        record.valueOf,
+        [].map,
+        [].push,
+        "text".charCodeAt,
+        "text".replace
+      ];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(new Array(14).fill(null));
+  });
+
+  test('Function Constructor Cannot Be Called', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError('let f = {}.constructor.constructor;', 'Cannot access property of null');
+    await ctx.assertRuntimeError('"".constructor.constructor("return process")();', 'Cannot access property of null');
+    await ctx.assertRuntimeError('io_get.constructor;', "Cannot read property 'constructor' of function");
+    await ctx.assertRuntimeError('def f() {} f.call;', "Cannot read property 'call' of function");
+    await ctx.assertRuntimeError('"a".toUpperCase.constructor;', "Cannot read property 'constructor' of function");
+  });
+
+  test('Prototype Keys Cannot Be Written', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError('let o = {}; o.__proto__ = { polluted: true };', "Property name '__proto__' is not allowed");
+    await ctx.assertRuntimeError('let o = {}; o["__proto__"] = { polluted: true };', "Property name '__proto__' is not allowed");
+    await ctx.assertRuntimeError('let o = { "__proto__": { polluted: true } };', "Property name '__proto__' is not allowed");
+    await ctx.assertRuntimeError('let key = "__proto__"; let o = { [key]: 1 };', "Property name '__proto__' is not allowed");
+  });
+
+  test('Blocked Keys Are Reported At The Assignment', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('let o = {};\no.__proto__.polluted = true;');
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: 'Cannot set property \'polluted\' of null',
+      line: 2,
+      column: 12
+    });
+  });
+
+  test('io_put Cannot Replace The Prototype Of The Data', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('io_put("total", 1);\nio_put("__proto__", { polluted: true });');
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: "Property name '__proto__' is not allowed",
+      line: 2,
+      column: 7
+    });
+    expect(Object.getPrototypeOf(ctx.jsonData)).toBe(Object.prototype);
+    expect(ctx.jsonData).toEqual({ total: 1 });
+  });
+
+  test('Constructor And Prototype Are Ordinary Keys', async () => {
+    for (const backend of ['ast', 'vm']) {
+      const ctx = new TestContext({ backend });
+      await ctx.evaluate(`
+        let o = { constructor: 1, "prototype": 2 };
+        let p = {};
+        p.constructor = 3;
+        p["prototype"] = 4;
+        io_put("constructor", 5);
+        io_put("prototype", 6);
+        [o.constructor, o["prototype"], p.constructor, p.prototype, io_get("constructor"), io_get("prototype")];
+      `);
+      ctx.assertEvalSuccess();
+      ctx.assertEvalResult([1, 2, 3, 4, 5, 6]);
+      expect(Object.getPrototypeOf(ctx.jsonData)).toBe(Object.prototype);
+      expect(Object.keys(ctx.jsonData)).toEqual(['constructor', 'prototype']);
+      expect(Object.prototype.constructor).toBe(Object);
+    }
+  });
+
+  test('io_get Only Returns Stored Keys', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      [io_get("constructor"), io_get("__proto__"), io_get("toString"), io_get("hasOwnProperty"), io_get("name")];
+    `, { name: 'stored' });
+    ctx.assertEvalResult([null, null, null, null, 'stored']);
+  });
+
+  test('Destructuring And Patterns Do Not See Inherited Properties', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let { constructor, toString = "default", __proto__: proto } = {};
+      let label = "none";
+      match ({}) {
+        case { constructor: c } => label = "matched";
+        else => label = "no match";
+      }
+      [constructor, toString, proto, label];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([null, 'default', null, 'no match']);
+  });
+
+  test('Own Prototype Keys In Host Data Are Plain Properties', async () => {
+    const data = JSON.parse('{ "record": { "__proto__": { "polluted": true }, "id": 7 } }');
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let record = io_get("record");
+      let keys = [];
+      for (let key in record) {
+        keys[keys.length] = key;
+      }
+      [record.__proto__, record.polluted, record.id, keys.length];
+    `, data);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([{ polluted: true }, null, 7, 2]);
+  });
+
+  test('Getters And Setters Of Host Objects Never Run', async () => {
+    const calls = [];
+    class Account {
+      constructor() {
+        this.id = 1;
+      }
+
+      get secret() {
+        calls.push('get');
+        return 'hidden';
+      }
+
+      set secret(value) {
+        calls.push('set');
+      }
+    }
+    const account = new Account();
+    Object.defineProperty(account, 'token', { get: () => { calls.push('own get'); return 'x'; } });
+
+    const ctx = new TestContext()
+      .withLibraryFunction('account', () => account);
+    await ctx.evaluate(`
+      let a = account();
+      let seen = [a.id, a.secret, a.token];
+      a.secret = "changed";
+      seen;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([1, null, null]);
+    expect(calls).toEqual([]);
+    expect(Object.getOwnPropertyDescriptor(account, 'secret').value).toBe('changed');
+
+    const errorCtx = new TestContext()
+      .withLibraryFunction('account', () => account);
+    await errorCtx.evaluate('let a = account(); a.token = "y";');
+    expect(errorCtx.evalResult.errors[0].message).toBe("Cannot set property 'token'");
+  });
+
+  test('Frozen Host Objects Cannot Be Extended', async () => {
+    const ctx = new TestContext()
+      .withLibraryFunction('settings', () => Object.freeze({ mode: 'safe' }));
+    await ctx.evaluate('let s = settings(); s.mode = "unsafe";');
+    expect(ctx.evalResult.errors[0].message).toBe("Cannot set property 'mode'");
+  });
+
+  test('Decimals Cannot Be Tampered With', async () => {
+    const ctx = new ErrorTestContext({ decimal: true });
+    await ctx.assertRuntimeError('let price = 1.50; price.coefficient;', "Cannot read property 'coefficient' of number");
+    await ctx.assertRuntimeError('let price = 1.50; price.scale = 0;', "Cannot set property 'scale' of non-container value");
+  });
+
+  test('Methods Are Bound Copies, Not JavaScript Functions', async () => {
+    const interpreter = new Interpreter();
+    interpreter.parse('let upper = "abc".toUpperCase; [upper(), upper == "x".toUpperCase];');
+    const result = await interpreter.evaluate({}, []);
+    expect(result.success).toBe(true);
+    expect(result.result).toEqual(['ABC', false]);
+  });
+});
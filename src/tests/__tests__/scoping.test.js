@@ -0,0 +1,222 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for lexical scoping of blocks, loops and functions
+describe('Lexical Scoping', () => {
+
+  test('Let Inside If Block Does Not Leak', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      if (true) {
+        let inner = 1;
+      }
+      inner;
+    `, "Undefined variable 'inner'");
+  });
+
+  test('Standalone Block Has Its Own Scope', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      {
+        let hidden = 1;
+      }
+      hidden;
+    `, "Undefined variable 'hidden'");
+  });
+
+  test('Let In Loop Body Does Not Leak', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      let i = 0;
+      while (i < 2) {
+        let temp = i;
+        i = i + 1;
+      }
+      temp;
+    `, "Undefined variable 'temp'");
+  });
+
+  test('Functions Declared In Blocks Do Not Leak', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      if (true) {
+        def helper() {
+          return 1;
+        }
+      }
+      helper();
+    `, "Undefined variable 'helper'");
+  });
+
+  test('Destructured Variables Are Block Scoped', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      if (true) {
+        let [first] = [1];
+      }
+      first;
+    `, "Undefined variable 'first'");
+  });
+
+  test('Inner Declaration Shadows Outer Variable', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let x = "outer";
+      let seen = null;
+      if (true) {
+        let x = "inner";
+        seen = x;
+      }
+      [seen, x];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(['inner', 'outer']);
+  });
+
+  test('Assignment Updates The Nearest Declaration', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let x = 1;
+      {
+        let x = 2;
+        {
+          x = 3;
+        }
+        io_put("inner", x);
+      }
+      x;
+    `);
+    ctx.assertEvalResult(1);
+    ctx.assertJsonData('inner', 3);
+  });
+
+  test('Assignment In Block Updates Outer Variable', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let total = 0;
+      for (let i = 1; i <= 3; i++) {
+        if (i > 1) {
+          total = total + i;
+        }
+      }
+      total;
+    `);
+    ctx.assertEvalResult(5);
+  });
+
+  test('Shadowing A Constant In A Nested Block', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      const limit = 10;
+      if (true) {
+        let limit = 20;
+        limit = 30;
+      }
+      limit;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(10);
+  });
+
+  test('Parameters Shadow Outer Variables', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let name = "global";
+      def greet(name) {
+        name = name + "!";
+        return name;
+      }
+      [greet("local"), name];
+    `);
+    ctx.assertEvalResult(['local!', 'global']);
+  });
+
+  test('Let In Function Body Shadows Outer Variable', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let count = 1;
+      def f() {
+        let count = 100;
+        count += 1;
+        return count;
+      }
+      [f(), count];
+    `);
+    ctx.assertEvalResult([101, 1]);
+  });
+
+  test('Each Loop Iteration Gets A Fresh Body Scope', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let getters = [];
+      for (let i = 0; i < 3; i++) {
+        let captured = i * 10;
+        getters[i] = def() {
+          return captured;
+        };
+      }
+      [getters[0](), getters[1](), getters[2]()];
+    `);
+    ctx.assertEvalResult([0, 10, 20]);
+  });
+
+  test('Closures See Later Updates Of Captured Variables', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def makeCounter() {
+        let count = 0;
+        return def() {
+          count += 1;
+          return count;
+        };
+      }
+      let a = makeCounter();
+      let b = makeCounter();
+      a();
+      a();
+      [a(), b()];
+    `);
+    ctx.assertEvalResult([3, 1]);
+  });
+
+  test('Functions Resolve Variables Lexically', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let value = "definition site";
+      def read() {
+        return value;
+      }
+      def caller() {
+        let value = "call site";
+        return read();
+      }
+      caller();
+    `);
+    ctx.assertEvalResult('definition site');
+  });
+
+  test('Variables Shadow Library Functions', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def f() {
+        let console_put = 5;
+        return console_put;
+      }
+      [f(), console_put("still a function")];
+    `);
+    ctx.assertEvalResult([5, 'still a function']);
+  });
+
+  test('Assignment To Undeclared Variable Defines A Global', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def setup() {
+        created = "from function";
+      }
+      if (true) {
+        setup();
+      }
+      created;
+    `);
+    ctx.assertEvalResult('from function');
+  });
+});
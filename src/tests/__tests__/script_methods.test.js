@@ -0,0 +1,95 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for the whitelisted methods of strings and arrays
+describe('String And Array Methods', () => {
+
+  test('String Methods', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let name = "  Ada Lovelace ";
+      let trimmed = name.trim();
+      [
+        trimmed,
+        trimmed.toUpperCase(),
+        trimmed.toLowerCase(),
+        trimmed.includes("Love"),
+        trimmed.startsWith("Ada"),
+        trimmed.endsWith("x"),
+        trimmed.indexOf("Love"),
+        trimmed.slice(4),
+        trimmed.slice(0, 3),
+        trimmed.slice(-4),
+        "a,b,c".split(",")
+      ];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([
+      'Ada Lovelace', 'ADA LOVELACE', 'ada lovelace', true, true, false, 4,
+      'Lovelace', 'Ada', 'lace', ['a', 'b', 'c']
+    ]);
+  });
+
+  test('Array Methods', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let items = [1, "two", null, [3]];
+      [
+        items.includes("two"),
+        items.includes(2),
+        items.indexOf(null),
+        items.indexOf(5),
+        items.join(),
+        items.join(" | "),
+        items.slice(1, 3),
+        items.length
+      ];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([true, false, 2, -1, '1,two,null,[3]', '1 | two | null | [3]', ['two', null], 4]);
+  });
+
+  test('Array Methods Do Not Modify The Array', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('let items = [3, 1, 2]; let part = items.slice(1); part[0] = 9; [items, part];');
+    ctx.assertEvalResult([[3, 1, 2], [9, 2]]);
+  });
+
+  test('Methods On Decimals', async () => {
+    const ctx = new TestContext({ decimal: true });
+    await ctx.evaluate('let prices = [1.50, 2.25]; [prices.includes(1.5), prices.indexOf(2.250), "abcdef".slice(2.0, 4)];');
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([true, 1, 'cd']);
+  });
+
+  test('Unknown Methods Read As Null', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('["abc".reverse, [1].push, "abc".padStart];');
+    ctx.assertEvalResult([null, null, null]);
+
+    const errorCtx = new ErrorTestContext();
+    await errorCtx.assertRuntimeError('[1, 2].sort();', 'Cannot call non-function: null');
+  });
+
+  test('Method Argument Errors', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('let text = "abc";\ntext.includes(1);');
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: 'includes expects a string, got number',
+      line: 2,
+      column: 14
+    });
+
+    const errorCtx = new ErrorTestContext();
+    await errorCtx.assertRuntimeError('"abc".slice(0.5);', 'slice expects an integer index, got number');
+    await errorCtx.assertRuntimeError('"abc".trim(1);', 'trim expects at most 0 arguments but got 1');
+    await errorCtx.assertRuntimeError('[[1]].includes([1]);', 'includes expects a number, string, boolean or null, got array');
+    await errorCtx.assertRuntimeError('[1].indexOf();', 'indexOf expects a value to search for');
+    await errorCtx.assertRuntimeError('"a-b".split();', 'split expects a string, got null');
+  });
+
+  test('Method Results Count Towards Quotas', async () => {
+    const ctx = new ErrorTestContext({ maxArrayElements: 5, maxStringLength: 5 });
+    await ctx.assertRuntimeError('"a b c d e f".split(" ");', 'Array element quota of 5 exceeded');
+    await ctx.assertRuntimeError('"abcdef".toUpperCase();', 'String length quota of 5 exceeded');
+  });
+});
@@ -0,0 +1,227 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for strict mode, enabled by an option or a "use strict"; directive
+describe('Strict Mode', () => {
+
+  test('Implicit Globals Are Allowed By Default', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let total = 0;
+      totl = total + 1;
+      totl;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(1);
+  });
+
+  test('Assignment To Undeclared Variable', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`"use strict";
+let total = 0;
+totl = total + 1;`);
+    expect(ctx.evalResult.success).toBe(false);
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: "Cannot assign to undeclared variable 'totl'",
+      line: 3,
+      column: 1
+    });
+  });
+
+  test('Strict Option', async () => {
+    const ctx = new ErrorTestContext({ strict: true });
+    await ctx.assertRuntimeError('count = 1;', "Cannot assign to undeclared variable 'count'");
+    await ctx.assertRuntimeError(`
+      def setup() {
+        created = true;
+      }
+      setup();
+    `, "Cannot assign to undeclared variable 'created'");
+  });
+
+  test('Assignment To Declared Variables Still Works', async () => {
+    const ctx = new TestContext({ strict: true });
+    await ctx.evaluate(`
+      let total = 0;
+      def add(n) {
+        total += n;
+      }
+      for (let i = 1; i <= 3; i++) {
+        add(i);
+      }
+      total;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(6);
+  });
+
+  test('Redeclaration In Same Scope', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`"use strict";
+let x = 1;
+let x = 2;`);
+    expect(ctx.evalResult.success).toBe(false);
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: "Variable 'x' has already been declared in this scope",
+      line: 3,
+      column: 1
+    });
+  });
+
+  test('Redeclaring Functions, Parameters And Destructured Names', async () => {
+    const ctx = new ErrorTestContext({ strict: true });
+    await ctx.assertRuntimeError(`
+      def f() { return 1; }
+      def f() { return 2; }
+    `, "Variable 'f' has already been declared in this scope");
+    await ctx.assertRuntimeError(`
+      let count = 0;
+      def count() { return 1; }
+    `, "Variable 'count' has already been declared in this scope");
+    await ctx.assertRuntimeError(`
+      def pair(a, a) { return a; }
+      pair(1, 2);
+    `, "Variable 'a' has already been declared in this scope");
+    await ctx.assertRuntimeError(
+      'let [a, { b: a }] = [1, { b: 2 }];',
+      "Variable 'a' has already been declared in this scope"
+    );
+  });
+
+  test('Function Bodies Cannot Redeclare Parameters', async () => {
+    for (const backend of ['ast', 'vm']) {
+      const ctx = new TestContext({ backend, strict: true });
+      await ctx.evaluate('def f(a) {\n  let a = 1;\n}\nf(0);');
+      expect(ctx.evalResult.errors).toEqual([{
+        message: "Variable 'a' has already been declared in this scope", line: 2, column: 3
+      }]);
+
+      const errorCtx = new ErrorTestContext({ backend, strict: true });
+      await errorCtx.assertRuntimeError('def f([a, b]) { const b = 1; }\nf([1, 2]);', "Variable 'b' has already been declared in this scope");
+      await errorCtx.assertRuntimeError('let g = def(a = 1) { def a() {} };\ng();', "Variable 'a' has already been declared in this scope");
+
+      const okCtx = new TestContext({ backend, strict: true });
+      await okCtx.evaluate('def f(a) { if (true) { let a = 2; } return a; }\nf(1);');
+      okCtx.assertEvalSuccess();
+      okCtx.assertEvalResult(1);
+    }
+  });
+
+  test('Shadowing In Nested Scopes Is Not Redeclaration', async () => {
+    const ctx = new TestContext({ strict: true });
+    await ctx.evaluate(`
+      let x = 1;
+      def f(x) {
+        let y = x;
+        return y;
+      }
+      if (true) {
+        let x = 2;
+      }
+      for (let i = 0; i < 2; i++) {
+        let step = i;
+      }
+      [x, f(5)];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([1, 5]);
+  });
+
+  test('Redeclaration Is Allowed By Default', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let x = 1;
+      let x = 2;
+      x;
+    `);
+    ctx.assertEvalResult(2);
+  });
+
+  test('Reading Uninitialized Variable', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`"use strict";
+let result;
+if (false) {
+  result = 1;
+}
+io_put("result", result);`);
+    expect(ctx.evalResult.success).toBe(false);
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: "Cannot read variable 'result' before it is initialized",
+      line: 6,
+      column: 18
+    });
+  });
+
+  test('Uninitialized Variable Can Be Assigned Later', async () => {
+    const ctx = new TestContext({ strict: true });
+    await ctx.evaluate(`
+      let label;
+      def setLabel() {
+        label = "ready";
+      }
+      setLabel();
+      label;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('ready');
+  });
+
+  test('Compound Assignment Reads The Uninitialized Variable', async () => {
+    const ctx = new ErrorTestContext({ strict: true });
+    await ctx.assertRuntimeError(`
+      let count;
+      count += 1;
+    `, "Cannot read variable 'count' before it is initialized");
+  });
+
+  test('Uninitialized Variables Are Null By Default', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let value;
+      value;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(null);
+  });
+
+  test('Directive Must Be The First Statement', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let x = 1;
+      "use strict";
+      y = x;
+      y;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(1);
+  });
+
+  test('Strict Flag In AST JSON', () => {
+    const ctx = new TestContext();
+    ctx.withCode('"use strict"; let a = 1;').parse();
+    ctx.assertSuccess();
+    expect(ctx.parseResult.ast.toJSON().strict).toBe(true);
+
+    ctx.withCode('let a = 1;').parse();
+    expect(ctx.parseResult.ast.toJSON().strict).toBe(false);
+  });
+
+  test('Modules Use Their Own Directive', async () => {
+    const modules = {
+      loose: 'export def touch() { touched = true; return 1; }',
+      strict: '"use strict"; export def touch() { touched = true; return 1; }'
+    };
+    const ctx = new TestContext({ resolveModule: name => modules[name] });
+    await ctx.evaluate(`
+      import { touch } from "loose";
+      touch();
+    `);
+    ctx.assertEvalSuccess();
+
+    const errorCtx = new ErrorTestContext({ resolveModule: name => modules[name] });
+    await errorCtx.assertRuntimeError(`
+      import { touch } from "strict";
+      touch();
+    `, "Cannot assign to undeclared variable 'touched'");
+  });
+});
@@ -0,0 +1,76 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for escape sequences in string literals
+describe('String Escape Sequences', () => {
+  
+  test('Escaped Quotes', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      ["a\\"b", 'it\\'s', "single ' inside", 'double " inside'];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(['a"b', "it's", "single ' inside", 'double " inside']);
+  });
+  
+  test('Control Characters', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('"line1\\nline2\\tTab\\rCR";');
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('line1\nline2\tTab\rCR');
+  });
+  
+  test('Escaped Backslash', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('"C:\\\\temp\\\\new";');
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('C:\\temp\\new');
+  });
+  
+  test('Unicode Escapes', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('["\\u0041\\u00e9", "\\u{1F600}", "\\u{41}"];');
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(['Aé', '😀', 'A']);
+  });
+  
+  test('Escapes In Console Output', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('console_put("a\\tb");');
+    ctx.assertConsoleContains('a\tb');
+  });
+  
+  test('Escaped Object Keys', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('let o = { "a\\"b": 1 }; o;');
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult({ 'a"b': 1 });
+  });
+  
+  test('Unknown Escape Sequence', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('let s = "a\\qb";', "Unknown escape sequence '\\q'");
+  });
+  
+  test('Invalid Unicode Escape', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('let s = "\\u12";', 'Invalid unicode escape sequence');
+  });
+  
+  test('Invalid Braced Unicode Escape', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('let s = "\\u{110000}";', 'Invalid unicode escape sequence');
+  });
+  
+  test('Unterminated String', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('let s = "never closed;', 'Unterminated string literal');
+  });
+  
+  test('Unterminated String Error Position', async () => {
+    const ctx = new TestContext();
+    ctx.withCode('let a = 1;\nlet s = \'open;').parse();
+    ctx.assertFailure();
+    const error = ctx.parseResult.errors.find(e => e.message === 'Unterminated string literal');
+    expect(error).toEqual({ message: 'Unterminated string literal', line: 2, column: 9 });
+  });
+});
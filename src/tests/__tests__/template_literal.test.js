@@ -0,0 +1,107 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for template literals with ${} interpolation
+describe('Template Literals', () => {
+  
+  test('Plain Template', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('`just text`;');
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('just text');
+  });
+  
+  test('Interpolated Expressions', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let name = "Ann";
+      let count = 3;
+      \`Hello \${name}, you have \${count * 2} items\`;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('Hello Ann, you have 6 items');
+  });
+  
+  test('Values Are Stringified Like console_put', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let rec = { id: 1, tags: ["a"] };
+      \`\${rec} \${[1, 2]} \${null} \${true}\`;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('{"id":1,"tags":["a"]} [1,2] null true');
+  });
+  
+  test('Member Access, Calls And Nested Templates', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def twice(x) {
+        return x * 2;
+      }
+      let user = { name: "Bo", scores: [4, 5] };
+      \`\${user.name}: \${twice(user.scores[1])} \${ \`(\${user.scores[0]})\` }\`;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('Bo: 10 (4)');
+  });
+  
+  test('Braces And Strings Inside Expressions', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      \`\${ { key: "}" }.key } and \${"\${not interpolated}"}\`;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('} and ${not interpolated}');
+  });
+  
+  test('Escapes And Multiple Lines', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('`a\\`b \\${x}\nline2\\t`;');
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('a`b ${x}\nline2\t');
+  });
+  
+  test('Template In console_put', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let total = io_get("total");
+      console_put(\`Total: \${total}\`);
+    `, { total: 42 });
+    ctx.assertConsoleContains('Total: 42');
+  });
+  
+  test('Runtime Error Inside Interpolation Has Source Position', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('let a = 1;\nlet s = `x ${missing}`;');
+    ctx.assertEvalFailure();
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: "Undefined variable 'missing'",
+      line: 2,
+      column: 14
+    });
+  });
+  
+  test('Template Literal AST Node', async () => {
+    const ctx = new TestContext();
+    ctx.withCode('`a${1}b`;').parse();
+    ctx.assertContainsNodeType('TemplateLiteral');
+    ctx.assertAstStructure('statements.0.expression', {
+      type: 'TemplateLiteral',
+      quasis: ['a', 'b']
+    });
+  });
+  
+  test('Unterminated Template', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('let s = `open ${1}', 'Unterminated template literal');
+  });
+  
+  test('Empty Interpolation', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('let s = `a ${} b`;', 'Empty expression in template literal');
+  });
+  
+  test('Invalid Interpolation', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('let s = `a ${1 2} b`;', 'Unexpected NUMBER in template literal expression');
+  });
+});
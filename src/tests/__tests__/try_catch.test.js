@@ -0,0 +1,299 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for try/catch/finally and throw statements
+describe('Try Catch Finally', () => {
+
+  test('Catch Division By Zero', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let result = null;
+      try {
+        let x = 1 / 0;
+      } catch (e) {
+        result = e.message;
+      }
+      result;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('Division by zero');
+  });
+
+  test('Catch Undefined Variable', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let result = null;
+      try {
+        missing + 1;
+      } catch (e) {
+        result = e.message;
+      }
+      result;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult("Undefined variable 'missing'");
+  });
+
+  test('Catch Calling A Non-Function', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let notAFunction = 5;
+      let result = null;
+      try {
+        notAFunction();
+      } catch (e) {
+        result = e.message;
+      }
+      result;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('Cannot call non-function: 5');
+  });
+
+  test('Caught Error Carries Position', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`let e1 = null;
+try {
+  let x = 10 % 0;
+} catch (e) {
+  e1 = e;
+}
+[e1.line, e1.value];`);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([3, null]);
+  });
+
+  test('Catch Host Function Error', async () => {
+    const ctx = new TestContext()
+      .withLibraryFunction('explode', () => { throw new Error('host failure'); });
+    await ctx.evaluate(`let result = null;
+try {
+  explode();
+} catch (e) {
+  result = e.message + " at line " + e.line;
+}
+result;`);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('host failure at line 3');
+  });
+
+  test('Uncaught Host Function Error Has Position', async () => {
+    const ctx = new TestContext()
+      .withLibraryFunction('explode', () => { throw new Error('host failure'); });
+    await ctx.evaluate(`let x = 1;
+explode();`);
+    expect(ctx.evalResult.success).toBe(false);
+    expect(ctx.evalResult.errors[0]).toEqual({ message: 'host failure', line: 2, column: 8 });
+  });
+
+  test('Throw And Catch String', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let result = null;
+      try {
+        throw "custom failure";
+      } catch (e) {
+        result = [e.message, e.value];
+      }
+      result;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(['custom failure', 'custom failure']);
+  });
+
+  test('Throw And Catch Object', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let result = null;
+      try {
+        throw { message: "not found", code: 404 };
+      } catch (e) {
+        result = e.message + ":" + e.value.code;
+      }
+      result;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('not found:404');
+  });
+
+  test('Throw From Nested Function', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def check(n) {
+        if (n < 0) {
+          throw "negative";
+        }
+        return n;
+      }
+      def safeCheck(n) {
+        try {
+          return check(n);
+        } catch (e) {
+          return e.value;
+        }
+      }
+      [safeCheck(3), safeCheck(-1)];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([3, 'negative']);
+  });
+
+  test('Catch Without Parameter', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let result = "unchanged";
+      try {
+        throw 1;
+      } catch {
+        result = "caught";
+      }
+      result;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('caught');
+  });
+
+  test('Catch Parameter Is Scoped To Catch Block', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError(`
+      try {
+        throw "oops";
+      } catch (e) {
+        e.message;
+      }
+      e;
+    `, "Undefined variable 'e'");
+  });
+
+  test('Finally Runs After Success And Failure', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      try {
+        console_put("try");
+      } finally {
+        console_put("finally 1");
+      }
+      try {
+        throw "x";
+      } catch (e) {
+        console_put("catch");
+      } finally {
+        console_put("finally 2");
+      }
+    `);
+    ctx.assertEvalSuccess();
+    expect(ctx.consoleOutput).toEqual(['try', 'finally 1', 'catch', 'finally 2']);
+  });
+
+  test('Finally Runs When Returning', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def f() {
+        try {
+          return "from try";
+        } finally {
+          console_put("cleanup");
+        }
+      }
+      f();
+    `);
+    ctx.assertEvalResult('from try');
+    ctx.assertConsoleContains('cleanup');
+  });
+
+  test('Return In Finally Overrides Error', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def f() {
+        try {
+          throw "lost";
+        } finally {
+          return "finally wins";
+        }
+      }
+      f();
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('finally wins');
+  });
+
+  test('Break Through Try Finally', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let count = 0;
+      while (true) {
+        try {
+          count = count + 1;
+          if (count == 3) {
+            break;
+          }
+        } finally {
+          console_put("iteration " + count);
+        }
+      }
+      count;
+    `);
+    ctx.assertEvalResult(3);
+    expect(ctx.consoleOutput).toEqual(['iteration 1', 'iteration 2', 'iteration 3']);
+  });
+
+  test('Error Propagates Through Finally', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let result = null;
+      try {
+        try {
+          throw "inner";
+        } finally {
+          console_put("inner finally");
+        }
+      } catch (e) {
+        result = e.message;
+      }
+      result;
+    `);
+    ctx.assertEvalResult('inner');
+    ctx.assertConsoleContains('inner finally');
+  });
+
+  test('Rethrow From Catch', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let result = null;
+      try {
+        try {
+          throw "first";
+        } catch (e) {
+          throw e.message + " again";
+        }
+      } catch (e) {
+        result = e.message;
+      }
+      result;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult('first again');
+  });
+
+  test('Uncaught Throw Reports Message And Position', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`let x = 1;
+  throw { message: "fatal" };`);
+    expect(ctx.evalResult.success).toBe(false);
+    expect(ctx.evalResult.errors[0]).toEqual({ message: 'fatal', line: 2, column: 3 });
+  });
+
+  test('Uncaught Throw Of Number', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError('throw 42;', '42');
+  });
+
+  test('Try Without Catch Or Finally', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('try { 1; }', "Expected 'catch' or 'finally' after try block");
+  });
+
+  test('Throw Without Expression', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertParseError('throw;', "Expected expression after 'throw'");
+  });
+});
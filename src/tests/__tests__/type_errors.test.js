@@ -0,0 +1,126 @@
+import { TestContext, ErrorTestContext } from '../jestUtils.js';
+
+// Test cases for operand type checks and the null-based value model
+describe('Type Errors And Missing Values', () => {
+
+  test('Arithmetic Requires Numbers', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError('"5" - 2;', "Operator '-' cannot be applied to string and number");
+    await ctx.assertRuntimeError('null + 1;', "Operator '+' cannot be applied to null and number");
+    await ctx.assertRuntimeError('[] * 2;', "Operator '*' cannot be applied to array and number");
+    await ctx.assertRuntimeError('true / 1;', "Operator '/' cannot be applied to boolean and number");
+    await ctx.assertRuntimeError('7 % {};', "Operator '%' cannot be applied to number and object");
+    await ctx.assertRuntimeError('2 ** "3";', "Operator '**' cannot be applied to number and string");
+    await ctx.assertRuntimeError('[1] + [2];', "Operator '+' cannot be applied to array and array");
+  });
+
+  test('Type Errors Are Positioned At The Operator', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('let count = io_get("missing");\nlet next = count + 1;');
+    expect(ctx.evalResult.success).toBe(false);
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: "Operator '+' cannot be applied to null and number",
+      line: 2,
+      column: 18
+    });
+  });
+
+  test('Strings Concatenate With Any Value', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let label = "total: ";
+      label += 5;
+      [label, "a" + null, true + "!", "items: " + [1, 2]];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult(['total: 5', 'anull', 'true!', 'items: [1,2]']);
+  });
+
+  test('Strings Show Objects As JSON And Never Show Function Source', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      def f() { return 1; }
+      console_put(f);
+      console_put(console_put);
+      ["a" + { x: 1 }, \`\${f}\`, \`\${def() {}}\`];
+    `);
+    ctx.assertEvalResult(['a{"x":1}', '<function f>', '<function>']);
+    expect(ctx.consoleOutput).toEqual(['<function f>', '<function console_put>']);
+
+    const errorCtx = new ErrorTestContext();
+    await errorCtx.assertRuntimeError('def f() {}\n"a" + f;', "Operator '+' cannot be applied to string and function");
+    await errorCtx.assertRuntimeError('console_put + "a";', "Operator '+' cannot be applied to function and string");
+    await errorCtx.assertRuntimeError('let s = "a";\ns += io_get;', "Operator '+' cannot be applied to string and function");
+  });
+
+  test('Unary, Bitwise And Update Operators Require Numbers', async () => {
+    const ctx = new ErrorTestContext();
+    await ctx.assertRuntimeError('-"x";', "Operator '-' cannot be applied to string");
+    await ctx.assertRuntimeError('~null;', "Operator '~' cannot be applied to null");
+    await ctx.assertRuntimeError('true & 1;', "Operator '&' cannot be applied to boolean and number");
+    await ctx.assertRuntimeError('"8" >> 1;', "Operator '>>' cannot be applied to string and number");
+    await ctx.assertRuntimeError('let s = "a"; s++;', "Operator '++' cannot be applied to string");
+    await ctx.assertRuntimeError('let o = {}; o.count += 1;', "Operator '+' cannot be applied to null and number");
+  });
+
+  test('Logical Operators Accept Any Type', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('[!"", !null, !0, !![], "a" && 1, null || "fallback"];');
+    ctx.assertEvalResult([true, true, true, true, 1, 'fallback']);
+  });
+
+  test('Missing Properties Are Null', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let record = { id: 1 };
+      let list = [10, 20];
+      [record.name, record["id"], list[5], list[-1], list.first, "abc"[10], "abc".size];
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertEvalResult([null, 1, null, null, null, null, null]);
+  });
+
+  test('Inherited JavaScript Properties Are Not Visible', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate(`
+      let record = {};
+      [record.toString, record.constructor, record.hasOwnProperty, [].map];
+    `);
+    ctx.assertEvalResult([null, null, null, null]);
+  });
+
+  test('Length And Indexes Of Arrays And Strings', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('let word = "hey"; [word.length, word[0], [1, 2, 3].length, [1, 2]["1"]];');
+    ctx.assertEvalResult([3, 'h', 3, 2]);
+  });
+
+  test('Reading A Property Of A Non-Container Value', async () => {
+    const ctx = new TestContext();
+    await ctx.evaluate('let price = 5;\nprice.currency;');
+    expect(ctx.evalResult.errors[0]).toEqual({
+      message: "Cannot read property 'currency' of number",
+      line: 2,
+      column: 6
+    });
+
+    const errorCtx = new ErrorTestContext();
+    await errorCtx.assertRuntimeError('let ok = true; ok.value;', "Cannot read property 'value' of boolean");
+    await errorCtx.assertRuntimeError('def f() { return 1; } f.name;', "Cannot read property 'name' of function");
+  });
+
+  test('Missing Values Never Reach Output As Undefined', async () => {
+    const ctx = new TestContext()
+      .withLibraryFunction('nothing', () => undefined);
+    await ctx.evaluate(`
+      let record = { id: 1 };
+      io_put("fields", [record.name, nothing()]);
+      console_put(record.missing);
+      \`\${record.other}\`;
+    `);
+    ctx.assertEvalSuccess();
+    ctx.assertJsonData('fields', [null, null]);
+    ctx.assertConsoleContains('null');
+    ctx.assertEvalResult('null');
+  });
+});
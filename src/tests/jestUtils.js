@@ -8,8 +8,11 @@ import { Interpreter } from '../interpreter/index.js';
  * Test context for executing code snippets and making assertions
  */
 export class TestContext {
-  constructor() {
-    this.interpreter = new Interpreter();
+  /**
+   * @param {Object} [options] - Options passed to the Interpreter
+   */
+  constructor(options = {}) {
+    this.interpreter = new Interpreter(options);
     this.code = '';
     this.jsonData = {};
     this.consoleOutput = [];
@@ -284,8 +287,11 @@ export class TestContext {
  * Error test context for testing parse and runtime errors
  */
 export class ErrorTestContext {
-  constructor() {
-    this.interpreter = new Interpreter();
+  /**
+   * @param {Object} [options] - Options passed to the Interpreter
+   */
+  constructor(options = {}) {
+    this.interpreter = new Interpreter(options);
     this.code = '';
   }
 